@@ -1,15 +1,16 @@
 import React, { useState } from "react";
 
 import useForm from "../../hooks/useForm";
-import { Schema } from "../../validation";
+import { Schema, getPasswordStrength } from "../../validation";
 import "./DemoForm.css";
 
 const defaultSchema = {
   password: new Schema()
     .min(5, "My custom min error message.")
-    .max(7)
+    .max(64)
     .hasDigit("My custom digit error message.")
     .hasSymbol()
+    .strength(3)
     .isRequired(),
 
   username: new Schema()
@@ -33,6 +34,7 @@ const DemoForm = () => {
   } = useForm(defaultSchema);
 
   const [submitErrorPresent, setSubmitError] = useState(false);
+  const strength = getPasswordStrength(form.password);
 
   function handleSubmitErrorToggled() {
     setSubmitError(!submitErrorPresent);
@@ -83,6 +85,19 @@ const DemoForm = () => {
           placeholder="Password"
           onChange={handleInputChange}
         />
+        <meter
+          min="0"
+          max="4"
+          low="2"
+          high="3"
+          optimum="4"
+          value={strength.score}
+        />
+        <ul className="feedback">
+          {strength.feedback.map((suggestion) => (
+            <li key={suggestion}>{suggestion}</li>
+          ))}
+        </ul>
         <span>{errors["password"]}</span>
       </div>
       <div className="property">
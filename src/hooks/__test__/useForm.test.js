@@ -1,7 +1,7 @@
 import { renderHook, act } from "@testing-library/react-hooks";
 
 import useForm from "../useForm";
-import { Schema } from "../../validation";
+import { Schema, FormSchema } from "../../validation";
 
 const LAST_NAME = "last";
 const FIRST_NAME = "first";
@@ -32,6 +32,125 @@ describe("useForm hook", () => {
     expect(result.current.form).toStrictEqual(DEFAULT_STATE);
   });
 
+  test("should default array properties to an empty array", () => {
+    const schema = { ...DEFAULT_SCHEMA, tags: Schema.array() };
+    const result = setup(schema, null);
+
+    expect(result.current.form).toStrictEqual({ ...DEFAULT_STATE, tags: [] });
+  });
+
+  test("should accept form schemas", () => {
+    const result = setup(new FormSchema(DEFAULT_SCHEMA), null);
+
+    act(() => {
+      result.current.handleInputChange(EVENT);
+    });
+
+    expect(result.current.form).toStrictEqual({
+      ...DEFAULT_STATE,
+      first: "def",
+    });
+    expect(result.current.errors.first).toHaveLength(1);
+  });
+
+  test("should set the selected options of multiple selects", () => {
+    const schema = { tags: Schema.array().maxItems(1) };
+    const result = setup(schema, null);
+    const selectedOptions = [{ value: "a" }, { value: "b" }];
+
+    act(() => {
+      result.current.handleInputChange({
+        target: { name: "tags", multiple: true, selectedOptions },
+      });
+    });
+
+    expect(result.current.form.tags).toEqual(["a", "b"]);
+    expect(result.current.errors.tags).toHaveLength(1);
+  });
+
+  test("should set and validate nested form properties by dotted name", () => {
+    const schema = {
+      account: {
+        password: new Schema().min(4),
+        confirm: new Schema().matches("account.password"),
+      },
+    };
+    const result = setup(schema, null);
+
+    expect(result.current.form).toStrictEqual({
+      account: { password: "", confirm: "" },
+    });
+
+    act(() => {
+      result.current.handleInputChange({
+        target: { name: "account.confirm", value: "abcd" },
+      });
+    });
+
+    expect(result.current.form.account.confirm).toBe("abcd");
+    expect(Object.keys(result.current.errors)).toEqual(["account.confirm"]);
+
+    act(() => {
+      result.current.handleInputChange({
+        target: { name: "account.password", value: "abcd" },
+      });
+    });
+
+    expect(result.current.errors).toEqual({});
+  });
+
+  test("should re-validate dependent properties when the controlling property changes", () => {
+    const schema = {
+      accountType: new Schema(),
+      companyName: Schema.when(
+        "accountType",
+        "business",
+        new Schema().isRequired()
+      ),
+    };
+    const result = setup(schema, null);
+
+    act(() => {
+      result.current.handleInputChange({
+        target: { name: "accountType", value: "business" },
+      });
+    });
+
+    expect(Object.keys(result.current.errors)).toEqual(["companyName"]);
+
+    act(() => {
+      result.current.handleInputChange({
+        target: { name: "accountType", value: "personal" },
+      });
+    });
+
+    expect(result.current.errors).toEqual({});
+  });
+
+  test("should re-validate properties compared with the changed property", () => {
+    const schema = {
+      minimum: Schema.number(),
+      maximum: Schema.number().greaterThanField("minimum"),
+    };
+    const result = setup(schema, { minimum: "1", maximum: "5" });
+
+    act(() => {
+      result.current.handleInputChange({
+        target: { name: "minimum", value: "10" },
+      });
+    });
+
+    expect(Object.keys(result.current.errors)).toEqual(["maximum"]);
+
+    act(() => {
+      result.current.handleInputChange({
+        target: { name: "maximum", value: "20" },
+      });
+    });
+
+    expect(result.current.errors).toEqual({});
+  });
+
   test("should set proper element value", () => {
     const result = setup();
 
@@ -55,6 +174,18 @@ describe("useForm hook", () => {
     expect(result.current.submitError).toBe("");
   });
 
+  test("should call user submit callback with the transformed values", () => {
+    const schema = { email: new Schema().trim().isEmail() };
+    const result = setup(schema, { email: " abc@def.com " });
+    const submitCallback = jest.fn();
+
+    act(() => {
+      result.current.handleSubmit(submitCallback, EVENT);
+    });
+
+    expect(submitCallback).toHaveBeenCalledWith({ email: "abc@def.com" });
+  });
+
   test("should set submitErrorMessage when error occurs while submitting valid form", () => {
     const result = setup(undefined, VALID_FORM);
     const submitCallback = {}; // Will throw when called by handleSubmit
@@ -1,7 +1,8 @@
 import { useState } from "react";
 
-import { validate } from "../validation";
-import { EMPTY_VALUE } from "../validation/constants";
+import { validate, FormSchema } from "../validation";
+import { getPath, setPath, isPlainObject } from "../validation/utils";
+import { TYPES, EMPTY_VALUE } from "../validation/constants";
 
 /**
  * @file Hook to handle underlying form functionality such as setting input changes,
@@ -32,7 +33,7 @@ import { EMPTY_VALUE } from "../validation/constants";
 /**
  * Handle form functionality.
  * @class
- * @param {Function} schema - The schema of the form.
+ * @param {(FormSchema|object)} schema - The schema of the form.
  * @param {object} [initialFormState=null] - The default values for form elements.
  * @returns {UseFormReturnValue} The form, errors and handlers.
  *
@@ -47,6 +48,8 @@ import { EMPTY_VALUE } from "../validation/constants";
  * } = useForm(formSchema);
  */
 function useForm(schema, initialFormState = null) {
+  if (schema instanceof FormSchema) schema = schema.shape;
+
   /************************************
    * State
    ************************************/
@@ -60,7 +63,8 @@ function useForm(schema, initialFormState = null) {
   /**
    * Handles validating form and calling a user provided function when form is valid.
    * @async
-   * @param {Function} submitForm - The user function to call on submit.
+   * @param {Function} submitForm - The user function to call on submit, with the
+   *                                validated values after their transforms (ex: trim).
    * @param {Event} [event=null] - The form submit event.
    * @returns {Promise<void>} Nothing.
    */
@@ -68,7 +72,10 @@ function useForm(schema, initialFormState = null) {
     if (event) event.preventDefault();
 
     // Validate and return errors
-    const { isValid, errors: validationErrors } = validate(state.form, schema);
+    const { isValid, errors: validationErrors, values } = validate(
+      state.form,
+      schema
+    );
     if (!isValid) {
       setState({
         ...state,
@@ -80,7 +87,7 @@ function useForm(schema, initialFormState = null) {
     }
 
     try {
-      await submitForm();
+      await submitForm(values);
     } catch (error) {
       // Note that the state will NOT be set if the  error is
       // caught inside the callback (submitForm) and not re-thrown
@@ -101,42 +108,49 @@ function useForm(schema, initialFormState = null) {
 
   /**
    * Set the new value onchange, and validate property or matching properties.
+   * Multiple selects set the values of all the selected options, and names
+   * of nested form properties are dotted paths (ex: "address.postcode").
    * @param {Event} event - The onChange event.
    * @returns {void} Nothing.
    */
   function handleInputChange(event) {
-    const { form } = state;
-    const { value, name } = event.target;
+    const { name, multiple, selectedOptions } = event.target;
+    const value = multiple
+      ? Array.from(selectedOptions, (option) => option.value)
+      : event.target.value;
+    const form = setPath(state.form, name, value);
 
     setState({
       ...state,
-      form: {
-        ...form,
-        [name]: value,
-      },
+      form,
       errors: {
-        ...validateProperty(name, value),
+        ...validateProperty(name, value, form),
       },
     });
   }
 
   /**
-   * Validate one or pair of corresponding properties.
+   * Validate a property along with its related properties.
    * @param {string} name - The property name.
-   * @param {string} value - The property value.
+   * @param {(string|string[])} value - The property value.
+   * @param {object} form - The form including the new value.
    * @returns {object} All the errors in the entire form.
    */
-  function validateProperty(name, value) {
-    const { errors, form } = state;
+  function validateProperty(name, value, form) {
+    const { errors } = state;
     let allErrors = {
       ...errors,
     };
 
-    const matchingProperty = getMatchingProperty(name, schema);
+    const propertySchema = getPath(schema, name);
+    const relatedProperties = getRelatedProperties(name, schema);
 
-    // No matching property, just validate this one property
-    if (!matchingProperty) {
-      const { isValid, errors: propertyErrors } = validate(value, schema[name]);
+    // No related property, just validate this one property
+    if (!relatedProperties.length && !propertySchema.dependsOn) {
+      const { isValid, errors: propertyErrors } = validate(
+        value,
+        propertySchema
+      );
 
       isValid
         ? delete allErrors[name]
@@ -148,31 +162,18 @@ function useForm(schema, initialFormState = null) {
       return { ...allErrors };
     }
 
-    // Matching properties present. ex: password & confirm password
-    const matchingValues = {
-      [name]: value,
-      [matchingProperty]: form[matchingProperty],
-    };
-
-    const matchingValuesSchema = {
-      [name]: schema[name],
-      [matchingProperty]: schema[matchingProperty],
-    };
+    // Related properties present. ex: password & confirm password,
+    // or country & VAT number
+    const { errors: formErrors } = validate(form, schema);
 
-    // Clear previous errors on matching properties before
+    // Clear previous errors on related properties before
     // potentially re-setting them
-    delete allErrors[name];
-    delete allErrors[matchingProperty];
-
-    const { errors: propertyErrors } = validate(
-      matchingValues,
-      matchingValuesSchema
-    );
+    [name, ...relatedProperties].forEach((property) => {
+      delete allErrors[property];
+      if (formErrors[property]) allErrors[property] = formErrors[property];
+    });
 
-    return {
-      ...allErrors,
-      ...propertyErrors,
-    };
+    return { ...allErrors };
   }
 
   return {
@@ -190,42 +191,93 @@ function useForm(schema, initialFormState = null) {
  * @returns {...UseFormState} The useForm initial state.
  */
 function init(schema, initialFormState) {
-  let form = initialFormState;
+  const form = initialFormState || getInitialForm(schema);
+  return { form, errors: {}, submitError: EMPTY_VALUE };
+}
+
+/**
+ * Derive the default form values from the given schema, defaulting nested
+ * forms recursively, array properties to an empty array and the others
+ * to an empty string.
+ * @param {object} schema - The given schema.
+ * @returns {object} The default form values.
+ */
+function getInitialForm(schema) {
+  const form = {};
 
-  if (!form) {
-    form = {};
-    for (const property in schema) {
-      if (schema.hasOwnProperty(property)) {
-        form[property] = EMPTY_VALUE;
+  for (const property in schema) {
+    if (schema.hasOwnProperty(property)) {
+      const propertySchema = schema[property];
+
+      if (isPlainObject(propertySchema)) {
+        form[property] = getInitialForm(propertySchema);
+      } else {
+        form[property] = propertySchema.type === TYPES.ARRAY ? [] : EMPTY_VALUE;
       }
     }
   }
-  return { form, errors: {}, submitError: EMPTY_VALUE };
+  return form;
+}
+
+/**
+ * Flatten a form schema and the schemas of its nested forms.
+ * @param {object} formSchema - The schema of the form.
+ * @param {string} [parentPath] - The dotted path of the nested form.
+ * @returns {Object<string, Schema>} The property schemas by dotted path.
+ */
+function getPropertySchemas(formSchema, parentPath) {
+  let schemas = {};
+
+  for (const property in formSchema) {
+    if (formSchema.hasOwnProperty(property)) {
+      const path = parentPath ? `${parentPath}.${property}` : property;
+
+      schemas = isPlainObject(formSchema[property])
+        ? { ...schemas, ...getPropertySchemas(formSchema[property], path) }
+        : { ...schemas, [path]: formSchema[property] };
+    }
+  }
+  return schemas;
 }
 /**
- * Get the corresponding property that matches the
- * current property being validated.
+ * Get the properties to re-validate along with the current property:
+ * the properties it is compared with (ex: matches, greaterThanField), the
+ * properties compared with it and the properties whose conditional schema
+ * depends on it.
  *
- * @param {string} currentProperty - The property being validated.
+ * @param {string} currentProperty - The dotted path of the property being validated.
  * @param {object} formSchema - The schema of the entire form.
- * @return {string} The name of the matching property.
+ * @return {string[]} The dotted paths of the related properties.
  */
-function getMatchingProperty(currentProperty, formSchema) {
-  const { matchingProperty } = formSchema[currentProperty];
+function getRelatedProperties(currentProperty, formSchema) {
+  const schemas = getPropertySchemas(formSchema);
+  const relatedProperties = [...schemas[currentProperty].references];
 
-  if (matchingProperty) return matchingProperty;
-
-  for (const schema in formSchema) {
+  for (const schema in schemas) {
     // Don't bother comparing if it's the current property's schema
-    if (schema === currentProperty) continue;
+    if (schema === currentProperty || !schemas.hasOwnProperty(schema)) continue;
+
+    const { references, dependsOn } = schemas[schema];
+    if (relatedProperties.includes(schema)) continue;
 
-    // Find and return the matching property
     if (
-      formSchema.hasOwnProperty(schema) &&
-      formSchema[schema].matchingProperty === currentProperty
+      references.includes(currentProperty) ||
+      (dependsOn && getSiblingPath(schema, dependsOn) === currentProperty)
     )
-      return schema;
+      relatedProperties.push(schema);
   }
+  return relatedProperties;
+}
+
+/**
+ * Get the dotted path of a sibling property.
+ * @param {string} path - The dotted path of the property.
+ * @param {string} sibling - The name, or relative dotted path, of the sibling.
+ * @returns {string} The dotted path of the sibling from the root form.
+ */
+function getSiblingPath(path, sibling) {
+  const parentPath = path.split(".").slice(0, -1);
+  return [...parentPath, sibling].join(".");
 }
 
 export default useForm;
@@ -0,0 +1,161 @@
+import Schema from "../schema";
+import { VALIDATION_ERROR_MESSAGES as Messages } from "../constants";
+import { formatError } from "../locale";
+
+describe("Email validation", () => {
+  const validAddresses = [
+    "abc@def.com",
+    "first.last@example.com",
+    "me+news@example.com",
+    "a@b.co",
+    "hello@example.email",
+    "curator@louvre.museum",
+    "o'brien@example.ie",
+    "x_y-z@sub.domain.example.org",
+    "!#$%&'*+-/=?^_`{|}~@example.com",
+    "1234567890@example.com",
+    '"john doe"@example.com',
+    '"a@b"@example.com',
+    '"quote\\"d"@example.com',
+    "me@xn--bcher-kva.de",
+    "me@bücher.de",
+    "me@例え.テスト",
+    "me@my-domain.com",
+    "ME@EXAMPLE.COM",
+    `${"a".repeat(64)}@example.com`,
+    `me@${"a".repeat(63)}.com`,
+  ];
+
+  const invalidAddresses = [
+    "abc",
+    "@example.com",
+    "me@",
+    "me@example",
+    "me@@example.com",
+    "me@example..com",
+    "me@.example.com",
+    "me@example.com.",
+    "me@-example.com",
+    "me@example-.com",
+    "me@exa_mple.com",
+    "me@example.c",
+    "me@example.123",
+    ".me@example.com",
+    "me.@example.com",
+    "first..last@example.com",
+    "first last@example.com",
+    "me@exam ple.com",
+    'john"doe"@example.com',
+    '"unterminated@example.com',
+    "me(comment)@example.com",
+    "me@[192.168.0.1]",
+    "mé@example.com",
+    `${"a".repeat(65)}@example.com`,
+    `me@${"a".repeat(64)}.com`,
+    `me@${"abcdefghi.".repeat(25)}com`,
+  ];
+
+  validAddresses.forEach((address) => {
+    test(`should accept ${address}`, () => {
+      expect(new Schema().isEmail().validate(address).isValid).toBe(true);
+    });
+  });
+
+  invalidAddresses.forEach((address) => {
+    test(`should reject "${address}"`, () => {
+      expect(new Schema().isEmail().validate(address).errors).toEqual([
+        Messages.EMAIL,
+      ]);
+    });
+  });
+
+  const optionCases = [
+    {
+      options: { allowPlus: false },
+      valid: ["me@example.com", '"a"@example.com'],
+      invalid: ["me+news@example.com", '"a+b"@example.com'],
+    },
+    {
+      options: { allowIDN: false },
+      valid: ["me@xn--bcher-kva.de"],
+      invalid: ["me@bücher.de", "me@例え.テスト"],
+    },
+    {
+      options: { allowIP: true },
+      valid: [
+        "me@[192.168.0.1]",
+        "me@[IPv6:2001:db8::1]",
+        "me@[ipv6:::ffff:10.0.0.1]",
+        "me@example.com",
+      ],
+      invalid: [
+        "me@[256.0.0.1]",
+        "me@[192.168.0]",
+        "me@[2001:db8::1]",
+        "me@[IPv6:1::2::3]",
+        "me@[IPv6:192.168.0.1]",
+      ],
+    },
+    {
+      options: { requireTLD: false },
+      valid: ["me@localhost", "me@example.com", "me@host.123"],
+      invalid: ["me@-localhost", "me@"],
+    },
+    {
+      options: { tldList: ["com", "ORG"] },
+      valid: ["me@example.com", "me@example.org", "me@EXAMPLE.COM"],
+      invalid: ["me@example.net", "me@com", "me@example.email"],
+    },
+  ];
+
+  optionCases.forEach(({ options, valid, invalid }) => {
+    test(`should validate addresses with the options ${JSON.stringify(
+      options
+    )}`, () => {
+      const schema = new Schema().isEmail(options);
+
+      valid.forEach((address) => {
+        expect(schema.validate(address).isValid).toBe(true);
+      });
+      invalid.forEach((address) => {
+        expect(schema.validate(address).isValid).toBe(false);
+      });
+    });
+  });
+
+  test("should use the custom error message with or without options", () => {
+    expect(new Schema().isEmail("bad email").validate("a").errors).toEqual([
+      "bad email",
+    ]);
+    expect(
+      new Schema().isEmail({ allowIP: true }, "bad email").validate("a").errors
+    ).toEqual(["bad email"]);
+  });
+
+  const invalidOptions = [
+    { allowPlus: "no" },
+    { allowIP: 1 },
+    { tldList: "com" },
+    { tldList: ["com", 1] },
+    { unknown: true },
+  ];
+
+  invalidOptions.forEach((options) => {
+    test(`should throw TypeError when the options are ${JSON.stringify(
+      options
+    )}`, () => {
+      expect(() => new Schema().isEmail(options)).toThrow(
+        new TypeError(formatError("INVALID_OPTIONS", { rule: "isEmail" }))
+      );
+    });
+  });
+
+  test("should keep the options when serialized", () => {
+    const schema = new Schema().isEmail({ allowIP: true, tldList: ["com"] });
+    const copy = Schema.fromJSON(JSON.stringify(schema));
+
+    expect(copy.toJSON()).toEqual(schema.toJSON());
+    expect(copy.validate("me@[10.0.0.1]").isValid).toBe(true);
+    expect(copy.validate("me@example.org").isValid).toBe(false);
+  });
+});
@@ -0,0 +1,208 @@
+import Schema from "../schema";
+import validate from "../validate";
+import { VALIDATION_ERROR_MESSAGES as Messages } from "../constants";
+import { formatError, formatMessage, registerLocale } from "../locale";
+
+const SKU_RULE = {
+  name: "isSku",
+  factory: (prefix) => (value) => new RegExp(`^${prefix}-\\d+$`).test(value),
+  message: "must be a {0} SKU",
+  arity: 1,
+  minChars: (prefix) => prefix.length + 2,
+};
+
+const RULE_PACK = [
+  {
+    name: "isEmployeeId",
+    factory: () => (value) => /^E\d{5}$/.test(value),
+    message: "must be an employee ID",
+    minChars: 6,
+  },
+  {
+    name: "isEven",
+    type: "number",
+    factory: () => (value) => value % 2 === 0,
+    message: "must be even",
+  },
+];
+
+describe("Schema.extend", () => {
+  beforeEach(() => {
+    Schema.extend(SKU_RULE);
+    Schema.extend(RULE_PACK);
+  });
+
+  afterEach(() => {
+    Schema.removeRules();
+  });
+
+  test("should add a chainable method validating the rule", () => {
+    const schema = new Schema().isSku("ACME").max(20).isRequired();
+
+    expect(schema.validate("ACME-123").isValid).toBe(true);
+    expect(schema.validate("X-1", { includeRules: true })).toEqual({
+      isValid: false,
+      errors: ["must be a ACME SKU"],
+      failedRules: { isSku: true },
+      value: "X-1",
+    });
+  });
+
+  test("should register rule packs", () => {
+    expect(new Schema().isEmployeeId().validate("E12345").isValid).toBe(true);
+    expect(Schema.number().isEven().validate("3").errors).toEqual([
+      "must be even",
+    ]);
+  });
+
+  test("should use the custom error message given after the arguments", () => {
+    Schema.extend({
+      name: "isCode",
+      factory: (length = 4) => (value) => value.length === length,
+      message: "must be a code",
+      arity: 1,
+    });
+    expect(
+      new Schema().isCode(undefined, "bad code").validate("abc").errors
+    ).toEqual(["bad code"]);
+
+    expect(
+      new Schema().isSku("ACME", "bad {0} SKU").validate("X").errors
+    ).toEqual(["bad ACME SKU"]);
+    expect(new Schema().isEmployeeId("bad ID").validate("X").errors).toEqual([
+      "bad ID",
+    ]);
+  });
+
+  test("should give structured errors and translations under the rule key", () => {
+    registerLocale("fr", { messages: { RULE_IS_SKU: "doit être un SKU {0}" } });
+    const schema = { sku: new Schema().isSku("ACME") };
+
+    expect(
+      validate({ sku: "X" }, schema, { structuredErrors: true }).errors.sku
+    ).toEqual([
+      {
+        rule: "isSku",
+        code: "RULE_IS_SKU",
+        message: "must be a ACME SKU",
+        params: { 0: "ACME" },
+        path: "sku",
+      },
+    ]);
+    expect(validate({ sku: "X" }, schema, { locale: "fr" }).errors).toEqual({
+      sku: ["doit être un SKU ACME"],
+    });
+  });
+
+  test("should add the characters the rules require to the length checks", () => {
+    expect(() =>
+      new Schema().isSku("ACME").hasDigit().max(6).validateSchema()
+    ).toThrow(formatError("INVALID_MIN_MAX"));
+    expect(() => new Schema().isEmployeeId().min(5).validateSchema()).toThrow(
+      formatError("INVALID_MIN_MAX")
+    );
+    expect(() =>
+      new Schema().isSku("ACME").hasDigit().max(7).validateSchema()
+    ).not.toThrow();
+  });
+
+  test("should round-trip schemas using registered rules", () => {
+    const schema = new Schema().isSku("ACME", "bad SKU").isEmployeeId();
+    const copy = Schema.fromJSON(JSON.stringify(schema));
+
+    expect(copy.toJSON()).toEqual(schema.toJSON());
+    expect(copy.validate("X").errors).toEqual([
+      "bad SKU",
+      "must be an employee ID",
+    ]);
+  });
+
+  test("should throw error when the rule is used with another schema type", () => {
+    expect(() => Schema.number().isSku("A")).toThrow(
+      formatError("INVALID_RULE_TYPE", { rule: "isSku", type: "number" })
+    );
+  });
+
+  const invalidDefinitions = [
+    { description: "not an object", definition: "isSku" },
+    {
+      description: "missing a factory",
+      definition: { name: "a", message: "" },
+    },
+    {
+      description: "missing a message",
+      definition: { name: "a", factory: () => () => true },
+    },
+    {
+      description: "of a negative arity",
+      definition: { ...SKU_RULE, name: "a", arity: -1 },
+    },
+    {
+      description: "of an unknown type",
+      definition: { ...SKU_RULE, name: "a", type: "boolean" },
+    },
+  ];
+
+  invalidDefinitions.forEach(({ description, definition }) => {
+    test(`should throw TypeError when the definition is ${description}`, () => {
+      expect(() => Schema.extend(definition)).toThrow(
+        new TypeError(formatError("INVALID_RULE_DEFINITION"))
+      );
+    });
+  });
+
+  test("should keep the built-in rules and messages of the same name", () => {
+    Schema.extend({
+      name: "digit",
+      factory: () => (value) => value !== "0",
+      message: "must not be zero",
+    });
+    const schema = new Schema().hasDigit().digit();
+
+    expect(schema.validate("0").isValid).toBe(false);
+    expect(schema.validate("a").errors).toEqual([
+      formatMessage(Messages.DIGIT, { count: 1 }),
+    ]);
+  });
+
+  test("should throw error when another rule has the message key", () => {
+    expect(() => Schema.extend({ ...SKU_RULE, name: "isSKU" })).toThrow(
+      formatError("MESSAGE_KEY_EXISTS", { key: "RULE_IS_SKU" })
+    );
+  });
+
+  test("should remove registered rules", () => {
+    const json = new Schema().isSku("ACME").toJSON();
+    Schema.removeRules(["isSku"]);
+
+    expect("isSku" in new Schema()).toBe(false);
+    expect(new Schema().isEmployeeId).toBeInstanceOf(Function);
+    expect(() => Schema.fromJSON(json)).toThrow(
+      formatError("UNKNOWN_RULE", { rule: "isSku" })
+    );
+    expect(() => Schema.extend(SKU_RULE)).not.toThrow();
+  });
+
+  test("should not keep the rules registered by other tests", () => {
+    expect("isCode" in new Schema()).toBe(false);
+    expect("digit" in new Schema()).toBe(false);
+  });
+
+  test("should throw error when removing rules that were not registered", () => {
+    expect(() => Schema.removeRules(["min"])).toThrow(
+      formatError("UNKNOWN_RULE", { rule: "min" })
+    );
+    expect(() => Schema.removeRules(["toString"])).toThrow(
+      formatError("UNKNOWN_RULE", { rule: "toString" })
+    );
+  });
+
+  test("should throw error when a schema method has the name", () => {
+    expect(() => Schema.extend({ ...SKU_RULE, name: "min" })).toThrow(
+      formatError("RULE_EXISTS", { rule: "min" })
+    );
+    expect(() => Schema.extend(SKU_RULE)).toThrow(
+      formatError("RULE_EXISTS", { rule: "isSku" })
+    );
+  });
+});
@@ -0,0 +1,222 @@
+import { VALIDATION_ERROR_MESSAGES as Messages } from "../constants";
+import { formatError } from "../locale";
+import Schema from "../schema";
+import FormSchema from "../formSchema";
+import validate, { validateAsync } from "../validate";
+
+const SIGNUP_FORM = {
+  email: "a@b.com",
+  password: "abcd1234",
+  confirmPassword: "abcd1234",
+  address: { city: "Paris", postcode: "75001" },
+};
+
+function createSignup() {
+  return new FormSchema({
+    email: new Schema().isEmail().isRequired(),
+    password: new Schema().min(8).isRequired("enter a password"),
+    confirmPassword: new Schema().matches("password").isRequired(),
+    address: new FormSchema({
+      city: new Schema().isRequired(),
+      postcode: new Schema().max(10),
+    }),
+  });
+}
+
+/**
+ * Keep the first error of each property, the required error of empty ones.
+ * @param {Object<string, string[]>} errors - The form errors.
+ * @returns {Object<string, string[]>} The first errors.
+ */
+function getFirstErrors(errors) {
+  const result = {};
+  Object.keys(errors).forEach((path) => {
+    result[path] = errors[path].slice(0, 1);
+  });
+  return result;
+}
+
+describe("FormSchema", () => {
+  test("should be validated as its property schemas", () => {
+    const signup = createSignup();
+
+    expect(validate(SIGNUP_FORM, signup).isValid).toBe(true);
+    expect(getFirstErrors(validate({}, signup).errors)).toEqual({
+      email: [Messages.REQUIRED],
+      password: ["enter a password"],
+      confirmPassword: [Messages.REQUIRED],
+      "address.city": [Messages.REQUIRED],
+    });
+  });
+
+  test("should be validated asynchronously as its property schemas", async () => {
+    const { isValid } = await validateAsync(SIGNUP_FORM, createSignup());
+    expect(isValid).toBe(true);
+  });
+
+  test("should have frozen property schemas", () => {
+    const { shape } = createSignup();
+
+    expect(Object.isFrozen(shape)).toBe(true);
+    expect(Object.isFrozen(shape.address)).toBe(true);
+    expect(shape.email).toBeInstanceOf(Schema);
+  });
+
+  test("should add and replace properties with extend", () => {
+    const formSchema = createSignup().extend({
+      email: new Schema(),
+      terms: new Schema().isRequired(),
+    });
+
+    expect(Object.keys(formSchema.shape)).toEqual([
+      "email",
+      "password",
+      "confirmPassword",
+      "address",
+      "terms",
+    ]);
+    expect(
+      validate({ ...SIGNUP_FORM, email: "", terms: "" }, formSchema).errors
+    ).toEqual({
+      terms: [Messages.REQUIRED],
+    });
+  });
+
+  test("should merge the properties of form schemas", () => {
+    const account = new FormSchema({ email: new Schema().isEmail() });
+    const profile = new FormSchema({ email: new Schema(), name: new Schema() });
+    const { shape } = account.merge(profile);
+
+    expect(shape).toEqual({
+      email: profile.shape.email,
+      name: profile.shape.name,
+    });
+    expect(() => account.merge({ name: new Schema() })).toThrow(
+      new TypeError(formatError("INVALID_FORM_SCHEMA"))
+    );
+  });
+
+  test("should keep the picked properties only", () => {
+    const formSchema = createSignup().pick(["email", "address"]);
+    expect(Object.keys(formSchema.shape)).toEqual(["email", "address"]);
+  });
+
+  test("should leave the omitted properties out", () => {
+    const formSchema = createSignup().omit(["password", "confirmPassword"]);
+    expect(Object.keys(formSchema.shape)).toEqual(["email", "address"]);
+  });
+
+  test("should throw error when picking or omitting unknown properties", () => {
+    const error = formatError("UNKNOWN_PROPERTY", { property: "name" });
+
+    expect(() => createSignup().pick(["name"])).toThrow(error);
+    expect(() => createSignup().omit(["name"])).toThrow(error);
+  });
+
+  test("should make every property optional with partial", () => {
+    const signup = createSignup();
+    const patch = signup.partial();
+
+    expect(validate({}, patch).isValid).toBe(true);
+    expect(validate({ password: "abc" }, patch).errors).toEqual({
+      password: [expect.stringContaining("8")],
+    });
+    // The original property schemas are unchanged
+    expect(validate({}, signup).isValid).toBe(false);
+  });
+
+  test("should make every property required with required", () => {
+    const { errors } = validate({}, createSignup().partial().required());
+
+    expect(getFirstErrors(errors)).toEqual({
+      email: [Messages.REQUIRED],
+      password: [Messages.REQUIRED],
+      confirmPassword: [Messages.REQUIRED],
+      "address.city": [Messages.REQUIRED],
+      "address.postcode": [Messages.REQUIRED],
+    });
+  });
+
+  test("should keep the custom error of required properties", () => {
+    const { errors } = validate({}, createSignup().required());
+    expect(errors.password[0]).toBe("enter a password");
+  });
+
+  test("should make the branches of conditional schemas optional", () => {
+    const formSchema = new FormSchema({
+      type: new Schema(),
+      company: Schema.when("type", "business", new Schema().isRequired()),
+    }).partial();
+
+    expect(validate({ type: "business" }, formSchema).isValid).toBe(true);
+  });
+
+  test("should round-trip through JSON", () => {
+    const formSchema = FormSchema.fromJSON(JSON.stringify(createSignup()));
+
+    expect(formSchema).toBeInstanceOf(FormSchema);
+    expect(formSchema.toJSON()).toEqual(createSignup().toJSON());
+  });
+
+  const invalidReferences = [
+    {
+      description: "is missing",
+      shape: { confirm: new Schema().matches("password") },
+      property: "password",
+    },
+    {
+      description: "is a nested form",
+      shape: {
+        account: { password: new Schema() },
+        confirm: new Schema().greaterThanField("account"),
+      },
+      property: "account",
+    },
+    {
+      description: "is in a branch of a conditional schema",
+      shape: {
+        type: new Schema(),
+        confirm: Schema.when("type", "a", new Schema().matches("password")),
+      },
+      property: "password",
+    },
+  ];
+
+  invalidReferences.forEach(({ description, shape, property }) => {
+    test(`should throw error when a referenced property ${description}`, () => {
+      expect(() => new FormSchema(shape)).toThrow(
+        formatError("NO_MATCHING_PROPERTY", { property })
+      );
+    });
+  });
+
+  test("should check references when deriving form schemas", () => {
+    expect(() => createSignup().omit(["password"])).toThrow(
+      formatError("NO_MATCHING_PROPERTY", { property: "password" })
+    );
+    expect(
+      () =>
+        new FormSchema({
+          account: { password: new Schema() },
+          confirm: new Schema().matches("account.password"),
+        })
+    ).not.toThrow();
+  });
+
+  const invalidShapes = [
+    { description: "not an object", shape: [] },
+    { description: "a property that is not a schema", shape: { a: "abc" } },
+    {
+      description: "a nested property that is not a schema",
+      shape: { a: { b: 1 } },
+    },
+  ];
+
+  invalidShapes.forEach(({ description, shape }) => {
+    test(`should throw TypeError when the shape is ${description}`, () => {
+      expect(() => new FormSchema(shape)).toThrow(
+        new TypeError(formatError("INVALID_FORM_SCHEMA"))
+      );
+    });
+  });
+});
@@ -0,0 +1,299 @@
+import Schema from "../schema";
+import FormSchema from "../formSchema";
+import validate from "../validate";
+import { fromJSONSchema, toJSONSchema } from "../jsonSchema";
+import { VALIDATION_ERROR_MESSAGES as Messages } from "../constants";
+
+const JSON_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  type: "object",
+  properties: {
+    name: { type: "string", title: "Name", minLength: 2, maxLength: 20 },
+    email: { type: "string", format: "email", description: "Work email" },
+    code: { type: "string", pattern: "^[A-Z]{3}$" },
+    age: { type: "integer", minimum: 18, maximum: 99 },
+    price: { type: "number", exclusiveMinimum: 0, multipleOf: 0.01 },
+    birthday: { type: "string", format: "date" },
+    tags: {
+      type: "array",
+      items: { type: "string", minLength: 1 },
+      minItems: 1,
+      maxItems: 3,
+      uniqueItems: true,
+    },
+    address: {
+      type: "object",
+      properties: { postcode: { type: "string", maxLength: 8 } },
+      required: ["postcode"],
+    },
+  },
+  required: ["name", "email", "tags"],
+};
+
+describe("fromJSONSchema", () => {
+  test("should map the JSON Schema keywords to schema rules", () => {
+    const { schema, unmapped } = fromJSONSchema(JSON_SCHEMA);
+
+    expect(unmapped).toEqual([]);
+    expect(Object.keys(schema)).toEqual(Object.keys(JSON_SCHEMA.properties));
+    expect(schema.name.describe().rules).toEqual([
+      { name: "label", args: ["Name"] },
+      { name: "min", args: [2, undefined] },
+      { name: "max", args: [20, undefined] },
+      { name: "isRequired", args: [undefined] },
+    ]);
+    expect(schema.birthday.type).toBe("date");
+    expect(schema.address.postcode).toBeInstanceOf(Schema);
+  });
+
+  test("should validate forms like the JSON Schema", () => {
+    const { schema } = fromJSONSchema(JSON_SCHEMA);
+    const form = {
+      name: "a",
+      email: "abc@def.com",
+      code: "ABC",
+      age: "17",
+      price: "9.99",
+      birthday: "2000-02-29",
+      tags: ["a"],
+      address: { postcode: "" },
+    };
+
+    expect(schema.age.validate("18").isValid).toBe(true);
+    expect(schema.code.validate("AB").isValid).toBe(false);
+    expect(schema.tags.validate(["a", "a"]).errors).toEqual([Messages.UNIQUE]);
+    expect(schema.email.validate("").errors).toContain(Messages.REQUIRED);
+    expect(Object.keys(validate(form, schema).errors)).toEqual([
+      "name",
+      "age",
+      "address.postcode",
+    ]);
+  });
+
+  test("should report the keywords that cannot be mapped", () => {
+    const { schema, unmapped } = fromJSONSchema({
+      type: "object",
+      properties: {
+        website: { type: "string", format: "uri", minLength: 1 },
+        "a/b": { type: "number", minimum: 1 },
+        agreed: { type: "boolean" },
+        nested: { type: "object", properties: {} },
+      },
+      required: ["agreed", "nested"],
+      additionalProperties: false,
+    });
+
+    expect(Object.keys(schema)).toEqual(["website", "a/b", "nested"]);
+    expect(unmapped).toEqual([
+      {
+        pointer: "/properties/website/format",
+        keyword: "format",
+        value: "uri",
+      },
+      { pointer: "/properties/a~1b/minimum", keyword: "minimum", value: 1 },
+      { pointer: "/properties/agreed/type", keyword: "type", value: "boolean" },
+      { pointer: "/required", keyword: "required", value: "agreed" },
+      { pointer: "/required", keyword: "required", value: "nested" },
+      {
+        pointer: "/additionalProperties",
+        keyword: "additionalProperties",
+        value: false,
+      },
+    ]);
+  });
+
+  test("should report the keywords with invalid values", () => {
+    const { schema, unmapped } = fromJSONSchema({
+      type: "string",
+      pattern: "(",
+      minLength: "2",
+    });
+
+    expect(schema.validate("a").isValid).toBe(true);
+    expect(unmapped).toEqual([
+      { pointer: "/pattern", keyword: "pattern", value: "(" },
+      { pointer: "/minLength", keyword: "minLength", value: "2" },
+    ]);
+  });
+
+  const formats = [
+    { format: "uuid", valid: "f47ac10b-58cc-4372-a567-0e02b2c3d479" },
+    { format: "ipv4", valid: "192.168.0.1" },
+    { format: "ipv6", valid: "2001:db8::1" },
+  ];
+
+  formats.forEach(({ format, valid }) => {
+    test(`should map the ${format} format`, () => {
+      const { schema, unmapped } = fromJSONSchema({ type: "string", format });
+
+      expect(unmapped).toEqual([]);
+      expect(schema.validate(valid).isValid).toBe(true);
+      expect(schema.validate("abc").isValid).toBe(false);
+    });
+  });
+
+  test("should throw TypeError when the JSON Schema is not an object", () => {
+    expect(() => fromJSONSchema(true)).toThrowError(TypeError);
+  });
+});
+
+describe("toJSONSchema", () => {
+  test("should map the schema rules to JSON Schema keywords", () => {
+    const { schema } = fromJSONSchema(JSON_SCHEMA);
+    const { jsonSchema, unmapped } = toJSONSchema(schema);
+
+    expect(unmapped).toEqual([]);
+    expect(jsonSchema).toEqual({
+      ...JSON_SCHEMA,
+      properties: {
+        ...JSON_SCHEMA.properties,
+        email: { type: "string", format: "email" },
+        birthday: { type: "string", format: "date-time" },
+      },
+    });
+  });
+
+  test("should convert form schemas to object JSON Schemas", () => {
+    const formSchema = new FormSchema({
+      email: new Schema().isEmail().isRequired(),
+      address: { city: new Schema() },
+    });
+
+    expect(toJSONSchema(formSchema).jsonSchema).toEqual({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "object",
+      properties: {
+        email: { type: "string", format: "email" },
+        address: { type: "object", properties: { city: { type: "string" } } },
+      },
+      required: ["email"],
+    });
+  });
+
+  test("should report the rules that cannot be mapped", () => {
+    const { jsonSchema, unmapped } = toJSONSchema({
+      password: new Schema().min(8, "too short").hasDigit().isRequired(),
+      confirm: new Schema().matches("password"),
+      code: new Schema().hasPattern(/^[a-z]+$/i),
+      plan: Schema.when("a", "b", new Schema()),
+    });
+
+    expect(jsonSchema.properties.password).toEqual({
+      type: "string",
+      minLength: 8,
+    });
+    expect(jsonSchema.required).toEqual(["password"]);
+    expect(unmapped).toEqual([
+      {
+        pointer: "/properties/password/min",
+        keyword: "min",
+        value: [8, "too short"],
+      },
+      {
+        pointer: "/properties/password/hasDigit",
+        keyword: "hasDigit",
+        value: [1, undefined],
+      },
+      {
+        pointer: "/properties/confirm/matches",
+        keyword: "matches",
+        value: ["password", undefined],
+      },
+      {
+        pointer: "/properties/code/hasPattern",
+        keyword: "hasPattern",
+        value: [/^[a-z]+$/i, undefined, undefined],
+      },
+      { pointer: "/properties/plan/when", keyword: "when", value: ["a", "b"] },
+    ]);
+  });
+
+  test("should map string patterns", () => {
+    const { jsonSchema, unmapped } = toJSONSchema(
+      new Schema().hasPattern("^a+$").doesNotMatch("\\s")
+    );
+
+    expect(jsonSchema).toEqual({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "string",
+      pattern: "^a+$",
+      not: { pattern: "\\s" },
+    });
+    expect(unmapped).toEqual([]);
+  });
+
+  test("should map the first pattern and negated patterns only", () => {
+    const { jsonSchema, unmapped } = toJSONSchema(
+      new Schema().hasPattern(/^a/).hasPattern(/b$/).doesNotMatch(/\s/)
+    );
+
+    expect(jsonSchema).toEqual({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "string",
+      pattern: "^a",
+      not: { pattern: "\\s" },
+    });
+    expect(unmapped).toEqual([
+      {
+        pointer: "/hasPattern",
+        keyword: "hasPattern",
+        value: [/b$/, undefined, undefined],
+      },
+    ]);
+  });
+
+  test("should map the format rules", () => {
+    const { jsonSchema, unmapped } = toJSONSchema({
+      id: new Schema().isUUID(),
+      ip: new Schema().isIPv6(),
+      site: new Schema().isUrl(),
+    });
+
+    expect(jsonSchema.properties).toEqual({
+      id: { type: "string", format: "uuid" },
+      ip: { type: "string", format: "ipv6" },
+      site: { type: "string", format: "uri" },
+    });
+    expect(unmapped).toEqual([
+      {
+        pointer: "/properties/site/isUrl",
+        keyword: "isUrl",
+        value: [undefined, undefined],
+      },
+    ]);
+  });
+
+  test("should map combinators to JSON Schema combinators", () => {
+    const { jsonSchema, unmapped } = toJSONSchema(
+      Schema.anyOf([new Schema().isEmail(), new Schema().max(20)]).not()
+    );
+
+    expect(jsonSchema).toEqual({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "string",
+      not: {
+        type: "string",
+        anyOf: [
+          { type: "string", format: "email" },
+          { type: "string", maxLength: 20 },
+        ],
+      },
+    });
+    expect(unmapped).toEqual([]);
+  });
+
+  test("should report the required rule of single schemas", () => {
+    const { jsonSchema, unmapped } = toJSONSchema(
+      Schema.number().positive().greaterThan(5).isRequired()
+    );
+
+    expect(jsonSchema).toEqual({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      type: "number",
+      exclusiveMinimum: 5,
+    });
+    expect(unmapped).toEqual([
+      { pointer: "/isRequired", keyword: "isRequired", value: [undefined] },
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+import Schema from "../schema";
+import validate from "../validate";
+import {
+  setLocale,
+  getLocale,
+  registerLocale,
+  formatMessage,
+  formatError,
+  formatList,
+} from "../locale";
+import { VALIDATION_ERROR_MESSAGES as Messages } from "../constants";
+
+describe("Locale", () => {
+  afterEach(() => setLocale("en"));
+
+  const pluralCases = [
+    { min: 1, expected: "must be at least 1 character long" },
+    { min: 2, expected: "must be at least 2 characters long" },
+    { min: 0, expected: "must be at least 0 characters long" },
+  ];
+
+  pluralCases.forEach(({ min, expected }) => {
+    test(`should select the plural form when count is ${min}`, () => {
+      expect(formatMessage(Messages.MIN_LENGTH, { length: min })).toBe(
+        expected
+      );
+    });
+  });
+
+  test("should select exact plural forms before categories", () => {
+    const message =
+      "{count, plural, =0 {no item} one {# item} other {# items}}";
+
+    expect(formatMessage(message, { count: 0 })).toBe("no item");
+    expect(formatMessage(message, { count: 1 })).toBe("1 item");
+  });
+
+  test("should render the messages in the current locale", () => {
+    setLocale("fr");
+
+    expect(getLocale()).toBe("fr");
+    expect(new Schema().min(2).validate("a").errors).toEqual([
+      "doit contenir au moins 2 caractères",
+    ]);
+    expect(Schema.number().validate("abc").errors).toEqual([
+      "doit être un nombre valide",
+    ]);
+  });
+
+  test("should render the messages in the locale of the validation", () => {
+    const schema = { name: new Schema().label("Nom").isRequired() };
+    const options = { locale: "fr", includeLabel: true };
+
+    expect(validate({ name: "" }, schema, options).errors).toEqual({
+      name: ["ne doit pas être vide"],
+    });
+    expect(schema.name.validate("", { includeLabel: true }).errors).toEqual([
+      Messages.REQUIRED,
+    ]);
+    expect(
+      new Schema().label("Nom").max(1).validate("ab", options).errors
+    ).toEqual(["Nom ne peut pas dépasser 1 caractère"]);
+  });
+
+  test("should fall back to the language, then to English", () => {
+    registerLocale("fr", { messages: {} });
+    registerLocale("xx", { messages: { REQUIRED: "xx required" } });
+
+    expect(
+      new Schema().isRequired().validate("", { locale: "fr-CA" }).errors
+    ).toEqual(["ne doit pas être vide"]);
+    expect(
+      new Schema().isRequired().validate("", { locale: "xx" }).errors
+    ).toEqual(["xx required"]);
+    expect(
+      new Schema().hasDigit().validate("a", { locale: "xx" }).errors
+    ).toEqual([formatMessage(Messages.DIGIT, { count: 1 })]);
+  });
+
+  test("should replace the placeholders of custom messages", () => {
+    const schema = Schema.number().between(1, 5, "from {min} to {max}");
+
+    expect(schema.validate("6").errors).toEqual(["from 1 to 5"]);
+  });
+
+  test("should render schema errors in the current locale", () => {
+    registerLocale("xx", { errors: { UNKNOWN_RULE: "xx {rule}" } });
+    setLocale("xx");
+
+    expect(formatError("UNKNOWN_RULE", { rule: "abc" })).toBe("xx abc");
+  });
+
+  const lists = [
+    { items: ["a"], type: "conjunction", locale: "en", expected: "a" },
+    {
+      items: ["a", "b", "c"],
+      type: "conjunction",
+      locale: "en",
+      expected: "a, b and c",
+    },
+    {
+      items: ["a", "b"],
+      type: "disjunction",
+      locale: "en",
+      expected: "a or b",
+    },
+    {
+      items: ["a", "b", "c"],
+      type: "disjunction",
+      locale: "fr",
+      expected: "a, b ou c",
+    },
+  ];
+
+  lists.forEach(({ items, type, locale, expected }) => {
+    test(`should join a ${type} list in ${locale} without Intl.ListFormat`, () => {
+      const { ListFormat } = Intl;
+      delete Intl.ListFormat;
+
+      try {
+        expect(formatList(items, type, locale)).toBe(expected);
+      } finally {
+        Intl.ListFormat = ListFormat;
+      }
+    });
+  });
+
+  test("should throw error when the locale is not registered", () => {
+    expect(() => setLocale("de")).toThrow(
+      formatError("UNKNOWN_LOCALE", { locale: "de" })
+    );
+    expect(getLocale()).toBe("en");
+  });
+});
@@ -0,0 +1,78 @@
+import { getPasswordStrength } from "../passwordStrength";
+import { setLocale } from "../locale";
+import { VALIDATION_ERROR_MESSAGES as Messages } from "../constants";
+
+describe("Password strength", () => {
+  const passwords = [
+    {
+      password: "Password1!",
+      score: 0,
+      feedback: [Messages.FEEDBACK_DICTIONARY, Messages.FEEDBACK_LENGTH],
+    },
+    {
+      password: "P@ssw0rd",
+      score: 0,
+      feedback: [Messages.FEEDBACK_DICTIONARY, Messages.FEEDBACK_LENGTH],
+    },
+    {
+      password: "aaaaaaaa",
+      score: 0,
+      feedback: [Messages.FEEDBACK_REPEAT, Messages.FEEDBACK_LENGTH],
+    },
+    {
+      password: "abcdefgh",
+      score: 0,
+      feedback: [Messages.FEEDBACK_SEQUENCE, Messages.FEEDBACK_LENGTH],
+    },
+    {
+      password: "1qaz2wsx",
+      score: 1,
+      feedback: [Messages.FEEDBACK_KEYBOARD, Messages.FEEDBACK_LENGTH],
+    },
+    { password: "", score: 0, feedback: [Messages.FEEDBACK_LENGTH] },
+    { password: "xK9#mQ2$vL", score: 4, feedback: [] },
+    { password: "correct horse battery staple", score: 4, feedback: [] },
+  ];
+
+  passwords.forEach(({ password, score, feedback }) => {
+    test(`should score "${password}" ${score} out of 4`, () => {
+      expect(getPasswordStrength(password)).toEqual({
+        score,
+        entropy: expect.any(Number),
+        feedback,
+      });
+    });
+  });
+
+  test("should need more guesses for longer passwords", () => {
+    const { entropy } = getPasswordStrength("monkey");
+
+    expect(getPasswordStrength("monkey7").entropy).toBeGreaterThan(entropy);
+    expect(getPasswordStrength("Monkey").entropy).toBeGreaterThan(entropy);
+  });
+
+  const longPasswords = ["a".repeat(100), "ab".repeat(50), "abc".repeat(400)];
+
+  longPasswords.forEach((password) => {
+    test(`should estimate a repeated password of ${password.length} characters quickly`, () => {
+      const start = Date.now();
+      const { score } = getPasswordStrength(password);
+
+      expect(Date.now() - start).toBeLessThan(1000);
+      expect(score).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  test("should render the feedback in the given locale", () => {
+    expect(getPasswordStrength("aaa", "fr").feedback).toEqual([
+      "Évitez les caractères et mots répétés",
+      "Ajoutez des mots ou des caractères",
+    ]);
+
+    setLocale("fr");
+    expect(getPasswordStrength("").feedback).toEqual([
+      "Ajoutez des mots ou des caractères",
+    ]);
+    setLocale("en");
+  });
+});
@@ -1,5 +1,10 @@
 import Schema from "../schema";
-import { ERROR_MESSAGES as Errors } from "../constants";
+import { ValidationError } from "../errors";
+import {
+  ERROR_MESSAGES as Errors,
+  VALIDATION_ERROR_MESSAGES as Messages,
+} from "../constants";
+import { formatError, formatMessage } from "../locale";
 
 describe("Schema", () => {
   test("should set all validation rules", () => {
@@ -13,12 +18,33 @@ describe("Schema", () => {
     expect(schema.rules.length).toBe(4);
   });
 
+  test("should not count custom rules as required characters", () => {
+    expect(() =>
+      new Schema()
+        .min(1)
+        .hasDigit()
+        .custom("abc", () => true)
+        .validateSchema()
+    ).not.toThrow();
+  });
+
   describe("Special validation rules", () => {
     const specialProperties = [
       {
         name: "matching property",
         schema: new Schema().hasDigit().matches("abc").validateSchema(),
       },
+    ];
+
+    specialProperties.forEach(({ name, schema }) => {
+      test(`should return label, required status and only the ${name} rule when set`, () => {
+        expect(schema.label).not.toBe(null);
+        expect(schema.required).not.toBe(null);
+        expect(schema.rules.length).toBe(1);
+      });
+    });
+
+    const combinedProperties = [
       {
         name: "email",
         schema: new Schema().hasDigit().isEmail().validateSchema(),
@@ -29,13 +55,82 @@ describe("Schema", () => {
       },
     ];
 
-    specialProperties.forEach(({ name, schema }) => {
-      test(`should return label, required status and only the ${name} rule when set`, () => {
-        expect(schema.label).not.toBe(null);
-        expect(schema.required).not.toBe(null);
-        expect(schema.rules.length).toBe(1);
+    combinedProperties.forEach(({ name, schema }) => {
+      test(`should return the ${name} rule along with the other rules`, () => {
+        expect(schema.rules.length).toBe(2);
       });
     });
+
+    test("should add a rule for each pattern", () => {
+      const { rules } = new Schema()
+        .hasPattern(/a/)
+        .hasPattern(/b/)
+        .doesNotMatch(/c/)
+        .hasPattern(/d/, undefined, "named")
+        .validateSchema();
+
+      expect(rules.map(({ name }) => name)).toEqual([
+        "pattern",
+        "pattern",
+        "doesNotMatch",
+        "named",
+      ]);
+    });
+
+    const invalidCombinators = [
+      { description: "no schemas", combine: () => Schema.anyOf([]) },
+      { description: "a value", combine: () => Schema.allOf(["abc"]) },
+      {
+        description: "schemas of different types",
+        combine: () => Schema.anyOf([new Schema(), Schema.number()]),
+      },
+      {
+        description: "schemas of another type",
+        combine: () => new Schema().allOf([Schema.date()]),
+      },
+    ];
+
+    invalidCombinators.forEach(({ description, combine }) => {
+      test(`should throw error when combining ${description}`, () => {
+        expect(combine).toThrow();
+      });
+    });
+
+    const invalidCounts = [
+      { rule: "hasDigit", count: 0 },
+      { rule: "hasSymbol", count: -1 },
+      { rule: "maxRepeatedChars", count: 0 },
+      { rule: "noSequentialChars", count: 1 },
+    ];
+
+    invalidCounts.forEach(({ rule, count }) => {
+      test(`should throw RangeError when the ${rule} count is ${count}`, () => {
+        expect(() => new Schema()[rule](count)).toThrowError(RangeError);
+      });
+    });
+
+    test("should throw error when the symbols are empty or not a string", () => {
+      expect(() => new Schema().hasSymbol(1, undefined, "")).toThrow(
+        formatError("INVALID_SYMBOLS")
+      );
+      expect(() => new Schema().hasSymbol(1, undefined, 1)).toThrowError(
+        TypeError
+      );
+    });
+
+    const invalidScores = [-1, 5];
+
+    invalidScores.forEach((score) => {
+      test(`should throw RangeError when the strength score is ${score}`, () => {
+        expect(() => new Schema().strength(score)).toThrow(
+          new RangeError(formatError("INVALID_SCORE"))
+        );
+      });
+    });
+
+    test("should throw error when the pattern name is empty", () => {
+      expect(() => new Schema().hasPattern(/a/, undefined, "")).toThrow();
+    });
   });
 
   describe("Min max validation", () => {
@@ -55,17 +150,312 @@ describe("Schema", () => {
       ).toThrow(Errors.INVALID_MIN_MAX);
     });
 
+    test("should add up the character counts required", () => {
+      expect(() =>
+        new Schema().hasDigit(2).hasSymbol(2).max(3).validateSchema()
+      ).toThrow(Errors.INVALID_MIN_MAX);
+      expect(() =>
+        new Schema().hasDigit(2).hasSymbol(2).min(4).validateSchema()
+      ).not.toThrow();
+    });
+
     test("should throw RangeError when minimum or maximum length is negative", () => {
       expect(() => new Schema().min(-1)).toThrowError(RangeError);
       expect(() => new Schema().max(-1)).toThrowError(RangeError);
     });
   });
 
+  describe("Number validation", () => {
+    const conflictingRanges = [
+      { name: "between", schema: () => Schema.number().between(10, 5) },
+      {
+        name: "greaterThan and lessThan",
+        schema: () => Schema.number().greaterThan(5).lessThan(5),
+      },
+      {
+        name: "between and greaterThan",
+        schema: () => Schema.number().between(1, 10).greaterThan(10),
+      },
+      {
+        name: "positive and lessThan",
+        schema: () => Schema.number().positive().lessThan(0),
+      },
+      {
+        name: "integer",
+        schema: () => Schema.number().integer().greaterThan(1).lessThan(2),
+      },
+      {
+        name: "integer and between",
+        schema: () => Schema.number().integer().between(1.2, 1.8),
+      },
+    ];
+
+    conflictingRanges.forEach(({ name, schema }) => {
+      test(`should throw error when ${name} bounds conflict`, () => {
+        expect(() => schema().validateSchema()).toThrow(Errors.INVALID_RANGE);
+      });
+    });
+
+    test("should not throw error when inclusive bounds meet", () => {
+      expect(() =>
+        Schema.number().between(1, 5).between(5, 5).validateSchema()
+      ).not.toThrow();
+    });
+    test("should not throw error when integer bounds leave an integer", () => {
+      expect(() =>
+        Schema.number().integer().greaterThan(1).lessThan(3).validateSchema()
+      ).not.toThrow();
+      expect(() =>
+        Schema.number().integer().between(1.5, 2).validateSchema()
+      ).not.toThrow();
+    });
+
+    test("should throw error when number rules are used with string schemas and vice versa", () => {
+      expect(() => new Schema().integer()).toThrow(
+        formatError("INVALID_RULE_TYPE", { rule: "integer", type: "string" })
+      );
+      expect(() => Schema.number().min(1)).toThrow(
+        formatError("INVALID_RULE_TYPE", { rule: "min", type: "number" })
+      );
+    });
+
+    test("should throw RangeError when factor is not positive or precision is negative", () => {
+      expect(() => Schema.number().multipleOf(0)).toThrowError(RangeError);
+      expect(() => Schema.number().precision(-1)).toThrowError(RangeError);
+    });
+
+    test("should throw TypeError when bounds are not finite numbers", () => {
+      expect(() => Schema.number().greaterThan("1")).toThrowError(TypeError);
+      expect(() => Schema.number().between(1, Infinity)).toThrowError(
+        TypeError
+      );
+    });
+  });
+
+  describe("Date validation", () => {
+    test("should throw error when after bound is not before the before bound", () => {
+      expect(() =>
+        Schema.date().after("2020-01-01").before("2019-12-31").validateSchema()
+      ).toThrow(Errors.INVALID_RANGE);
+
+      expect(() =>
+        Schema.date().after("today").before("1 year ago").validateSchema()
+      ).toThrow(Errors.INVALID_RANGE);
+    });
+
+    test("should throw TypeError when bound is not a date", () => {
+      expect(() => Schema.date().before("2023-02-30")).toThrowError(TypeError);
+      expect(() => Schema.date().after("soon")).toThrowError(TypeError);
+      expect(() => Schema.date().after(1)).toThrowError(TypeError);
+    });
+
+    test("should throw error when date rules are used with other schemas", () => {
+      expect(() => new Schema().before("now")).toThrow(
+        formatError("INVALID_RULE_TYPE", { rule: "before", type: "string" })
+      );
+    });
+  });
+
+  describe("Array validation", () => {
+    test("should throw error when minimum items is greater than the maximum", () => {
+      expect(() =>
+        Schema.array().minItems(3).maxItems(2).validateSchema()
+      ).toThrow(Errors.INVALID_RANGE);
+    });
+
+    test("should validate the item schema", () => {
+      expect(() =>
+        Schema.array().of(new Schema().min(3).max(2)).validateSchema()
+      ).toThrow(Errors.INVALID_MIN_OVER_MAX);
+    });
+
+    test("should throw TypeError when item schema is not a schema", () => {
+      expect(() => Schema.array().of({})).toThrowError(TypeError);
+    });
+
+    test("should expose the schema type", () => {
+      expect(new Schema().type).toBe("string");
+      expect(Schema.array().type).toBe("array");
+    });
+  });
+
+  describe("Transforms", () => {
+    test("should throw error when transforms are used with other schema types", () => {
+      expect(() => Schema.number().trim()).toThrow(
+        formatError("INVALID_RULE_TYPE", { rule: "trim", type: "number" })
+      );
+      expect(() => new Schema().toNumber()).toThrow(
+        formatError("INVALID_RULE_TYPE", { rule: "toNumber", type: "string" })
+      );
+    });
+  });
+
+  describe("Conditional schemas", () => {
+    const thenSchema = new Schema().isRequired();
+    const otherwiseSchema = new Schema().max(2);
+
+    test("should resolve to the branch satisfying the predicate", () => {
+      const schema = Schema.when(
+        "country",
+        (country) => ["FR", "DE"].includes(country),
+        thenSchema,
+        otherwiseSchema
+      );
+
+      expect(schema.dependsOn).toBe("country");
+      expect(schema.resolve({ country: "FR" })).toBe(thenSchema);
+      expect(schema.resolve({ country: "US" })).toBe(otherwiseSchema);
+    });
+
+    test("should compare the sibling value when predicate is not a function", () => {
+      const schema = Schema.when("type", "business", thenSchema);
+
+      expect(schema.resolve({ type: "business" })).toBe(thenSchema);
+      expect(
+        schema.resolve({ type: "personal" }).validateSchema().rules
+      ).toEqual([]);
+    });
+
+    test("should throw error when validating a conditional schema outside a form", () => {
+      expect(() => Schema.when("a", "b", thenSchema).validateSchema()).toThrow(
+        Errors.CONDITIONAL_SCHEMA
+      );
+    });
+
+    test("should throw TypeError when a branch is not a schema", () => {
+      expect(() => Schema.when("a", "b", {})).toThrowError(TypeError);
+      expect(() => Schema.when("a", "b", thenSchema, 1)).toThrowError(
+        TypeError
+      );
+    });
+  });
+
+  describe("Serialization", () => {
+    const schemas = [
+      new Schema()
+        .label("Password")
+        .trim()
+        .min(8, "too short")
+        .max(20)
+        .hasDigit()
+        .hasSymbol()
+        .hasUppercase()
+        .hasLowercase("needs a lowercase letter")
+        .notEqualTo("username")
+        .isRequired(),
+      new Schema().hasPattern(/^[a-z]+$/gi, "letters only"),
+      new Schema().normalizeWhitespace().toLowerCase().isEmail(),
+      new Schema().matches("password", "passwords differ"),
+      new Schema().matchesIgnoreCase("email").lessThanField("b"),
+      Schema.number()
+        .toNumber()
+        .greaterThan(0)
+        .lessThan(100)
+        .between(1, 50)
+        .integer()
+        .positive()
+        .multipleOf(5)
+        .precision(0)
+        .greaterThanField("minimum"),
+      Schema.date().after(new Date(2020, 0, 1)).before("in 2 days"),
+      Schema.array()
+        .minItems(1)
+        .maxItems(3)
+        .unique()
+        .of(Schema.number().between(1, 5)),
+      Schema.when("country", "US", new Schema().min(5), new Schema().max(9)),
+      new Schema().hasPattern(/a/, undefined, "hasA").doesNotMatch(/\s/),
+      new Schema().strength(2, "too weak: {feedback}"),
+      new Schema()
+        .hasDigit(2, "needs {count} digits")
+        .hasSymbol("needs a symbol")
+        .hasUppercase(1, undefined)
+        .maxRepeatedChars(3)
+        .noSequentialChars(4),
+      new Schema().multiline().min(10).max(500),
+      Schema.anyOf([new Schema().isEmail(), new Schema().min(3)], "no match")
+        .not()
+        .allOf([new Schema().max(9)]),
+    ];
+
+    schemas.forEach((schema, index) => {
+      test(`should round-trip ${schema.type} schema #${index}`, () => {
+        const copy = Schema.fromJSON(JSON.stringify(schema));
+
+        expect(copy).toBeInstanceOf(Schema);
+        expect(copy.toJSON()).toEqual(schema.toJSON());
+      });
+    });
+
+    test("should keep regex flags and validate the same way", () => {
+      const copy = Schema.fromJSON(schemas[1].toJSON());
+
+      expect(schemas[1].toJSON().rules[0].args[0]).toEqual({
+        regex: "^[a-z]+$",
+        flags: "gi",
+      });
+      expect(copy.validate("ABC").isValid).toBe(true);
+      expect(copy.validate("AB1").errors).toEqual(["letters only"]);
+    });
+
+    test("should round-trip form schemas with nested forms", () => {
+      const formSchema = {
+        type: new Schema().isRequired(),
+        account: { password: schemas[0], confirm: schemas[3] },
+      };
+      const copy = Schema.formFromJSON(JSON.stringify(formSchema));
+
+      expect(Object.keys(copy.account)).toEqual(["password", "confirm"]);
+      expect(copy.account.confirm.matchingProperty).toBe("password");
+      expect(Schema.formToJSON(copy)).toEqual(Schema.formToJSON(formSchema));
+    });
+
+    test("should throw error when rules cannot be serialized", () => {
+      expect(() => new Schema().custom("abc", () => true).toJSON()).toThrow(
+        formatError("UNSERIALIZABLE_RULE", { rule: "custom" })
+      );
+      expect(() => Schema.when("a", () => true, new Schema()).toJSON()).toThrow(
+        formatError("UNSERIALIZABLE_RULE", { rule: "when" })
+      );
+    });
+
+    test("should throw error when a rule is unknown", () => {
+      const json = { type: "string", rules: [{ name: "validateSchema" }] };
+
+      expect(() => Schema.fromJSON(json)).toThrow(
+        formatError("UNKNOWN_RULE", { rule: "validateSchema" })
+      );
+    });
+
+    test("should throw TypeError when the JSON is not a schema", () => {
+      expect(() => Schema.fromJSON({ rules: [] })).toThrowError(TypeError);
+      expect(() => Schema.formFromJSON({ a: 5 })).toThrowError(TypeError);
+    });
+
+    const invalidRules = [
+      { description: "are not an array", rules: { name: "min" } },
+      { description: "are not objects", rules: ["min"] },
+      {
+        description: "have arguments that are not an array",
+        rules: [{ name: "min", args: 3 }],
+      },
+    ];
+
+    invalidRules.forEach(({ description, rules }) => {
+      test(`should throw TypeError when the rules ${description}`, () => {
+        expect(() => Schema.fromJSON({ type: "string", rules })).toThrow(
+          new TypeError(formatError("INVALID_SCHEMA_JSON"))
+        );
+      });
+    });
+  });
+
   describe("Input validation", () => {
     const inputValues = [
       { name: "min or max", type: "number", func: "max", arg: "a" },
       { name: "min", type: "number", func: "min", arg: "a" },
       { name: "label", type: "string", func: "label", arg: 123 },
+      { name: "strength score", type: "number", func: "strength", arg: "3" },
       {
         arg: 1,
         name: "matching property",
@@ -84,5 +474,87 @@ describe("Schema", () => {
       expect(() => new Schema().label("")).toThrow();
       expect(() => new Schema().matches("")).toThrow();
     });
+
+    test("should throw error when custom rule name is invalid or predicate is not a function", () => {
+      expect(() => new Schema().custom("", () => true)).toThrow();
+      expect(() => new Schema().custom(1, () => true)).toThrowError(TypeError);
+      expect(() => new Schema().custom("abc", "abc")).toThrowError(TypeError);
+    });
+  });
+
+  describe("Immutability", () => {
+    test("rule methods should return a new frozen schema", () => {
+      const schema = new Schema().min(4);
+      const copy = schema.max(8);
+
+      expect(copy).not.toBe(schema);
+      expect(Object.isFrozen(schema)).toBe(true);
+      expect(Object.isFrozen(copy)).toBe(true);
+      expect(schema.describe().rules).toEqual([
+        { name: "min", args: [4, undefined] },
+      ]);
+    });
+
+    test("extended schemas should not change the schema they extend", () => {
+      const base = new Schema().hasDigit();
+      base.hasSymbol().min(1);
+
+      expect(() => base.min(1).validateSchema()).not.toThrow();
+      expect(base.validate("1")).toEqual({
+        isValid: true,
+        errors: [],
+        value: "1",
+      });
+    });
+
+    test("validateSchema should check the schema the same way every time", () => {
+      const schema = new Schema().min(1).max(1).hasDigit();
+
+      expect(schema.validateSchema()).toEqual(schema.validateSchema());
+      expect(() => schema.hasLowercase().validateSchema()).toThrow(
+        formatError("INVALID_MIN_MAX")
+      );
+    });
+  });
+
+  describe("Instance validation", () => {
+    const schema = new Schema().label("Code").hasDigit().isRequired();
+
+    test("validate should return the property validation response", () => {
+      expect(schema.validate("abc1")).toEqual({
+        isValid: true,
+        errors: [],
+        value: "abc1",
+      });
+      expect(schema.validate("abc", { includeLabel: true })).toEqual({
+        isValid: false,
+        errors: [`Code ${formatMessage(Messages.DIGIT, { count: 1 })}`],
+        value: "abc",
+      });
+    });
+
+    test("validate should throw TypeError when value is a form", () => {
+      expect(() => schema.validate({ a: "abc" })).toThrowError(TypeError);
+    });
+
+    test("isValid should return whether the value is valid", () => {
+      expect(schema.isValid("abc1")).toBe(true);
+      expect(schema.isValid("")).toBe(false);
+    });
+
+    test("assert should return valid values and throw ValidationError with the errors attached", () => {
+      expect(schema.assert("abc1")).toBe("abc1");
+
+      expect.assertions(4);
+      try {
+        schema.assert("abc");
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.errors).toEqual([
+          formatMessage(Messages.DIGIT, { count: 1 }),
+        ]);
+        expect(error.failedRules).toEqual({ digit: true });
+      }
+    });
   });
 });
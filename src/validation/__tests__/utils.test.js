@@ -8,6 +8,12 @@ import {
   isEmptyObject,
   generateTypeError,
   capitalize,
+  formatDate,
+  getTextLength,
+  resolveDate,
+  parseISODate,
+  isDateDescription,
+  isRelativeDate,
 } from "../utils";
 
 const DEFAULT_STRING = "abc";
@@ -16,6 +22,24 @@ const DEFAULT_OBJECT = {};
 const DEFAULT_BOOLEAN = true;
 
 describe("Utils", () => {
+  test("getTextLength should count grapheme clusters", () => {
+    expect(getTextLength("e\u0301👍🏽")).toBe(2);
+    expect(getTextLength("a\r\nb", false)).toBe(2);
+  });
+
+  test("getTextLength should count code points without Intl.Segmenter", () => {
+    const { Segmenter } = Intl;
+    delete Intl.Segmenter;
+
+    try {
+      jest.resetModules();
+      const utils = require("../utils");
+      expect(utils.getTextLength("e\u0301👍")).toBe(3);
+    } finally {
+      Intl.Segmenter = Segmenter;
+    }
+  });
+
   test("generateTypeError should return response with type name ", () => {
     expect(generateTypeError(DEFAULT_STRING)).toMatch(
       new RegExp(DEFAULT_STRING)
@@ -99,4 +123,87 @@ describe("Utils", () => {
       });
     });
   });
+
+  describe("Dates", () => {
+    const NOW = new Date(2020, 1, 29, 12, 30);
+
+    const isoTests = [
+      { value: "2020-02-29", expectedOutput: new Date(2020, 1, 29) },
+      {
+        value: "2020-02-29T13:45:10.5",
+        expectedOutput: new Date(2020, 1, 29, 13, 45, 10, 500),
+      },
+      {
+        value: "2020-02-29T13:45Z",
+        expectedOutput: new Date(Date.UTC(2020, 1, 29, 13, 45)),
+      },
+      {
+        value: "2020-02-29T13:45:00+05:30",
+        expectedOutput: new Date(Date.UTC(2020, 1, 29, 8, 15)),
+      },
+      { value: "2023-02-29", expectedOutput: null },
+      { value: "2023-04-31", expectedOutput: null },
+      { value: "2023-13-01", expectedOutput: null },
+      { value: "2023-01-01T24:00", expectedOutput: null },
+      { value: "01/02/2023", expectedOutput: null },
+    ];
+
+    isoTests.forEach(({ value, expectedOutput }) => {
+      test(`parseISODate should return ${expectedOutput} when given ${value}`, () => {
+        expect(parseISODate(value)).toEqual(expectedOutput);
+      });
+    });
+
+    const relativeTests = [
+      { value: "now", expectedOutput: NOW },
+      { value: "today", expectedOutput: new Date(2020, 1, 29) },
+      { value: "18 years ago", expectedOutput: new Date(2002, 2, 1, 12, 30) },
+      { value: "in 2 days", expectedOutput: new Date(2020, 2, 2, 12, 30) },
+      {
+        value: "3 hours from now",
+        expectedOutput: new Date(2020, 1, 29, 15, 30),
+      },
+      { value: "1 week ago", expectedOutput: new Date(2020, 1, 22, 12, 30) },
+    ];
+
+    relativeTests.forEach(({ value, expectedOutput }) => {
+      test(`resolveDate should resolve "${value}" from the given moment`, () => {
+        expect(resolveDate(value, NOW)).toEqual(expectedOutput);
+      });
+    });
+
+    test("isDateDescription should only accept valid dates and descriptions", () => {
+      expect(isDateDescription(NOW)).toBe(true);
+      expect(isDateDescription("2 months ago")).toBe(true);
+      expect(isDateDescription("2020-02-29")).toBe(true);
+      expect(isDateDescription(new Date(NaN))).toBe(false);
+      expect(isDateDescription("yesterday")).toBe(false);
+      expect(isDateDescription(1)).toBe(false);
+    });
+
+    test("formatDate should only include the time when not midnight", () => {
+      const date = new Date(Date.UTC(2020, 1, 29, 8, 15));
+
+      expect(formatDate(new Date(2020, 1, 29))).toBe("2020-02-29");
+      expect(formatDate(date)).toBe(date.toISOString());
+    });
+
+    test("formatDate should leave the time out of date-only dates", () => {
+      expect(formatDate(new Date(2020, 1, 29, 8, 15), true)).toBe("2020-02-29");
+    });
+
+    const relativeDates = [
+      { value: "now", expected: true },
+      { value: "18 years ago", expected: true },
+      { value: "in 2 days", expected: true },
+      { value: "2020-02-29", expected: false },
+      { value: new Date(), expected: false },
+    ];
+
+    relativeDates.forEach(({ value, expected }) => {
+      test(`isRelativeDate should return ${expected} for ${value}`, () => {
+        expect(isRelativeDate(value)).toBe(expected);
+      });
+    });
+  });
 });
@@ -3,8 +3,11 @@ import {
   ERROR_MESSAGES as Errors,
   VALIDATION_ERROR_MESSAGES as Messages,
 } from "../constants";
+import { formatError, formatMessage } from "../locale";
 import Schema from "../schema";
-import validate from "../validate";
+import FormSchema from "../formSchema";
+import { StaleValidationError } from "../errors";
+import validate, { validateAsync } from "../validate";
 
 const DEFAULT_VALUE = "abc";
 const DEFAULT_FORM = { password: DEFAULT_VALUE, email: DEFAULT_VALUE };
@@ -115,28 +118,28 @@ describe("validate", () => {
       ruleName: "digit",
       validValue: DEFAULT_VALUE + "1",
       invalidValue: DEFAULT_VALUE,
-      validationError: [Messages.DIGIT],
+      validationError: [formatMessage(Messages.DIGIT, { count: 1 })],
     },
     {
       schema: new Schema().min(1).hasSymbol().isRequired(),
       ruleName: "symbol",
       validValue: DEFAULT_VALUE + "$",
       invalidValue: DEFAULT_VALUE,
-      validationError: [Messages.SYMBOL],
+      validationError: [formatMessage(Messages.SYMBOL, { count: 1 })],
     },
     {
       schema: new Schema().min(1).hasLowercase().isRequired(),
       ruleName: "lowercase",
       validValue: DEFAULT_VALUE,
       invalidValue: DEFAULT_VALUE.toUpperCase(),
-      validationError: [Messages.LOWERCASE],
+      validationError: [formatMessage(Messages.LOWERCASE, { count: 1 })],
     },
     {
       schema: new Schema().min(1).hasUppercase().isRequired(),
       ruleName: "uppercase",
       validValue: DEFAULT_VALUE + "S",
       invalidValue: DEFAULT_VALUE,
-      validationError: [Messages.UPPERCASE],
+      validationError: [formatMessage(Messages.UPPERCASE, { count: 1 })],
     },
     {
       schema: new Schema().hasPattern(DEFAULT_VALUE).isRequired(),
@@ -145,19 +148,88 @@ describe("validate", () => {
       invalidValue: "S",
       validationError: [Messages.PATTERN],
     },
+    {
+      schema: new Schema().min(2).hasUppercase().hasLowercase().isRequired(),
+      ruleName: "non-ASCII uppercase and lowercase",
+      validValue: "Łukasz",
+      invalidValue: "émile",
+      validationError: [formatMessage(Messages.UPPERCASE, { count: 1 })],
+    },
+    {
+      schema: new Schema().max(3).isRequired(),
+      ruleName: "max length of emoji and combining marks",
+      validValue: "👍🏽e\u0301a",
+      invalidValue: "👍🏽👍🏽ab",
+      validationError: [formatMessage(Messages.MAX_LENGTH, { length: 3 })],
+    },
+    {
+      schema: new Schema().min(2).max(2).isRequired(),
+      ruleName: "single-line length",
+      validValue: "a\nb",
+      invalidValue: "a\n\n",
+      validationError: [formatMessage(Messages.MIN_LENGTH, { length: 2 })],
+    },
+    {
+      schema: new Schema().max(4).multiline().isRequired(),
+      ruleName: "multiline length",
+      validValue: "a\r\nb\n",
+      invalidValue: "ab\n\n\n",
+      validationError: [formatMessage(Messages.MAX_LENGTH, { length: 4 })],
+    },
+    {
+      schema: new Schema().hasDigit(2).hasUppercase(2).isRequired(),
+      ruleName: "digit and uppercase count",
+      validValue: "A1B2",
+      invalidValue: "A1b2",
+      validationError: [formatMessage(Messages.UPPERCASE, { count: 2 })],
+    },
+    {
+      schema: new Schema().hasSymbol().isRequired(),
+      ruleName: "default symbols",
+      validValue: "a_b",
+      invalidValue: "a b",
+      validationError: [formatMessage(Messages.SYMBOL, { count: 1 })],
+    },
+    {
+      schema: new Schema().hasSymbol(2, undefined, "-_").isRequired(),
+      ruleName: "custom symbols",
+      validValue: "a-b_",
+      invalidValue: "a$b_",
+      validationError: [formatMessage(Messages.SYMBOL, { count: 2 })],
+    },
+    {
+      schema: new Schema().maxRepeatedChars(2).isRequired(),
+      ruleName: "max repeated characters",
+      validValue: "aabaa",
+      invalidValue: "abbb",
+      validationError: [formatMessage(Messages.MAX_REPEATED_CHARS, { max: 2 })],
+    },
+    {
+      schema: new Schema().noSequentialChars().isRequired(),
+      ruleName: "sequential characters",
+      validValue: "ab1ba",
+      invalidValue: "x3Cba",
+      validationError: [
+        formatMessage(Messages.SEQUENTIAL_CHARS, { length: 3 }),
+      ],
+    },
     {
       schema: new Schema().min(DEFAULT_LENGTH).isRequired(),
       ruleName: "min length",
       validValue: DEFAULT_VALUE + "S",
       invalidValue: DEFAULT_VALUE,
-      validationError: [Messages.MIN_LENGTH.replace("VALUE", DEFAULT_LENGTH)],
+      validationError: [
+        formatMessage(Messages.MIN_LENGTH, { length: DEFAULT_LENGTH }),
+      ],
     },
     {
       schema: new Schema().max(DEFAULT_LENGTH).isRequired(),
       ruleName: "max length",
       validValue: DEFAULT_VALUE,
       invalidValue: DEFAULT_VALUE + DEFAULT_VALUE,
-      validationError: [Messages.MAX_LENGTH.replace("VALUE", DEFAULT_LENGTH)],
+      validationError: [
+        formatMessage(Messages.MAX_LENGTH, { length: DEFAULT_LENGTH }),
+      ],
     },
   ];
 
@@ -187,6 +259,619 @@ describe("validate", () => {
   });
 });
 
+describe("Number validation", () => {
+  const schema = Schema.number().between(1, 10).integer().isRequired();
+
+  const numberTests = [
+    { value: 5, expectedErrors: [] },
+    { value: " 5 ", expectedErrors: [] },
+    { value: "1e1", expectedErrors: [] },
+    {
+      value: 11,
+      expectedErrors: [formatMessage(Messages.BETWEEN, { min: 1, max: 10 })],
+    },
+    { value: "2.5", expectedErrors: [Messages.INTEGER] },
+    { value: "abc", expectedErrors: [Messages.NUMBER] },
+    { value: "0x10", expectedErrors: [Messages.NUMBER] },
+    { value: NaN, expectedErrors: [Messages.NUMBER] },
+    { value: Infinity, expectedErrors: [Messages.NUMBER] },
+  ];
+
+  numberTests.forEach(({ value, expectedErrors }) => {
+    test(`should return ${expectedErrors.length} error(s) when value is ${value}`, () => {
+      const { errors } = validate(value, schema);
+      expect(errors).toEqual(expectedErrors);
+    });
+  });
+
+  test("should not return error when optional number is empty", () => {
+    expect(validate("  ", Schema.number().positive())).toEqual({
+      isValid: true,
+      errors: [],
+      value: "  ",
+    });
+  });
+
+  const parsedValues = [
+    { value: " 5 ", expected: 5 },
+    { value: "1e1", expected: 10 },
+    { value: 7, expected: 7 },
+    { value: "2.5", expected: "2.5" },
+    { value: "abc", expected: "abc" },
+  ];
+
+  parsedValues.forEach(({ value, expected }) => {
+    test(`should return ${expected} as value when value is "${value}"`, () => {
+      expect(validate(value, schema).value).toBe(expected);
+    });
+  });
+
+  test("should report invalid numbers in failed rules", () => {
+    const { failedRules } = validate("abc", schema, { includeRules: true });
+    expect(failedRules).toEqual({ number: true });
+  });
+
+  test("should validate number properties in forms", () => {
+    const { errors } = validate(
+      { age: "17", quantity: 2 },
+      {
+        age: Schema.number().greaterThan(17),
+        quantity: Schema.number().multipleOf(2),
+      }
+    );
+
+    expect(errors).toEqual({
+      age: [formatMessage(Messages.GREATER_THAN, { limit: 17 })],
+    });
+  });
+});
+
+describe("Date validation", () => {
+  const schema = Schema.date()
+    .after("2000-01-01")
+    .before("2030-01-01")
+    .isRequired();
+
+  const dateTests = [
+    { value: "2020-02-29", expectedErrors: [] },
+    { value: new Date(2020, 1, 29), expectedErrors: [] },
+    {
+      value: "1999-12-31",
+      expectedErrors: [formatMessage(Messages.AFTER, { date: "2000-01-01" })],
+    },
+    { value: "2023-02-30", expectedErrors: [Messages.DATE] },
+    { value: "abc", expectedErrors: [Messages.DATE] },
+    { value: new Date(NaN), expectedErrors: [Messages.DATE] },
+    { value: "", expectedErrors: [Messages.REQUIRED] },
+  ];
+
+  dateTests.forEach(({ value, expectedErrors }) => {
+    test(`should return ${expectedErrors.length} error(s) when value is ${value}`, () => {
+      const { errors } = validate(value, schema);
+      expect(errors).toEqual(expectedErrors);
+    });
+  });
+
+  test("should return valid dates parsed and invalid dates as is", () => {
+    expect(validate("2020-02-29", schema).value).toEqual(new Date(2020, 1, 29));
+    expect(validate("2023-02-30", schema).value).toBe("2023-02-30");
+  });
+
+  test("should validate relative dates with the resolved date in the message", () => {
+    const adult = Schema.date().before("18 years ago");
+    const today = new Date();
+    const seventeen = new Date(today.getTime());
+    seventeen.setFullYear(today.getFullYear() - 17);
+
+    expect(validate("1990-05-17", adult).isValid).toBe(true);
+
+    const { errors } = validate(seventeen, adult);
+    expect(errors[0]).toMatch(/^must be before \d{4}-\d{2}-\d{2}$/);
+  });
+
+  test("should validate dates in forms", () => {
+    const { errors } = validate(
+      { checkIn: "2020-02-29", checkOut: new Date(2000, 0, 1) },
+      { checkIn: Schema.date(), checkOut: Schema.date().after("2000-01-01") }
+    );
+
+    expect(errors).toEqual({
+      checkOut: [formatMessage(Messages.AFTER, { date: "2000-01-01" })],
+    });
+  });
+});
+
+describe("Array validation", () => {
+  const schema = Schema.array()
+    .minItems(1)
+    .maxItems(3)
+    .unique()
+    .of(new Schema().min(3))
+    .isRequired();
+
+  test("should not return error when items are valid", () => {
+    expect(validate(["abc", "def"], schema)).toEqual({
+      isValid: true,
+      errors: [],
+      value: ["abc", "def"],
+    });
+  });
+
+  test("should return errors of the array itself", () => {
+    expect(validate([], schema).errors).toEqual([Messages.REQUIRED]);
+    expect(validate(["abc", "abc"], schema).errors).toEqual([Messages.UNIQUE]);
+    expect(validate(["a", "b", "c", "d"], schema).errors).toEqual([
+      formatMessage(Messages.MAX_ITEMS, { count: 3 }),
+    ]);
+  });
+
+  test("should test empty arrays against the number of items", () => {
+    const tags = Schema.array().minItems(1).maxItems(3);
+
+    expect(validate([], tags).errors).toEqual([
+      formatMessage(Messages.MIN_ITEMS, { count: 1 }),
+    ]);
+    expect(validate([], Schema.array().maxItems(3)).isValid).toBe(true);
+  });
+
+  test("should return errors and failed rules by item index", () => {
+    const { isValid, errors, failedRules } = validate(
+      ["abc", "def", "gh"],
+      schema,
+      { includeRules: true }
+    );
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual({
+      2: [formatMessage(Messages.MIN_LENGTH, { length: 3 })],
+    });
+    expect(failedRules).toEqual({ 2: { min: true } });
+  });
+
+  test("should return item errors by index in forms", () => {
+    const { errors } = validate(
+      { tags: ["abc", "def", "gh"], categories: [] },
+      { tags: schema, categories: Schema.array().unique() }
+    );
+
+    expect(errors).toEqual({
+      tags: { 2: [formatMessage(Messages.MIN_LENGTH, { length: 3 })] },
+    });
+  });
+
+  test("should validate items asynchronously", async () => {
+    const available = Schema.array().of(
+      new Schema().custom("available", (tag) =>
+        Promise.resolve(tag !== "taken")
+      )
+    );
+
+    const { errors } = await validateAsync(["free", "taken"], available);
+    expect(errors).toEqual({ 1: [Messages.CUSTOM] });
+  });
+
+  test("should throw error when value is not an array", () => {
+    expect(() => validate("abc", schema)).toThrow(Errors.INVALID_VALUE_TYPE);
+  });
+});
+
+describe("Transforms", () => {
+  test("should validate and return the transformed value", () => {
+    const schema = new Schema().trim().toLowerCase().isEmail();
+
+    expect(validate(" Foo@Bar.com ", schema)).toEqual({
+      isValid: true,
+      errors: [],
+      value: "foo@bar.com",
+    });
+  });
+
+  test("should not accept whitespace as a required value when trimmed", () => {
+    expect(validate("   ", new Schema().isRequired()).isValid).toBe(true);
+    expect(validate("   ", new Schema().trim().isRequired())).toEqual({
+      isValid: false,
+      errors: [Messages.REQUIRED],
+      value: "",
+    });
+  });
+
+  test("should collapse whitespace and convert numbers", () => {
+    const name = new Schema().normalizeWhitespace().max(8);
+    const age = Schema.number().toNumber().integer();
+
+    expect(validate("  John \n  Doe ", name).value).toBe("John Doe");
+    expect(validate(" 42 ", age).value).toBe(42);
+    expect(validate("4 2", age)).toEqual({
+      isValid: false,
+      errors: [Messages.NUMBER],
+      value: "4 2",
+    });
+  });
+
+  test("should transform array items", () => {
+    const schema = Schema.array().of(new Schema().trim().min(1));
+
+    expect(validate([" a ", "b "], schema).value).toEqual(["a", "b"]);
+  });
+
+  test("should return the transformed values of nested forms", () => {
+    const schema = {
+      email: new Schema().trim().toLowerCase(),
+      confirm: new Schema().trim().toLowerCase().matches("email"),
+      profile: { age: Schema.number().toNumber() },
+    };
+    const form = {
+      email: " Foo@Bar.com",
+      confirm: "foo@bar.com ",
+      profile: { age: "7" },
+    };
+
+    expect(validate(form, schema)).toEqual({
+      isValid: true,
+      errors: {},
+      values: {
+        email: "foo@bar.com",
+        confirm: "foo@bar.com",
+        profile: { age: 7 },
+      },
+    });
+  });
+});
+
+describe("Custom rules", () => {
+  const error = "must not contain the username";
+  const notUsername = (password, form) =>
+    !form || !password.includes(form.username);
+
+  test("should report failed custom rules under their name in declared order", () => {
+    const schema = new Schema()
+      .custom("abc", (value) => value !== DEFAULT_VALUE, error)
+      .hasDigit();
+
+    const { errors, failedRules } = validate(DEFAULT_VALUE, schema, {
+      includeRules: true,
+    });
+
+    expect(errors).toEqual([
+      error,
+      formatMessage(Messages.DIGIT, { count: 1 }),
+    ]);
+    expect(failedRules).toEqual({ abc: true, digit: true });
+  });
+
+  test("should not replace the built-in rules sharing their name", () => {
+    const schema = new Schema()
+      .min(3)
+      .hasDigit()
+      .custom("digit", () => false, error)
+      .custom("minimum", () => false, error);
+
+    const { errors, failedRules } = validate("a", schema, {
+      includeRules: true,
+    });
+
+    expect(errors).toEqual([
+      formatMessage(Messages.MIN_LENGTH, { length: 3 }),
+      formatMessage(Messages.DIGIT, { count: 1 }),
+      error,
+      error,
+    ]);
+    expect(failedRules).toEqual({ min: true, digit: true, minimum: true });
+  });
+
+  test("should stop at the first failed custom rule when abortEarly option set to true", () => {
+    const schema = new Schema().custom("abc", () => false).hasDigit();
+
+    const { errors } = validate(DEFAULT_VALUE, schema, { abortEarly: true });
+    expect(errors).toEqual([Messages.CUSTOM]);
+  });
+
+  test("should pass a read-only view of the form to custom rules", () => {
+    const schema = {
+      username: new Schema(),
+      password: new Schema().custom("notUsername", notUsername, error),
+    };
+
+    const { errors } = validate(
+      { username: DEFAULT_VALUE, password: DEFAULT_VALUE + "1" },
+      schema
+    );
+    expect(errors).toEqual({ password: [error] });
+
+    const tamper = (value, form) => {
+      form.username = value;
+      return true;
+    };
+    expect(() =>
+      validate(
+        { username: DEFAULT_VALUE },
+        { username: new Schema().custom("tamper", tamper) }
+      )
+    ).toThrowError(TypeError);
+  });
+});
+
+describe("Patterns", () => {
+  test("should test every pattern with its own error message", () => {
+    const schema = new Schema()
+      .hasPattern(/^[a-z]/, "must start with a letter", "startsWithLetter")
+      .hasPattern(/\d$/, "must end with a digit", "endsWithDigit")
+      .doesNotMatch(/\s/);
+
+    expect(validate("ab1", schema).isValid).toBe(true);
+    expect(validate("1a b", schema, { includeRules: true })).toEqual({
+      isValid: false,
+      errors: [
+        "must start with a letter",
+        "must end with a digit",
+        Messages.DOES_NOT_MATCH,
+      ],
+      failedRules: {
+        startsWithLetter: true,
+        endsWithDigit: true,
+        doesNotMatch: true,
+      },
+      value: "1a b",
+    });
+  });
+
+  test("should test patterns and email along with the other rules", () => {
+    const schema = new Schema().min(12).hasPattern(/^a/).isEmail().isRequired();
+
+    expect(validate("b@c", schema).errors).toEqual([
+      formatMessage(Messages.MIN_LENGTH, { length: 12 }),
+      Messages.PATTERN,
+      Messages.EMAIL,
+    ]);
+    expect(validate("", schema).errors).toContain(Messages.REQUIRED);
+  });
+
+  const flaggedPatterns = [
+    {
+      rule: "hasPattern(/a/g)",
+      schema: new Schema().hasPattern(/a/g),
+      isValid: true,
+    },
+    {
+      rule: "hasPattern(/^a/y)",
+      schema: new Schema().hasPattern(/^a/y),
+      isValid: true,
+    },
+    {
+      rule: "doesNotMatch(/a/g)",
+      schema: new Schema().doesNotMatch(/a/g),
+      isValid: false,
+    },
+    {
+      rule: "doesNotMatch(/^a/gy)",
+      schema: new Schema().doesNotMatch(/^a/gy),
+      isValid: false,
+    },
+  ];
+
+  flaggedPatterns.forEach(({ rule, schema, isValid }) => {
+    test(`should give the same result every time with ${rule}`, () => {
+      [1, 2, 3].forEach(() => {
+        expect(validate("a", schema).isValid).toBe(isValid);
+      });
+    });
+  });
+});
+
+describe("Password strength", () => {
+  const schema = new Schema().strength(3);
+
+  test("should reject passwords that only satisfy the character classes", () => {
+    expect(validate("Password1!", schema).errors).toEqual([
+      formatMessage(Messages.STRENGTH, { score: 0, minScore: 3 }),
+    ]);
+    expect(validate("correct horse battery staple", schema).isValid).toBe(true);
+  });
+
+  test("should give the feedback with the error params", () => {
+    const [error] = validate("qwerty123", schema, {
+      structuredErrors: true,
+    }).errors;
+
+    expect(error.code).toBe("STRENGTH");
+    expect(error.params).toEqual({
+      minScore: 3,
+      score: 0,
+      feedback: [
+        Messages.FEEDBACK_DICTIONARY,
+        Messages.FEEDBACK_SEQUENCE,
+        Messages.FEEDBACK_LENGTH,
+      ],
+    });
+  });
+});
+
+describe("Combinators", () => {
+  const UK_POSTCODE = /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i;
+  const US_ZIP = /^\d{5}(-\d{4})?$/;
+  const postcode = Schema.anyOf(
+    [new Schema().hasPattern(UK_POSTCODE), new Schema().hasPattern(US_ZIP)],
+    "must be a UK postcode or a US ZIP code"
+  ).isRequired();
+
+  ["SW1A 1AA", "12345", "12345-6789"].forEach((value) => {
+    test(`should satisfy anyOf when value is ${value}`, () => {
+      expect(validate(value, postcode).isValid).toBe(true);
+    });
+  });
+
+  test("should report the failed rules of every alternative", () => {
+    expect(validate("abc", postcode, { includeRules: true })).toEqual({
+      isValid: false,
+      errors: ["must be a UK postcode or a US ZIP code"],
+      failedRules: { anyOf: { 0: { pattern: true }, 1: { pattern: true } } },
+      value: "abc",
+    });
+  });
+
+  test("should explain which alternatives failed", () => {
+    const login = Schema.anyOf([
+      new Schema().isEmail(),
+      new Schema().min(3).hasLowercase(),
+    ]);
+
+    expect(validate("AB", login).errors).toEqual([
+      formatMessage(Messages.ANY_OF, {
+        reasons: `${Messages.EMAIL} or ${formatMessage(Messages.MIN_LENGTH, {
+          length: 3,
+        })} and ${formatMessage(Messages.LOWERCASE, { count: 1 })}`,
+      }),
+    ]);
+  });
+
+  test("should report only the failed requirements of allOf", () => {
+    const schema = new Schema()
+      .max(10)
+      .allOf([new Schema().hasDigit(), new Schema().hasUppercase()]);
+
+    const { errors, failedRules } = validate("abc1", schema, {
+      includeRules: true,
+    });
+    expect(errors).toEqual([
+      formatMessage(Messages.ALL_OF, {
+        reasons: formatMessage(Messages.UPPERCASE, { count: 1 }),
+      }),
+    ]);
+    expect(failedRules).toEqual({ allOf: { 1: { uppercase: true } } });
+  });
+
+  test("should reject the values validated by the negated schema", () => {
+    const username = new Schema()
+      .hasPattern(/^admin$/i)
+      .not()
+      .min(3);
+
+    expect(validate("root", username).isValid).toBe(true);
+    expect(validate("Admin", username, { includeRules: true })).toEqual({
+      isValid: false,
+      errors: [Messages.NOT],
+      failedRules: { not: true },
+      value: "Admin",
+    });
+  });
+
+  test("should return the failed branches in structured errors", () => {
+    const [error] = validate("abc", postcode, {
+      structuredErrors: true,
+    }).errors;
+
+    expect(error.rule).toBe("anyOf");
+    expect(error.code).toBe("ANY_OF");
+    expect(Object.keys(error.params.branches)).toEqual(["0", "1"]);
+  });
+
+  test("should compare combined schemas with other form properties", () => {
+    const schema = {
+      email: new Schema(),
+      backup: Schema.anyOf([new Schema().notEqualTo("email")]),
+    };
+
+    expect(validate({ email: "a", backup: "a" }, schema).isValid).toBe(false);
+    expect(validate({ email: "a", backup: "b" }, schema).isValid).toBe(true);
+  });
+
+  test("should validate combined schemas asynchronously", async () => {
+    const available = (value) => Promise.resolve(value !== "taken");
+    const schema = Schema.anyOf([
+      new Schema().custom("available", available),
+      new Schema().isEmail(),
+    ]);
+
+    await expect(validateAsync("taken", schema)).resolves.toMatchObject({
+      isValid: false,
+    });
+    await expect(validateAsync("free", schema)).resolves.toMatchObject({
+      isValid: true,
+    });
+  });
+});
+
+describe("Structured errors", () => {
+  const options = { structuredErrors: true };
+
+  test("should return errors with their rule, code, message and params", () => {
+    const schema = new Schema().label("Password").min(5).hasDigit();
+
+    expect(
+      validate(DEFAULT_VALUE, schema, { ...options, includeLabel: true }).errors
+    ).toEqual([
+      {
+        rule: "min",
+        code: "MIN_LENGTH",
+        message: `Password ${formatMessage(Messages.MIN_LENGTH, {
+          length: 5,
+        })}`,
+        params: { length: 5 },
+        path: "",
+      },
+      {
+        rule: "digit",
+        code: "DIGIT",
+        message: `Password ${formatMessage(Messages.DIGIT, { count: 1 })}`,
+        params: { count: 1 },
+        path: "",
+      },
+    ]);
+  });
+
+  const codeCases = [
+    { schema: new Schema().isRequired(), value: "", code: "REQUIRED" },
+    { schema: Schema.number(), value: "abc", code: "NUMBER" },
+    { schema: Schema.date(), value: "abc", code: "DATE" },
+    {
+      schema: new Schema().custom("abc", () => false),
+      value: "a",
+      code: "CUSTOM",
+    },
+    {
+      schema: Schema.date().before("2000-01-01"),
+      value: "2001-01-01",
+      code: "BEFORE",
+    },
+  ];
+
+  codeCases.forEach(({ schema, value, code }) => {
+    test(`should return the ${code} code`, () => {
+      const [error] = validate(value, schema, options).errors;
+      expect(error.code).toBe(code);
+    });
+  });
+
+  test("should set the params resolved when validating", () => {
+    const [error] = Schema.date()
+      .before("2000-01-01")
+      .validate("2001-01-01", options).errors;
+
+    expect(error.params).toEqual({ date: "2000-01-01" });
+  });
+
+  test("should return the dotted path of form properties and array items", () => {
+    const schema = {
+      address: { postcode: new Schema().max(2) },
+      tags: Schema.array().of(new Schema().min(3)),
+    };
+    const { errors } = validate(
+      { address: { postcode: "abc" }, tags: ["abc", "d"] },
+      schema,
+      options
+    );
+
+    expect(errors["address.postcode"][0].path).toBe("address.postcode");
+    expect(errors.tags[1][0]).toEqual({
+      rule: "min",
+      code: "MIN_LENGTH",
+      message: formatMessage(Messages.MIN_LENGTH, { length: 3 }),
+      params: { length: 3 },
+      path: "tags.1",
+    });
+  });
+});
+
 describe("Validate Form", () => {
   test("should return validation error when matching property is not the same as current property", () => {
     const form = { a: "abcd@def.com", b: "abcd" };
@@ -197,7 +882,9 @@ describe("Validate Form", () => {
 
     const { errors } = validate(form, schema, { abortEarly: false });
 
-    expect(errors.b[0]).toBe(Messages.MATCHING.replace("PROPERTY", "a"));
+    expect(errors.b[0]).toBe(
+      formatMessage(Messages.MATCHING, { property: "a" })
+    );
   });
 
   test("should throw error when matching schema not found", () => {
@@ -206,10 +893,247 @@ describe("Validate Form", () => {
     const schema = { a: new Schema().matches(matchingProperty) };
 
     expect(() => validate(form, schema)).toThrow(
-      Errors.NO_MATCHING_PROPERTY.replace("PROPERTY", matchingProperty)
+      formatError("NO_MATCHING_PROPERTY", { property: matchingProperty })
     );
   });
 
+  describe("Field comparisons", () => {
+    const schema = {
+      email: new Schema().isEmail(),
+      confirmEmail: new Schema().min(4).matchesIgnoreCase("email"),
+      minimum: Schema.number(),
+      maximum: Schema.number().integer().greaterThanField("minimum"),
+      trip: {
+        start: Schema.date().lessThanField("trip.end"),
+        end: Schema.date(),
+      },
+      password: new Schema().min(4).notEqualTo("currentPassword"),
+      currentPassword: new Schema(),
+    };
+    const form = {
+      email: "abc@def.com",
+      confirmEmail: "ABC@def.com",
+      minimum: "10",
+      maximum: 20,
+      trip: { start: "2020-01-01", end: "2020-01-02" },
+      password: "abcd",
+      currentPassword: "abc",
+    };
+
+    test("should not return errors when comparisons pass", () => {
+      expect(validate(form, schema)).toEqual({
+        isValid: true,
+        errors: {},
+        values: {
+          ...form,
+          minimum: 10,
+          trip: { start: new Date(2020, 0, 1), end: new Date(2020, 0, 2) },
+        },
+      });
+    });
+
+    test("should keep the other rules of the property", () => {
+      const { errors, failedRules } = validate(
+        {
+          ...form,
+          confirmEmail: "abc",
+          maximum: "5.5",
+          trip: { start: "2020-01-02", end: "2020-01-01" },
+          password: "abc",
+        },
+        schema,
+        { includeRules: true }
+      );
+
+      expect(errors).toEqual({
+        confirmEmail: [
+          formatMessage(Messages.MIN_LENGTH, { length: 4 }),
+          formatMessage(Messages.MATCHING, { property: "email" }),
+        ],
+        maximum: [
+          Messages.INTEGER,
+          formatMessage(Messages.GREATER_THAN_FIELD, { property: "minimum" }),
+        ],
+        "trip.start": [
+          formatMessage(Messages.LESS_THAN_FIELD, { property: "trip.end" }),
+        ],
+        password: [
+          formatMessage(Messages.MIN_LENGTH, { length: 4 }),
+          formatMessage(Messages.NOT_EQUAL_TO, { property: "currentPassword" }),
+        ],
+      });
+      expect(failedRules.maximum).toEqual({
+        integer: true,
+        greaterThanField: true,
+      });
+    });
+
+    test("should not compare with empty or invalid values", () => {
+      const { errors } = validate({ ...form, minimum: "abc" }, schema);
+
+      expect(errors).toEqual({ minimum: [Messages.NUMBER] });
+    });
+
+    test("should throw error when the referenced property is not found", () => {
+      const { minimum, ...rest } = form;
+      const { minimum: minimumSchema, ...restSchema } = schema;
+
+      expect(() => validate(rest, restSchema)).toThrow(
+        formatError("NO_MATCHING_PROPERTY", { property: "minimum" })
+      );
+    });
+
+    test("should throw error when validating a single value", () => {
+      expect(() => validate(5, schema.maximum)).toThrow(
+        formatError("NO_MATCHING_PROPERTY", { property: "minimum" })
+      );
+    });
+  });
+
+  describe("Nested forms", () => {
+    const schema = {
+      name: new Schema().isRequired(),
+      account: {
+        password: new Schema().min(4).isRequired(),
+        confirm: new Schema().matches("account.password").isRequired(),
+      },
+      address: {
+        postcode: new Schema().hasDigit(),
+        country: { code: new Schema().max(2) },
+      },
+    };
+
+    test("should report errors and failed rules under dotted paths", () => {
+      const form = {
+        name: "a",
+        account: { password: "abc", confirm: "abcd" },
+        address: { postcode: "abc", country: { code: "abc" } },
+      };
+
+      expect(validate(form, schema, { includeRules: true })).toEqual({
+        isValid: false,
+        errors: {
+          "account.password": [
+            formatMessage(Messages.MIN_LENGTH, { length: 4 }),
+          ],
+          "account.confirm": [
+            formatMessage(Messages.MATCHING, { property: "account.password" }),
+          ],
+          "address.postcode": [formatMessage(Messages.DIGIT, { count: 1 })],
+          "address.country.code": [
+            formatMessage(Messages.MAX_LENGTH, { length: 2 }),
+          ],
+        },
+        failedRules: {
+          "account.password": { min: true },
+          "account.confirm": { matches: true },
+          "address.postcode": { digit: true },
+          "address.country.code": { max: true },
+        },
+        values: form,
+      });
+    });
+
+    test("should throw error when nested form is not an object", () => {
+      expect(() => validate({ name: "a", address: "abc" }, schema)).toThrow(
+        Errors.FORM_SCHEMA_MISMATCH
+      );
+    });
+
+    test("should throw error when matching path is not found", () => {
+      expect(() =>
+        validate(
+          { account: { confirm: "a" } },
+          { account: { confirm: schema.account.confirm } }
+        )
+      ).toThrow(
+        formatError("NO_MATCHING_PROPERTY", { property: "account.password" })
+      );
+    });
+
+    test("should pass a deeply read-only view of the form to custom rules", () => {
+      const tamper = (value, form) => {
+        form.address.postcode = value;
+        return true;
+      };
+      const form = { name: "a", address: { postcode: "1" } };
+
+      expect(() =>
+        validate(form, {
+          name: new Schema().custom("tamper", tamper),
+          address: { postcode: new Schema() },
+        })
+      ).toThrowError(TypeError);
+    });
+  });
+
+  describe("Conditional schemas", () => {
+    const schema = {
+      country: new Schema(),
+      accountType: new Schema(),
+      vatNumber: Schema.when(
+        "country",
+        (country) => ["FR", "DE"].includes(country),
+        new Schema().min(4).isRequired()
+      ),
+      companyName: Schema.when(
+        "accountType",
+        "business",
+        new Schema().isRequired(),
+        new Schema().max(0)
+      ),
+    };
+
+    const conditionalTests = [
+      {
+        form: {
+          country: "FR",
+          accountType: "business",
+          vatNumber: "",
+          companyName: "",
+        },
+        expectedErrors: {
+          vatNumber: [
+            Messages.REQUIRED,
+            formatMessage(Messages.MIN_LENGTH, { length: 4 }),
+          ],
+          companyName: [Messages.REQUIRED],
+        },
+      },
+      {
+        form: {
+          country: "US",
+          accountType: "personal",
+          vatNumber: "",
+          companyName: "abc",
+        },
+        expectedErrors: {
+          companyName: [formatMessage(Messages.MAX_LENGTH, { length: 0 })],
+        },
+      },
+    ];
+
+    conditionalTests.forEach(({ form, expectedErrors }) => {
+      test(`should resolve conditional schemas from the sibling values when country is ${form.country}`, () => {
+        expect(validate(form, schema).errors).toEqual(expectedErrors);
+      });
+    });
+
+    test("should resolve conditional schemas from the nested form siblings", () => {
+      const form = { billing: { country: "DE", vatNumber: "" } };
+      const formSchema = {
+        billing: { country: schema.country, vatNumber: schema.vatNumber },
+      };
+
+      expect(validate(form, formSchema).errors).toEqual({
+        "billing.vatNumber": [
+          Messages.REQUIRED,
+          formatMessage(Messages.MIN_LENGTH, { length: 4 }),
+        ],
+      });
+    });
+  });
+
   const schemaTests = [
     {
       schema: DEFAULT_SCHEMA,
@@ -235,7 +1159,11 @@ describe("Validate Form", () => {
     {
       form: { password: DEFAULT_VALUE + "1", email: "abc@def.com" },
       schema: DEFAULT_FORM_SCHEMA,
-      expectedOutput: { isValid: true, errors: {} },
+      expectedOutput: {
+        isValid: true,
+        errors: {},
+        values: { password: DEFAULT_VALUE + "1", email: "abc@def.com" },
+      },
       description:
         "empty errors object when all form properties validate without errors",
     },
@@ -245,8 +1173,9 @@ describe("Validate Form", () => {
       expectedOutput: {
         isValid: false,
         errors: {
-          password: [Messages.DIGIT],
+          password: [formatMessage(Messages.DIGIT, { count: 1 })],
         },
+        values: { password: DEFAULT_VALUE, email: "abc@def.com" },
       },
       description:
         "empty errors object when all form properties validate without errors",
@@ -261,3 +1190,349 @@ describe("Validate Form", () => {
     });
   });
 });
+
+describe("Repeated validation", () => {
+  const password = new Schema().trim().min(4).hasDigit().isRequired();
+  const signup = {
+    password,
+    confirm: new Schema().trim().matches("password").isRequired(),
+  };
+  const login = { password, code: Schema.number().integer().between(1, 9) };
+
+  const validations = [
+    { value: " abc1 ", schema: password },
+    { value: "abc", schema: password },
+    { value: { password: "abc1", confirm: " abc1" }, schema: signup },
+    { value: { password: "abc1", confirm: "abc2" }, schema: signup },
+    { value: { password: "", confirm: "" }, schema: signup },
+    { value: { password: "abcd", code: "10" }, schema: login },
+    { value: { password: "abc1", code: "5" }, schema: login },
+  ];
+
+  test("should give identical results validating schemas 1,000 times in any order", () => {
+    const expectedResults = validations.map(({ value, schema }) =>
+      validate(value, schema, { includeRules: true })
+    );
+
+    // Deterministic pseudo-random order
+    let seed = 7;
+    for (let run = 0; run < 1000; run++) {
+      seed = (seed * 16807) % 2147483647;
+      const index = seed % validations.length;
+      const { value, schema } = validations[index];
+
+      expect(validate(value, schema, { includeRules: true })).toEqual(
+        expectedResults[index]
+      );
+    }
+  });
+});
+
+describe("Unknown and missing keys", () => {
+  const schema = {
+    name: new Schema().isRequired(),
+    tags: Schema.array().minItems(1),
+    address: { postcode: new Schema().isRequired() },
+  };
+  const form = { name: "a", tags: ["b"], address: { postcode: "c" } };
+
+  test("should throw error on unknown keys by default", () => {
+    expect(() => validate({ ...form, extra: "d" }, schema)).toThrow(
+      Errors.FORM_SCHEMA_MISMATCH
+    );
+  });
+
+  const unknownKeysTests = [
+    { unknownKeys: "strip", values: form },
+    {
+      unknownKeys: "allow",
+      values: { ...form, extra: "d", address: { postcode: "c", e: "f" } },
+    },
+  ];
+
+  unknownKeysTests.forEach(({ unknownKeys, values }) => {
+    test(`should not validate unknown keys when unknownKeys option is ${unknownKeys}`, () => {
+      const extraForm = {
+        ...form,
+        extra: "d",
+        address: { postcode: "c", e: "f" },
+      };
+
+      expect(validate(extraForm, schema, { unknownKeys })).toEqual({
+        isValid: true,
+        errors: {},
+        values,
+      });
+    });
+  });
+
+  test("should validate missing keys as empty values by default", () => {
+    const minItems = formatMessage(Messages.MIN_ITEMS, { count: 1 });
+
+    expect(validate({ tags: [] }, schema, { includeRules: true })).toEqual({
+      isValid: false,
+      errors: {
+        name: [Messages.REQUIRED],
+        tags: [minItems],
+        "address.postcode": [Messages.REQUIRED],
+      },
+      failedRules: {
+        name: { required: true },
+        tags: { minItems: true },
+        "address.postcode": { required: true },
+      },
+      values: { name: "", tags: [], address: { postcode: "" } },
+    });
+    expect(validate({ name: "a", address: {} }, schema).errors).toEqual({
+      tags: [minItems],
+      "address.postcode": [Messages.REQUIRED],
+    });
+  });
+
+  test("should fail partial forms missing required keys unless the form schema is partial", () => {
+    const partialForm = { tags: ["b"] };
+
+    expect(validate(partialForm, schema).errors).toEqual({
+      name: [Messages.REQUIRED],
+      "address.postcode": [Messages.REQUIRED],
+    });
+    expect(validate(partialForm, new FormSchema(schema).partial())).toEqual({
+      isValid: true,
+      errors: {},
+      values: { name: "", tags: ["b"], address: { postcode: "" } },
+    });
+  });
+
+  test("should throw error on missing keys when missingKeys option is error", () => {
+    expect(() =>
+      validate({ name: "a", tags: [] }, schema, { missingKeys: "error" })
+    ).toThrow(formatError("MISSING_PROPERTY", { property: "address" }));
+    expect(() =>
+      validate({ ...form, address: {} }, schema, { missingKeys: "error" })
+    ).toThrow(
+      formatError("MISSING_PROPERTY", { property: "address.postcode" })
+    );
+  });
+
+  test("should apply the policies when validating asynchronously", async () => {
+    await expect(
+      validateAsync({ extra: "d" }, schema, { unknownKeys: "strip" })
+    ).resolves.toMatchObject({
+      isValid: false,
+      values: { name: "", tags: [], address: { postcode: "" } },
+    });
+  });
+});
+
+describe("validateAsync", () => {
+  const validations = [
+    {
+      description: "valid properties",
+      value: DEFAULT_VALUE + "1",
+      schema: new Schema().hasDigit(),
+    },
+    {
+      description: "invalid properties",
+      value: DEFAULT_VALUE,
+      schema: new Schema().hasDigit().hasSymbol(),
+      options: { includeRules: true },
+    },
+    {
+      description: "the abortEarly option",
+      value: DEFAULT_VALUE,
+      schema: new Schema().hasDigit().hasSymbol(),
+      options: { abortEarly: true },
+    },
+    {
+      description: "forms",
+      value: DEFAULT_FORM,
+      schema: DEFAULT_FORM_SCHEMA,
+    },
+  ];
+
+  validations.forEach(({ description, value, schema, options }) => {
+    test(`should resolve with the response of validate for ${description}`, async () => {
+      await expect(validateAsync(value, schema, options)).resolves.toEqual(
+        validate(value, schema, options)
+      );
+    });
+  });
+
+  function resolveAfter(milliseconds, result) {
+    return () =>
+      new Promise((resolve) => setTimeout(() => resolve(result), milliseconds));
+  }
+
+  test("should resolve with the property response when asynchronous rules pass", async () => {
+    const schema = new Schema()
+      .hasDigit()
+      .custom("available", resolveAfter(0, true));
+
+    await expect(validateAsync(DEFAULT_VALUE + "1", schema)).resolves.toEqual({
+      isValid: true,
+      errors: [],
+      value: DEFAULT_VALUE + "1",
+    });
+  });
+
+  test("should include errors and failed rules of asynchronous rules", async () => {
+    const error = "username is taken";
+    const schema = new Schema()
+      .hasDigit()
+      .custom("available", resolveAfter(0, false), error);
+
+    const { isValid, errors, failedRules } = await validateAsync(
+      DEFAULT_VALUE,
+      schema,
+      { includeRules: true }
+    );
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      formatMessage(Messages.DIGIT, { count: 1 }),
+      error,
+    ]);
+    expect(failedRules).toEqual({ digit: true, available: true });
+  });
+
+  test("should stop at the first failed rule when abortEarly option set to true", async () => {
+    const predicate = jest.fn(resolveAfter(0, true));
+    const schema = new Schema().hasDigit().custom("available", predicate);
+
+    const { errors } = await validateAsync(DEFAULT_VALUE, schema, {
+      abortEarly: true,
+    });
+
+    expect(errors).toEqual([formatMessage(Messages.DIGIT, { count: 1 })]);
+    expect(predicate).not.toHaveBeenCalled();
+  });
+
+  test("should validate form properties concurrently", async () => {
+    const started = [];
+    const track = (name) => () => {
+      started.push(name);
+      return resolveAfter(10, false)();
+    };
+    const schema = {
+      a: new Schema().custom("a", track("a")),
+      b: new Schema().custom("b", track("b")),
+    };
+
+    const pending = validateAsync({ a: "a", b: "b" }, schema);
+    expect(started).toEqual(["a", "b"]);
+
+    const { isValid, errors } = await pending;
+    expect(isValid).toBe(false);
+    expect(errors).toEqual({ a: [Messages.CUSTOM], b: [Messages.CUSTOM] });
+  });
+
+  test("should reject stale results when a newer validation with the same id starts", async () => {
+    const schema = new Schema().custom("slow", resolveAfter(10, true));
+    const options = { validationId: "username" };
+
+    const stale = validateAsync(DEFAULT_VALUE, schema, options);
+    const latest = validateAsync(DEFAULT_VALUE, schema, options);
+
+    await expect(stale).rejects.toBeInstanceOf(StaleValidationError);
+    await expect(latest).resolves.toEqual({
+      isValid: true,
+      errors: [],
+      value: DEFAULT_VALUE,
+    });
+  });
+
+  test("should reject stale form properties when a newer validation of the form starts", async () => {
+    const schema = {
+      name: new Schema().custom("slow", resolveAfter(10, true)),
+    };
+    const options = { validationId: "profile" };
+
+    const stale = validateAsync({ name: "a" }, schema, options);
+    const latest = validateAsync({ name: "b" }, schema, options);
+
+    await expect(stale).rejects.toEqual(new StaleValidationError("name"));
+    await expect(latest).resolves.toMatchObject({ isValid: true });
+  });
+
+  test("should forget finished validations of every id", async () => {
+    const set = jest.spyOn(Map.prototype, "set");
+    const remove = jest.spyOn(Map.prototype, "delete");
+    const schema = new Schema().custom("slow", resolveAfter(0, true));
+    const failing = new Schema().custom("failing", () =>
+      Promise.reject(new Error("unavailable"))
+    );
+    const getIds = (spy) =>
+      spy.mock.calls
+        .map(([key]) => key)
+        .filter((key) => `${key}`.startsWith("row"))
+        .sort();
+
+    try {
+      const stale = validateAsync("a", schema, { validationId: "row1" });
+      await Promise.all([
+        validateAsync("b", schema, { validationId: "row1" }),
+        validateAsync(
+          { name: "c" },
+          { name: schema },
+          { validationId: "row2" }
+        ),
+        expect(stale).rejects.toBeInstanceOf(StaleValidationError),
+        expect(
+          validateAsync("d", failing, { validationId: "row3" })
+        ).rejects.toThrow("unavailable"),
+      ]);
+
+      expect(getIds(remove)).toEqual(getIds(set));
+    } finally {
+      set.mockRestore();
+      remove.mockRestore();
+    }
+  });
+
+  test("should not reject results of validations sharing a schema", async () => {
+    const schema = new Schema().custom("slow", resolveAfter(10, true));
+
+    const validations = [
+      validateAsync("first", schema, { validationId: "firstName" }),
+      validateAsync("last", schema, { validationId: "lastName" }),
+      validateAsync("first", schema),
+      validateAsync("last", schema),
+    ];
+    const responses = await Promise.all(validations);
+
+    expect(responses.map(({ value }) => value)).toEqual([
+      "first",
+      "last",
+      "first",
+      "last",
+    ]);
+  });
+
+  test("should reject when value is neither an object nor a string", async () => {
+    await expect(validateAsync(1, DEFAULT_SCHEMA)).rejects.toThrow(
+      Errors.INVALID_VALUE_TYPE
+    );
+  });
+
+  test("validate should throw error when schema contains an asynchronous rule", () => {
+    const schema = new Schema().custom("available", resolveAfter(0, true));
+
+    expect(() => validate(DEFAULT_VALUE, schema)).toThrow(
+      formatError("ASYNC_RULE", { rule: "available" })
+    );
+  });
+
+  test("should handle the rejection of the asynchronous rule it throws for", () => {
+    // Thenable standing for the rejected promise returned by the rule
+    const rejection = { then: jest.fn(() => rejection) };
+    const schema = new Schema().custom("available", () => rejection);
+
+    expect(() => validate(DEFAULT_VALUE, schema)).toThrow(
+      formatError("ASYNC_RULE", { rule: "available" })
+    );
+    expect(rejection.then).toHaveBeenLastCalledWith(
+      undefined,
+      expect.any(Function)
+    );
+  });
+});
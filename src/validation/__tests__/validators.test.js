@@ -52,6 +52,121 @@ describe("Validators", () => {
       invalid: "A",
       description: "regex pattern validator matches pattern",
     },
+    {
+      func: Validators.greaterThan(2, ERROR_MESSAGE),
+      valid: 3,
+      invalid: 2,
+      description: "greater than validator exceeds the limit",
+    },
+    {
+      func: Validators.lessThan(2, ERROR_MESSAGE),
+      valid: 1,
+      invalid: 2,
+      description: "less than validator is under the limit",
+    },
+    {
+      func: Validators.between(1, 2, ERROR_MESSAGE),
+      valid: 2,
+      invalid: 3,
+      description: "between validator is within the range",
+    },
+    {
+      func: Validators.integer(ERROR_MESSAGE),
+      valid: -2,
+      invalid: 2.5,
+      description: "integer validator is an integer",
+    },
+    {
+      func: Validators.positive(ERROR_MESSAGE),
+      valid: 0.1,
+      invalid: 0,
+      description: "positive validator is greater than zero",
+    },
+    {
+      func: Validators.multipleOf(0.1, ERROR_MESSAGE),
+      valid: 0.3,
+      invalid: 0.35,
+      description: "multiple validator is a multiple of the factor",
+    },
+    {
+      func: Validators.precision(2, ERROR_MESSAGE),
+      valid: 1.25,
+      invalid: 1e-3,
+      description: "precision validator has at most the given decimal places",
+    },
+    {
+      func: Validators.before("2020-01-01", ERROR_MESSAGE),
+      valid: new Date(2019, 11, 31),
+      invalid: new Date(2020, 0, 1),
+      description: "before validator is earlier than the date",
+    },
+    {
+      func: Validators.after("now", ERROR_MESSAGE),
+      valid: new Date(Date.now() + 60000),
+      invalid: new Date(Date.now() - 60000),
+      description: "after validator is later than the date",
+    },
+    {
+      func: Validators.minItems(2, ERROR_MESSAGE),
+      valid: ["a", "b"],
+      invalid: ["a"],
+      description: "min items validator has at least the given number of items",
+    },
+    {
+      func: Validators.maxItems(1, ERROR_MESSAGE),
+      valid: ["a"],
+      invalid: ["a", "b"],
+      description: "max items validator has at most the given number of items",
+    },
+    {
+      func: Validators.unique(ERROR_MESSAGE),
+      valid: ["a", "b", new Date(0)],
+      invalid: [new Date(0), "b", new Date(0)],
+      description: "unique validator has no duplicate items",
+    },
+    {
+      func: Validators.matchesIgnoreCase(ERROR_MESSAGE)("abc"),
+      valid: "ABC",
+      invalid: "abd",
+      description:
+        "case-insensitive matching validator matches regardless of case",
+    },
+    {
+      func: Validators.greaterThanField(ERROR_MESSAGE)(new Date(2020, 0, 1)),
+      valid: new Date(2020, 0, 2),
+      invalid: new Date(2020, 0, 1),
+      description: "greater than field validator exceeds the other value",
+    },
+    {
+      func: Validators.lessThanField(ERROR_MESSAGE)(2),
+      valid: 1,
+      invalid: 2,
+      description: "less than field validator is under the other value",
+    },
+    {
+      func: Validators.notEqualTo(ERROR_MESSAGE)("abc"),
+      valid: "abcd",
+      invalid: "abc",
+      description: "not equal to validator differs from the other value",
+    },
+    {
+      func: Validators.maxRepeatedChars(1, ERROR_MESSAGE),
+      valid: "abab",
+      invalid: "abba",
+      description: "repeated characters validator repeats no character",
+    },
+    {
+      func: Validators.noSequentialChars(4, ERROR_MESSAGE),
+      valid: "abc13",
+      invalid: "a9876",
+      description: "sequential characters validator has no sequence",
+    },
+    {
+      func: Validators.strength(3, ERROR_MESSAGE),
+      valid: "correct horse battery staple",
+      invalid: "Password1!",
+      description: "strength validator is a strong enough password",
+    },
     {
       func: Validators.uppercase(ERROR_MESSAGE),
       valid: "Abc",
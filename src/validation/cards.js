@@ -0,0 +1,62 @@
+/**
+ * Exports the card brand detection. Brands are detected from the first
+ * digits of the card number (the issuer identification number).
+ * @module cards
+ */
+
+/**
+ * A card brand.
+ * @typedef {Object} CardBrand
+ * @property {RegExp} prefix - The pattern of the first digits of the card numbers.
+ * @property {number[]} lengths - The number of digits of the card numbers.
+ */
+
+/**
+ * The card brands, by name. Brands with overlapping prefixes are listed
+ * from the most specific.
+ * @type {Object<string, CardBrand>}
+ */
+export const CARD_BRANDS = {
+  maestro: {
+    prefix: /^(?:5018|5020|5038|5893|6304|6759|676[1-3])/,
+    lengths: [12, 13, 14, 15, 16, 17, 18, 19],
+  },
+  visa: { prefix: /^4/, lengths: [13, 16, 19] },
+  mastercard: {
+    prefix: /^(?:5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/,
+    lengths: [16],
+  },
+  amex: { prefix: /^3[47]/, lengths: [15] },
+  discover: { prefix: /^(?:6011|64[4-9]|65)/, lengths: [16, 19] },
+  dinersclub: { prefix: /^(?:30[0-5]|3[689])/, lengths: [14, 16, 19] },
+  jcb: { prefix: /^35(?:2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] },
+  unionpay: { prefix: /^62/, lengths: [16, 17, 18, 19] },
+};
+
+/**
+ * Detect the brand of a card number, complete or not, so it can be shown
+ * while the number is being typed.
+ * @param {string} number - The card number, which may include spaces and hyphens.
+ * @returns {(string|null)} The name of the brand (ex: "visa"), or null when unknown.
+ *
+ * @example
+ * getCardBrand("4111 1111"); // "visa"
+ */
+export function getCardBrand(number) {
+  const digits = getCardDigits(number);
+  if (!/^\d+$/.test(digits)) return null;
+
+  const brand = Object.keys(CARD_BRANDS).find((name) =>
+    CARD_BRANDS[name].prefix.test(digits)
+  );
+  return brand || null;
+}
+
+/**
+ * Get the digits of a card number.
+ * @param {string} number - The card number, which may include spaces and hyphens.
+ * @returns {string} The card number without the spaces and hyphens.
+ */
+export function getCardDigits(number) {
+  return `${number}`.replace(/[\s-]/g, "");
+}
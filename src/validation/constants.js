@@ -4,42 +4,163 @@ export const EMPTY_VALUE = "";
 export const TYPES = {
   REGEX: "RegExp",
   STRING: "string",
+  DATE: "date",
+  ARRAY: "array",
   NUMBER: "number",
   OBJECT: "object",
   BOOLEAN: "boolean",
+  FUNCTION: "function",
 };
 
+/** The special characters of the symbol rule, the ASCII punctuation characters. */
+export const DEFAULT_SYMBOLS = "!\"#$%&'()*+,-./:;<=>?@[\\]^_`{|}~";
+
+/** The policies for form properties without a schema. */
+export const UNKNOWN_KEYS = {
+  ERROR: "error",
+  STRIP: "strip",
+  ALLOW: "allow",
+};
+
+/** The policies for form schema properties missing from the form. */
+export const MISSING_KEYS = {
+  VALIDATE_AS_EMPTY: "validate-as-empty",
+  ERROR: "error",
+};
+
+/**
+ * The English messages of the schema errors, the default locale catalog.
+ * Placeholders are named (ex: {rule}).
+ * @see {@link locale.js} for the message format.
+ */
 export const ERROR_MESSAGES = {
-  INVALID_TYPE: "Value must be of type TYPE",
-  EMPTY_PROPERTY: "PROPERTY cannot be empty",
+  INVALID_TYPE: "Value must be of type {type}",
+  EMPTY_PROPERTY: "{property} cannot be empty",
   INVALID_SCHEMA: "Invalid schema",
   INVALID_NUMBER: "Length cannot be negative",
+  INVALID_FACTOR: "Factor must be greater than zero",
+  INVALID_SCORE: "Score must be an integer from 0 to 4",
+  INVALID_COUNT: "Count must be at least 1",
+  INVALID_SEQUENCE_LENGTH: "Sequence length must be at least 2",
+  INVALID_SYMBOLS: "Symbols must be a non-empty string",
+  INVALID_OPTIONS: "Invalid {rule} options",
+  INVALID_RULE_DEFINITION:
+    "Rule definition must have a name, a factory function and a message",
+  RULE_EXISTS: "Schema method {rule} already exists",
+  MESSAGE_KEY_EXISTS: "Message key {key} already exists",
+  INVALID_UUID_VERSION: "UUID version must be an integer from 1 to 8",
   INVALID_VALUE_TYPE: "Invalid value type",
   INVALID_SCHEMA_TYPE: "Invalid schema type",
   FORM_SCHEMA_MISMATCH: "Schema and form do not match",
-  NO_MATCHING_PROPERTY: `No PROPERTY property to match`,
+  INVALID_FORM_SCHEMA:
+    "Form schema properties must be schemas or nested form schemas",
+  UNKNOWN_PROPERTY: "Unknown form schema property {property}",
+  MISSING_PROPERTY: "Form is missing the {property} property",
+  NO_MATCHING_PROPERTY: "No {property} property to match",
+  CONDITIONAL_SCHEMA: "Conditional schemas can only be validated in forms",
+  ASYNC_RULE: "Rule {rule} is asynchronous and requires validateAsync",
+  STALE_VALIDATION: "Validation was superseded by a newer validation",
+  VALIDATION_FAILED: "Validation failed",
   INVALID_MIN_OVER_MAX: "Minimum length cannot be greater than the maximum",
+  INVALID_RANGE: "Lower bound cannot be greater than the upper bound",
+  INVALID_RULE_TYPE: "{rule} rule cannot be used with {type} schemas",
+  UNKNOWN_RULE: "Unknown rule {rule}",
+  UNKNOWN_LOCALE: "Unknown locale {locale}",
+  UNSERIALIZABLE_RULE: "Rule {rule} cannot be serialized to JSON",
+  COMBINATOR_SCHEMAS:
+    "{rule} rule requires a non-empty array of schemas of the same type",
+  INVALID_SCHEMA_JSON: "Schema JSON must be an object with a type",
+  INVALID_DATE:
+    "Date must be a valid Date, an ISO-8601 string or a relative date such as '18 years ago'",
   INVALID_MIN_MAX:
     "Minimum or maximum length cannot be less than the number of required characters",
 };
 
+/**
+ * The English messages of the validation errors, the default locale catalog.
+ * Placeholders are named after the rule arguments (ex: {min}).
+ * @see {@link locale.js} for the message format.
+ */
 export const VALIDATION_ERROR_MESSAGES = {
+  WITH_LABEL: "{label} {message}",
   EMAIL: "must be a valid email address",
-  DIGIT: "must include at least one digit",
-  SYMBOL: "must include at least one special character",
+  URL: "must be a valid URL",
+  UUID: "must be a valid UUID",
+  IPV4: "must be a valid IPv4 address",
+  IPV6: "must be a valid IPv6 address",
+  CIDR: "must be a valid IP address block (ex: 192.168.0.0/24)",
+  PHONE: "must be a phone number in international format (ex: +14155552671)",
+  CREDIT_CARD: "must be a valid card number",
+  IBAN: "must be a valid IBAN",
+  HEX_COLOR: "must be a hex color (ex: #ff0000)",
+  CUSTOM: "is invalid",
+  DIGIT:
+    "must include at least {count, plural, one {one digit} other {# digits}}",
+  SYMBOL:
+    "must include at least {count, plural, one {one special character} other {# special characters}}",
   PATTERN: "does not match the pattern provided",
+  DOES_NOT_MATCH: "matches a forbidden pattern",
   REQUIRED: "must not be empty",
-  MATCHING: "does not match PROPERTY",
-  LOWERCASE: "must include at least one lowercase character",
-  UPPERCASE: "must include at least one uppercase character",
-  MIN_LENGTH: "must be at least VALUE character(s) long",
-  MAX_LENGTH: "cannot be longer than VALUE character(s)",
+  MATCHING: "does not match {property}",
+  NOT_EQUAL_TO: "must be different from {property}",
+  LESS_THAN_FIELD: "must be less than {property}",
+  GREATER_THAN_FIELD: "must be greater than {property}",
+  LOWERCASE:
+    "must include at least {count, plural, one {one lowercase character} other {# lowercase characters}}",
+  UPPERCASE:
+    "must include at least {count, plural, one {one uppercase character} other {# uppercase characters}}",
+  MAX_REPEATED_CHARS:
+    "cannot repeat a character more than {max, plural, one {once} other {# times}} in a row",
+  SEQUENTIAL_CHARS:
+    "cannot contain {length} sequential characters like abc or 321",
+  MIN_LENGTH:
+    "must be at least {length, plural, one {# character} other {# characters}} long",
+  MAX_LENGTH:
+    "cannot be longer than {length, plural, one {# character} other {# characters}}",
+  NUMBER: "must be a valid number",
+  INTEGER: "must be an integer",
+  POSITIVE: "must be a positive number",
+  LESS_THAN: "must be less than {limit}",
+  GREATER_THAN: "must be greater than {limit}",
+  BETWEEN: "must be between {min} and {max}",
+  MULTIPLE_OF: "must be a multiple of {factor}",
+  PRECISION:
+    "cannot have more than {digits, plural, one {# decimal place} other {# decimal places}}",
+  DATE: "must be a valid date",
+  AFTER: "must be after {date}",
+  BEFORE: "must be before {date}",
+  UNIQUE: "must not contain duplicate items",
+  ANY_OF: "must satisfy one of the alternatives ({reasons})",
+  ALL_OF: "must satisfy all the requirements ({reasons})",
+  // Lists of reasons, where Intl.ListFormat is not supported
+  LIST_SEPARATOR: ", ",
+  LIST_CONJUNCTION: "{items} and {last}",
+  LIST_DISJUNCTION: "{items} or {last}",
+  NOT: "is not allowed",
+  STRENGTH: "is too weak ({score} out of {minScore})",
+  FEEDBACK_DICTIONARY: "Avoid common words and passwords",
+  FEEDBACK_REPEAT: "Avoid repeated characters and words",
+  FEEDBACK_SEQUENCE: "Avoid sequences like abc or 123",
+  FEEDBACK_KEYBOARD: "Avoid keyboard patterns like qwerty",
+  FEEDBACK_LENGTH: "Add more words or characters",
+  MIN_ITEMS:
+    "must contain at least {count, plural, one {# item} other {# items}}",
+  MAX_ITEMS:
+    "cannot contain more than {count, plural, one {# item} other {# items}}",
 };
 
 export const REGEX_PATTERNS = {
-  email: /^\w+([-]?\w+)*@\w+([-]?\w+)*(\.\w{2,3})+$/,
+  // RFC 1035 labels, and labels of any letters for internationalized domains
+  label: /^[a-z\d](?:[a-z\d-]*[a-z\d])?$/i,
+  idnLabel: /^[\p{L}\p{N}](?:[\p{L}\p{M}\p{N}-]*[\p{L}\p{M}\p{N}])?$/u,
+  tld: /^(?:[a-z]{2,}|xn--[a-z\d-]+)$/i,
+  idnTld: /^(?:[\p{L}\p{M}]{2,}|xn--[a-z\d-]+)$/iu,
+  ipv4: /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
   digit: /[0-9]/,
-  symbol: /[!@#$%^&*(),.?":{}|<>]/,
-  lowercase: /[a-z]/,
-  uppercase: /[A-Z]/,
+  isoDate: /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?)?$/i,
+  relativeDate: /^(?:(\d+) (second|minute|hour|day|week|month|year)s? (ago|from now)|in (\d+) (second|minute|hour|day|week|month|year)s?)$/i,
+  number: /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i,
+  lowercase: /\p{Ll}/u,
+  uppercase: /\p{Lu}/u,
+  lineBreak: /\r\n|[\n\r\u2028\u2029]/g,
 };
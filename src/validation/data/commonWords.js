@@ -0,0 +1,367 @@
+/**
+ * The offline word list of the password strength estimation: common
+ * passwords, then common names and English words, from the most common.
+ * Words are lowercase and at least 3 characters long.
+ * @module data/commonWords
+ */
+
+export default [
+  // Common passwords
+  "password",
+  "qwerty",
+  "abc123",
+  "letmein",
+  "monkey",
+  "dragon",
+  "baseball",
+  "iloveyou",
+  "trustno1",
+  "sunshine",
+  "master",
+  "welcome",
+  "shadow",
+  "ashley",
+  "football",
+  "jesus",
+  "michael",
+  "ninja",
+  "mustang",
+  "passw0rd",
+  "admin",
+  "login",
+  "princess",
+  "starwars",
+  "whatever",
+  "freedom",
+  "superman",
+  "batman",
+  "hello",
+  "charlie",
+  "donald",
+  "qazwsx",
+  "zaq1zaq1",
+  "hunter",
+  "soccer",
+  "hockey",
+  "killer",
+  "george",
+  "pepper",
+  "jordan",
+  "harley",
+  "ranger",
+  "buster",
+  "thomas",
+  "tigger",
+  "robert",
+  "access",
+  "love",
+  "secret",
+  "summer",
+  "winter",
+  "spring",
+  "autumn",
+  "flower",
+  "cookie",
+  "computer",
+  "internet",
+  "samsung",
+  "google",
+  "apple",
+  "orange",
+  "banana",
+  "chocolate",
+  "cheese",
+  "matrix",
+  "maggie",
+  "ginger",
+  "jessica",
+  "daniel",
+  "andrew",
+  "joshua",
+  "hannah",
+  "amanda",
+  "jennifer",
+  "nicole",
+  "anthony",
+  "william",
+  "matthew",
+  "taylor",
+  "austin",
+  "yankees",
+  "dallas",
+  "chelsea",
+  "liverpool",
+  "arsenal",
+  "changeme",
+  "default",
+  "guest",
+  "root",
+  "test",
+  "user",
+  "pass",
+  "temp",
+  "qwertyuiop",
+  "asdfgh",
+  "zxcvbn",
+  // Common English words
+  "the",
+  "and",
+  "you",
+  "that",
+  "was",
+  "for",
+  "are",
+  "with",
+  "his",
+  "they",
+  "this",
+  "have",
+  "from",
+  "one",
+  "had",
+  "word",
+  "but",
+  "not",
+  "what",
+  "all",
+  "were",
+  "when",
+  "your",
+  "can",
+  "said",
+  "there",
+  "use",
+  "each",
+  "which",
+  "she",
+  "how",
+  "their",
+  "will",
+  "other",
+  "about",
+  "out",
+  "many",
+  "then",
+  "them",
+  "these",
+  "some",
+  "her",
+  "would",
+  "make",
+  "like",
+  "him",
+  "into",
+  "time",
+  "has",
+  "look",
+  "two",
+  "more",
+  "write",
+  "see",
+  "number",
+  "way",
+  "could",
+  "people",
+  "than",
+  "first",
+  "water",
+  "been",
+  "call",
+  "who",
+  "now",
+  "find",
+  "long",
+  "down",
+  "day",
+  "did",
+  "get",
+  "come",
+  "made",
+  "may",
+  "part",
+  "over",
+  "new",
+  "sound",
+  "take",
+  "only",
+  "little",
+  "work",
+  "know",
+  "place",
+  "year",
+  "live",
+  "back",
+  "give",
+  "most",
+  "very",
+  "after",
+  "thing",
+  "our",
+  "just",
+  "name",
+  "good",
+  "sentence",
+  "man",
+  "think",
+  "say",
+  "great",
+  "where",
+  "help",
+  "through",
+  "much",
+  "before",
+  "line",
+  "right",
+  "too",
+  "mean",
+  "old",
+  "any",
+  "same",
+  "tell",
+  "boy",
+  "follow",
+  "came",
+  "want",
+  "show",
+  "also",
+  "around",
+  "form",
+  "three",
+  "small",
+  "set",
+  "put",
+  "end",
+  "does",
+  "another",
+  "well",
+  "large",
+  "must",
+  "big",
+  "even",
+  "such",
+  "because",
+  "turn",
+  "here",
+  "why",
+  "ask",
+  "went",
+  "men",
+  "read",
+  "need",
+  "land",
+  "different",
+  "home",
+  "move",
+  "try",
+  "kind",
+  "hand",
+  "picture",
+  "again",
+  "change",
+  "off",
+  "play",
+  "spell",
+  "air",
+  "away",
+  "animal",
+  "house",
+  "point",
+  "page",
+  "letter",
+  "mother",
+  "answer",
+  "found",
+  "study",
+  "still",
+  "learn",
+  "should",
+  "america",
+  "world",
+  "money",
+  "family",
+  "friend",
+  "happy",
+  "lucky",
+  "magic",
+  "music",
+  "power",
+  "dream",
+  "angel",
+  "heart",
+  "baby",
+  "girl",
+  "boss",
+  "king",
+  "queen",
+  "star",
+  "blue",
+  "black",
+  "white",
+  "green",
+  "silver",
+  "golden",
+  "purple",
+  "yellow",
+  "tiger",
+  "eagle",
+  "horse",
+  "rabbit",
+  "bear",
+  "wolf",
+  "lion",
+  "dog",
+  "cat",
+  "fish",
+  "bird",
+  "snake",
+  "monster",
+  "pizza",
+  "coffee",
+  "beer",
+  "sugar",
+  "honey",
+  "cherry",
+  "lemon",
+  "game",
+  "player",
+  "gamer",
+  "hacker",
+  "office",
+  "company",
+  "school",
+  "college",
+  "student",
+  "teacher",
+  "doctor",
+  "captain",
+  "pirate",
+  "rocket",
+  "thunder",
+  "storm",
+  "rainbow",
+  "ocean",
+  "river",
+  "mountain",
+  "forest",
+  "city",
+  "london",
+  "paris",
+  "berlin",
+  "january",
+  "february",
+  "march",
+  "april",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+  "monday",
+  "friday",
+  "sunday",
+  "correct",
+  "battery",
+  "staple",
+];
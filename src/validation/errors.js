@@ -0,0 +1,51 @@
+/**
+ * Exports the errors raised while validating.
+ * @module errors
+ */
+
+import { formatError } from "./locale";
+
+/**
+ * Error rejecting an asynchronous validation that was superseded by a
+ * newer validation of the same property.
+ *
+ * @example
+ * validateAsync(value, schema).catch((error) => {
+ *   if (error instanceof StaleValidationError) return; // Newer result pending
+ * });
+ */
+export class StaleValidationError extends Error {
+  /**
+   * @param {string} [property] - The name of the superseded property.
+   */
+  constructor(property) {
+    super(formatError("STALE_VALIDATION"));
+    this.name = "StaleValidationError";
+    this.property = property;
+  }
+}
+
+/**
+ * Error thrown when asserting a value that fails validation.
+ *
+ * @example
+ * try {
+ *   schema.assert(value);
+ * } catch (error) {
+ *   if (error instanceof ValidationError) console.log(error.errors);
+ * }
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {Array<(string|ValidationErrorDetail)>} errors - The validation errors.
+   * @param {object} [failedRules] - The names of all the failed validation rules.
+   */
+  constructor(errors, failedRules = {}) {
+    const messages = errors.map((error) => error.message || error);
+
+    super(`${formatError("VALIDATION_FAILED")}: ${messages.join(", ")}`);
+    this.name = "ValidationError";
+    this.errors = errors;
+    this.failedRules = failedRules;
+  }
+}
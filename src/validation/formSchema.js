@@ -0,0 +1,333 @@
+/**
+ * Exports the form schema, the schemas of the properties of a form.
+ * @module formSchema
+ */
+
+import Schema from "./schema";
+import { formatError } from "./locale";
+import { isPlainObject, getPath } from "./utils";
+
+/************************************
+ *        Class Declaration
+ ************************************/
+
+/**
+ * Creates a new form schema. Form schemas are immutable: deriving a form
+ * schema (ex: with pick) creates a new one, leaving the property schemas
+ * of the original unchanged.
+ *
+ * @example
+ * const signup = new FormSchema({
+ *   email: new Schema().isEmail().isRequired(),
+ *   password: new Schema().min(8).isRequired(),
+ *   confirmPassword: new Schema().matches("password"),
+ * });
+ * const editProfile = signup.omit(["password", "confirmPassword"]).partial();
+ */
+export default class FormSchema {
+  /**
+   * The property schemas, with nested forms as frozen plain objects.
+   * @private
+   * @type {Object<string, *>}
+   */
+  #shape;
+
+  /**
+   * @param {Object<string, (Schema|FormSchema|object)>} [shape={}] - The schema of
+   *        each property, or the form schema of each nested form.
+   * @throws {TypeError} When a property is neither a schema nor a nested form schema.
+   * @throws Throws an error when a rule compares with a property (ex: matches)
+   *         that is not a schema of the form.
+   */
+  constructor(shape = {}) {
+    this.#shape = getShape(shape);
+    validateReferences(this.#shape);
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a form schema from its JSON representation.
+   * @see {@link Schema.formFromJSON} for the representation.
+   * @param {(Object<string, object>|string)} json - The JSON representation, or its string.
+   * @return {FormSchema} The new form schema instance.
+   *
+   * @example
+   * const formSchema = FormSchema.fromJSON(await response.json());
+   */
+  static fromJSON(json) {
+    return new FormSchema(Schema.formFromJSON(json));
+  }
+
+  /**
+   * The property schemas, with nested forms as plain objects, as validated by validate.
+   * @returns {Object<string, *>} The frozen property schemas.
+   */
+  get shape() {
+    return this.#shape;
+  }
+
+  /**
+   * Create a form schema with more properties, replacing the schemas of
+   * the existing ones.
+   * @param {Object<string, (Schema|FormSchema|object)>} shape - The new property schemas.
+   * @return {FormSchema} The new form schema instance.
+   *
+   * @example
+   * const signup = account.extend({ acceptTerms: new Schema().isRequired() });
+   */
+  extend(shape) {
+    return new FormSchema({ ...this.#shape, ...getShape(shape) });
+  }
+
+  /**
+   * Create a form schema with the properties of both form schemas. The
+   * schemas of the given form schema replace those of the same properties.
+   * @param {FormSchema} formSchema - The form schema to merge.
+   * @return {FormSchema} The new form schema instance.
+   * @throws {TypeError} When the form schema is not a FormSchema.
+   *
+   * @example
+   * const checkout = address.merge(payment);
+   */
+  merge(formSchema) {
+    if (!(formSchema instanceof FormSchema)) {
+      throw new TypeError(formatError("INVALID_FORM_SCHEMA"));
+    }
+    return new FormSchema({ ...this.#shape, ...formSchema.shape });
+  }
+
+  /**
+   * Create a form schema with some of the properties only.
+   * @param {string[]} properties - The names of the properties to keep.
+   * @return {FormSchema} The new form schema instance.
+   * @throws Throws an error when a property is unknown, or a kept rule
+   *         compares with a property left out.
+   *
+   * @example
+   * const login = signup.pick(["email", "password"]);
+   */
+  pick(properties) {
+    validateProperties(this.#shape, properties);
+
+    const shape = {};
+    properties.forEach((property) => {
+      shape[property] = this.#shape[property];
+    });
+    return new FormSchema(shape);
+  }
+
+  /**
+   * Create a form schema without some of the properties.
+   * @param {string[]} properties - The names of the properties to leave out.
+   * @return {FormSchema} The new form schema instance.
+   * @throws Throws an error when a property is unknown, or a kept rule
+   *         compares with a property left out.
+   *
+   * @example
+   * const editProfile = signup.omit(["password", "confirmPassword"]);
+   */
+  omit(properties) {
+    validateProperties(this.#shape, properties);
+
+    const shape = { ...this.#shape };
+    properties.forEach((property) => {
+      delete shape[property];
+    });
+    return new FormSchema(shape);
+  }
+
+  /**
+   * Create a form schema where every property, including those of the nested
+   * forms, is optional, such as the form schema of a PATCH request.
+   * @return {FormSchema} The new form schema instance.
+   *
+   * @example
+   * const patchProfile = profile.partial();
+   */
+  partial() {
+    return new FormSchema(mapSchemas(this.#shape, removeRequired));
+  }
+
+  /**
+   * Create a form schema where every property, including those of the nested
+   * forms, is required. Required properties keep their custom error message.
+   * @return {FormSchema} The new form schema instance.
+   *
+   * @example
+   * const createProfile = patchProfile.required();
+   */
+  required() {
+    return new FormSchema(mapSchemas(this.#shape, addRequired));
+  }
+
+  /**
+   * Get the JSON representation of the form schema.
+   * Called by JSON.stringify.
+   * @see {@link Schema.formToJSON} for the representation.
+   * @returns {Object<string, object>} The JSON representation of every property schema.
+   * @throws Throws an error when a rule cannot be serialized.
+   */
+  toJSON() {
+    return Schema.formToJSON(this.#shape);
+  }
+}
+
+/************************************
+ *         Helper Functions
+ ************************************/
+
+/**
+ * Get the frozen property schemas of a form schema.
+ * @param {Object<string, (Schema|FormSchema|object)>} shape - The property schemas.
+ * @returns {Object<string, *>} The property schemas, with nested form schemas
+ *          as frozen plain objects.
+ * @throws {TypeError} When a property is neither a schema nor a nested form schema.
+ */
+function getShape(shape) {
+  if (shape instanceof FormSchema) return shape.shape;
+
+  if (!isPlainObject(shape)) {
+    throw new TypeError(formatError("INVALID_FORM_SCHEMA"));
+  }
+
+  const result = {};
+  Object.keys(shape).forEach((property) => {
+    const schema = shape[property];
+    result[property] = schema instanceof Schema ? schema : getShape(schema);
+  });
+  return Object.freeze(result);
+}
+
+/**
+ * Check that the properties the rules compare with are schemas of the form.
+ * References are dotted paths from the root form (ex: "account.password").
+ * @param {Object<string, *>} root - The property schemas of the root form.
+ * @param {Object<string, *>} [shape=root] - The property schemas of the (nested) form.
+ * @returns {void} Nothing.
+ * @throws Throws an error when a referenced property is not a schema of the form.
+ */
+function validateReferences(root, shape = root) {
+  Object.keys(shape).forEach((property) => {
+    const schema = shape[property];
+    if (!(schema instanceof Schema)) {
+      validateReferences(root, schema);
+      return;
+    }
+
+    getReferences(schema).forEach((reference) => {
+      if (!(getPath(root, reference) instanceof Schema)) {
+        throw new Error(
+          formatError("NO_MATCHING_PROPERTY", { property: reference })
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Get the properties the rules of a schema compare with.
+ * @param {Schema} schema - The schema.
+ * @returns {string[]} The referenced properties, including those of the
+ *          branches of conditional schemas.
+ */
+function getReferences(schema) {
+  const { when } = schema.describe();
+  if (!when) return schema.references;
+
+  return [...getReferences(when.then), ...getReferences(when.otherwise)];
+}
+
+/**
+ * Check that properties are properties of a form schema.
+ * @param {Object<string, *>} shape - The property schemas.
+ * @param {string[]} properties - The property names.
+ * @returns {void} Nothing.
+ * @throws Throws an error when a property is unknown.
+ */
+function validateProperties(shape, properties) {
+  properties.forEach((property) => {
+    if (!Object.prototype.hasOwnProperty.call(shape, property)) {
+      throw new Error(formatError("UNKNOWN_PROPERTY", { property }));
+    }
+  });
+}
+
+/**
+ * Replace every property schema, including those of the nested forms.
+ * @param {Object<string, *>} shape - The property schemas.
+ * @param {Function} callback - Function given a schema and returning its replacement.
+ * @returns {Object<string, *>} The new property schemas.
+ */
+function mapSchemas(shape, callback) {
+  const result = {};
+  Object.keys(shape).forEach((property) => {
+    const schema = shape[property];
+    result[property] =
+      schema instanceof Schema
+        ? callback(schema)
+        : mapSchemas(schema, callback);
+  });
+  return result;
+}
+
+/**
+ * Get the optional version of a schema.
+ * @param {Schema} schema - The schema.
+ * @returns {Schema} The schema without the required rule.
+ */
+function removeRequired(schema) {
+  const { when } = schema.describe();
+  if (when) return copyConditional(when, removeRequired);
+
+  return isRequired(schema) ? omitRule(schema, "isRequired") : schema;
+}
+
+/**
+ * Get the required version of a schema.
+ * @param {Schema} schema - The schema.
+ * @returns {Schema} The schema with the required rule.
+ */
+function addRequired(schema) {
+  const { when } = schema.describe();
+  if (when) return copyConditional(when, addRequired);
+
+  return isRequired(schema) ? schema : schema.isRequired();
+}
+
+/**
+ * Check whether a schema has the required rule.
+ * @param {Schema} schema - The schema.
+ * @returns {boolean} Whether the schema is required.
+ */
+function isRequired(schema) {
+  return schema.describe().rules.some(({ name }) => name === "isRequired");
+}
+
+/**
+ * Recreate a schema without one of its rules.
+ * @param {Schema} schema - The schema, which is not conditional.
+ * @param {string} omittedRule - The name of the rule method to leave out.
+ * @returns {Schema} The new schema instance.
+ */
+function omitRule(schema, omittedRule) {
+  const { type, rules } = schema.describe();
+
+  return rules
+    .filter(({ name }) => name !== omittedRule)
+    .reduce(
+      // Negated schemas are created from the schema they negate
+      (copy, { name, args }) =>
+        name === "not" ? args[0].not(args[1]) : copy[name](...args),
+      new Schema(type)
+    );
+}
+
+/**
+ * Copy a conditional schema, replacing its branches.
+ * @param {object} when - The condition of the schema description.
+ * @param {Function} callback - Function given a branch and returning its replacement.
+ * @returns {Schema} The new conditional schema instance.
+ */
+function copyConditional({ field, is, then, otherwise }, callback) {
+  return Schema.when(field, is, callback(then), callback(otherwise));
+}
@@ -1,2 +1,8 @@
 export { default as Schema } from "./schema";
-export { default as validate } from "./validate";
+export { default as FormSchema } from "./formSchema";
+export { ValidationError, StaleValidationError } from "./errors";
+export { default as validate, validateAsync } from "./validate";
+export { fromJSONSchema, toJSONSchema } from "./jsonSchema";
+export { setLocale, getLocale, registerLocale } from "./locale";
+export { getPasswordStrength } from "./passwordStrength";
+export { getCardBrand } from "./cards";
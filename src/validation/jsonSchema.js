@@ -0,0 +1,480 @@
+/**
+ * Exports functions converting schemas from and to JSON Schema (draft 2020-12).
+ * The keywords and rules without an equivalent are reported rather than dropped.
+ * @module jsonSchema
+ */
+
+import Schema from "./schema";
+import FormSchema from "./formSchema";
+import { TYPES } from "./constants";
+import { formatError } from "./locale";
+import { isPlainObject, isFiniteNumber } from "./utils";
+
+/**
+ * A JSON Schema keyword, or a Schema rule, that could not be converted.
+ * @typedef {Object} UnmappedEntry
+ * @property {string} pointer - The JSON pointer of the location in the JSON Schema (ex: "/properties/name").
+ * @property {string} keyword - The JSON Schema keyword when importing, or the rule name when exporting.
+ * @property {*} value - The keyword value when importing, or the rule arguments when exporting.
+ */
+
+/************************************
+ *        Symbolic Constants
+ ************************************/
+const DRAFT = "https://json-schema.org/draft/2020-12/schema";
+const DATE_FORMATS = ["date", "date-time"];
+// The string schema rule methods validating each format
+const FORMAT_RULES = {
+  email: "isEmail",
+  uuid: "isUUID",
+  ipv4: "isIPv4",
+  ipv6: "isIPv6",
+};
+
+// Keywords that do not affect validation
+const ANNOTATIONS = [
+  "$schema",
+  "$id",
+  "$comment",
+  "description",
+  "examples",
+  "default",
+  "deprecated",
+  "readOnly",
+  "writeOnly",
+];
+
+/**
+ * Functions setting a JSON Schema keyword on a schema by schema type,
+ * returning the new schema, true when the keyword sets no rule, or false
+ * when the keyword value cannot be mapped. Invalid keyword values (ex: a
+ * minLength that is not a number) throw, and are reported as not mapped.
+ */
+const KEYWORDS = {
+  [TYPES.STRING]: {
+    title: (schema, { title }) => schema.label(title),
+    minLength: (schema, { minLength }) => schema.min(minLength),
+    maxLength: (schema, { maxLength }) => schema.max(maxLength),
+    pattern: (schema, { pattern }) =>
+      schema.hasPattern(new RegExp(pattern, "u")),
+    format: (schema, { format }) =>
+      FORMAT_RULES.hasOwnProperty(format) && schema[FORMAT_RULES[format]](),
+  },
+  [TYPES.DATE]: {
+    title: (schema, { title }) => schema.label(title),
+    format: () => true,
+  },
+  [TYPES.NUMBER]: {
+    title: (schema, { title }) => schema.label(title),
+    exclusiveMinimum: (schema, { exclusiveMinimum }) =>
+      schema.greaterThan(exclusiveMinimum),
+    exclusiveMaximum: (schema, { exclusiveMaximum }) =>
+      schema.lessThan(exclusiveMaximum),
+    // Inclusive bounds can only be mapped together
+    minimum: (schema, { minimum, maximum }) =>
+      isFiniteNumber(maximum) && schema.between(minimum, maximum),
+    maximum: (schema, { minimum }) => isFiniteNumber(minimum),
+    multipleOf: (schema, { multipleOf }) => schema.multipleOf(multipleOf),
+  },
+  [TYPES.ARRAY]: {
+    title: (schema, { title }) => schema.label(title),
+    minItems: (schema, { minItems }) => schema.minItems(minItems),
+    maxItems: (schema, { maxItems }) => schema.maxItems(maxItems),
+    uniqueItems: (schema, { uniqueItems }) => !uniqueItems || schema.unique(),
+    items: (schema, { items }, pointer, unmapped) => {
+      const itemSchema = convertFromJSONSchema(items, pointer, unmapped);
+      return itemSchema instanceof Schema && schema.of(itemSchema);
+    },
+  },
+};
+
+/**
+ * Functions setting the JSON Schema keywords of a rule, returning false
+ * when the rule, or its custom message, cannot be mapped.
+ */
+const RULES = {
+  label: (json, [title]) => setKeywords(json, { title }),
+  min: (json, [minLength, message]) =>
+    setKeywords(json, { minLength }, message),
+  max: (json, [maxLength, message]) =>
+    setKeywords(json, { maxLength }, message),
+  // Case-insensitive, multiline and dotAll patterns cannot be expressed,
+  // nor can more than one pattern
+  hasPattern: (json, [pattern, message]) => {
+    const regex = new RegExp(pattern);
+    return (
+      json.pattern === undefined &&
+      setKeywords(json, { pattern: regex.source }, message) &&
+      !/[ims]/.test(regex.flags)
+    );
+  },
+  doesNotMatch: (json, [pattern, message]) => {
+    const regex = new RegExp(pattern);
+    return (
+      json.not === undefined &&
+      setKeywords(json, { not: { pattern: regex.source } }, message) &&
+      !/[ims]/.test(regex.flags)
+    );
+  },
+  // The email options cannot be expressed
+  isEmail: (json, [options, message]) =>
+    setKeywords(json, { format: "email" }, message) && options === undefined,
+  // UUIDs of a version cannot be expressed
+  isUUID: (json, [version, message]) =>
+    setKeywords(json, { format: "uuid" }, message) && version === undefined,
+  // URIs of any protocol are valid, the allowed protocols cannot be expressed
+  isUrl: (json) => {
+    setKeywords(json, { format: "uri" });
+    return false;
+  },
+  isIPv4: (json, [message]) => setKeywords(json, { format: "ipv4" }, message),
+  isIPv6: (json, [message]) => setKeywords(json, { format: "ipv6" }, message),
+  greaterThan: (json, [limit, message]) =>
+    setKeywords(
+      json,
+      { exclusiveMinimum: getLowerBound(json, limit) },
+      message
+    ),
+  positive: (json, [message]) =>
+    setKeywords(json, { exclusiveMinimum: getLowerBound(json, 0) }, message),
+  lessThan: (json, [exclusiveMaximum, message]) =>
+    setKeywords(json, { exclusiveMaximum }, message),
+  between: (json, [minimum, maximum, message]) =>
+    setKeywords(json, { minimum, maximum }, message),
+  integer: (json, [message]) => setKeywords(json, { type: "integer" }, message),
+  multipleOf: (json, [multipleOf, message]) =>
+    setKeywords(json, { multipleOf }, message),
+  minItems: (json, [minItems, message]) =>
+    setKeywords(json, { minItems }, message),
+  maxItems: (json, [maxItems, message]) =>
+    setKeywords(json, { maxItems }, message),
+  unique: (json, [message]) =>
+    setKeywords(json, { uniqueItems: true }, message),
+  of: (json, [schema], pointer, unmapped) =>
+    setKeywords(json, {
+      items: convertToJSONSchema(schema, `${pointer}/items`, unmapped),
+    }),
+  anyOf: (json, [schemas, message], pointer, unmapped) =>
+    json.anyOf === undefined &&
+    setKeywords(
+      json,
+      { anyOf: convertSchemas(schemas, `${pointer}/anyOf`, unmapped) },
+      message
+    ),
+  allOf: (json, [schemas, message], pointer, unmapped) =>
+    json.allOf === undefined &&
+    setKeywords(
+      json,
+      { allOf: convertSchemas(schemas, `${pointer}/allOf`, unmapped) },
+      message
+    ),
+  not: (json, [schema, message], pointer, unmapped) =>
+    json.not === undefined &&
+    setKeywords(
+      json,
+      { not: convertToJSONSchema(schema, `${pointer}/not`, unmapped) },
+      message
+    ),
+};
+
+/**
+ * Create a schema, or a form schema for objects, from a JSON Schema.
+ * Strings with a date format are validated with date schemas, and
+ * inclusive number bounds are only mapped when both are set.
+ *
+ * @param {object} jsonSchema - The JSON Schema.
+ * @returns {{schema: (Schema|Object<string, *>), unmapped: UnmappedEntry[]}}
+ *          The schema and the keywords that could not be mapped.
+ * @throws {TypeError} When the JSON Schema is not an object.
+ *
+ * @example
+ * const { schema, unmapped } = fromJSONSchema({
+ *   type: "object",
+ *   properties: { email: { type: "string", format: "email" } },
+ *   required: ["email"],
+ * });
+ */
+export function fromJSONSchema(jsonSchema) {
+  const unmapped = [];
+  const schema = convertFromJSONSchema(jsonSchema, "", unmapped);
+
+  return { schema, unmapped };
+}
+
+/**
+ * Create a JSON Schema from a schema or a form schema.
+ * @param {(Schema|FormSchema|Object<string, *>)} schema - The schema or form schema.
+ * @returns {{jsonSchema: object, unmapped: UnmappedEntry[]}} The JSON Schema and
+ *          the rules that could not be mapped, or only without their custom message.
+ *
+ * @example
+ * const { jsonSchema } = toJSONSchema({ email: new Schema().isEmail().isRequired() });
+ */
+export function toJSONSchema(schema) {
+  const unmapped = [];
+  const jsonSchema = {
+    $schema: DRAFT,
+    ...convertToJSONSchema(
+      schema instanceof FormSchema ? schema.shape : schema,
+      "",
+      unmapped
+    ),
+  };
+
+  return { jsonSchema, unmapped };
+}
+
+/************************************
+ *         Helper Functions
+ ************************************/
+
+/**
+ * Convert a JSON Schema to a schema, or a form schema for objects.
+ * @param {object} json - The JSON Schema.
+ * @param {string} pointer - The JSON pointer of the JSON Schema.
+ * @param {UnmappedEntry[]} unmapped - The keywords that could not be mapped.
+ * @returns {(Schema|Object<string, *>|undefined)} The schema, or undefined
+ *          when the type cannot be validated.
+ * @throws {TypeError} When the JSON Schema is not an object.
+ */
+function convertFromJSONSchema(json, pointer, unmapped) {
+  if (!isPlainObject(json)) {
+    throw new TypeError(formatError("INVALID_SCHEMA_JSON"));
+  }
+
+  if (json.type === "object") {
+    return convertFromObjectJSONSchema(json, pointer, unmapped);
+  }
+
+  let schema = createSchema(json);
+  if (!schema) {
+    addUnmapped(unmapped, pointer, "type", json.type);
+    return undefined;
+  }
+
+  const keywords = KEYWORDS[schema.type];
+  Object.keys(json).forEach((keyword) => {
+    if (keyword === "type" || ANNOTATIONS.includes(keyword)) return;
+
+    const keywordPointer = `${pointer}/${escapePointer(keyword)}`;
+    const result =
+      keywords.hasOwnProperty(keyword) &&
+      setKeyword(keywords[keyword], schema, json, keywordPointer, unmapped);
+
+    if (result instanceof Schema) schema = result;
+    if (result === false)
+      addUnmapped(unmapped, pointer, keyword, json[keyword]);
+  });
+  return schema;
+}
+
+/**
+ * Set a JSON Schema keyword on a schema.
+ * @param {Function} setter - The function of the keyword in KEYWORDS.
+ * @param {Schema} schema - The schema.
+ * @param {object} json - The JSON Schema.
+ * @param {string} pointer - The JSON pointer of the keyword.
+ * @param {UnmappedEntry[]} unmapped - The keywords that could not be mapped.
+ * @returns {(Schema|boolean)} The new schema, true when the keyword sets no
+ *          rule, or false when the keyword value cannot be mapped.
+ */
+function setKeyword(setter, schema, json, pointer, unmapped) {
+  try {
+    return setter(schema, json, pointer, unmapped);
+  } catch (error) {
+    // Invalid values, such as a pattern that is not a regular expression
+    return false;
+  }
+}
+
+/**
+ * Convert an object JSON Schema to a form schema.
+ * @param {object} json - The JSON Schema.
+ * @param {string} pointer - The JSON pointer of the JSON Schema.
+ * @param {UnmappedEntry[]} unmapped - The keywords that could not be mapped.
+ * @returns {Object<string, *>} The form schema.
+ */
+function convertFromObjectJSONSchema(json, pointer, unmapped) {
+  const { properties = {}, required = [] } = json;
+  const formSchema = {};
+
+  Object.keys(properties).forEach((property) => {
+    const schema = convertFromJSONSchema(
+      properties[property],
+      `${pointer}/properties/${escapePointer(property)}`,
+      unmapped
+    );
+    if (schema !== undefined) formSchema[property] = schema;
+  });
+
+  // Nested forms cannot be required
+  required.forEach((property) => {
+    if (formSchema[property] instanceof Schema) {
+      formSchema[property] = formSchema[property].isRequired();
+    } else {
+      addUnmapped(unmapped, pointer, "required", property);
+    }
+  });
+
+  Object.keys(json).forEach((keyword) => {
+    if (["type", "properties", "required"].includes(keyword)) return;
+    if (!ANNOTATIONS.includes(keyword)) {
+      addUnmapped(unmapped, pointer, keyword, json[keyword]);
+    }
+  });
+  return formSchema;
+}
+
+/**
+ * Create the schema validating the type of a JSON Schema.
+ * @param {object} json - The JSON Schema.
+ * @returns {(Schema|null)} The schema, or null when the type cannot be validated.
+ */
+function createSchema({ type, format }) {
+  if (type === "string") {
+    return DATE_FORMATS.includes(format) ? Schema.date() : new Schema();
+  }
+
+  if (type === "number") return Schema.number();
+  if (type === "integer") return Schema.number().integer();
+  if (type === "array") return Schema.array();
+  return null;
+}
+
+/**
+ * Convert a schema, or a form schema, to a JSON Schema.
+ * @param {(Schema|Object<string, *>)} schema - The schema or form schema.
+ * @param {string} pointer - The JSON pointer of the JSON Schema.
+ * @param {UnmappedEntry[]} unmapped - The rules that could not be mapped.
+ * @param {boolean} [isProperty=false] - Whether the schema is a form property,
+ *                                       whose required status is set by the form.
+ * @returns {object} The JSON Schema.
+ */
+function convertToJSONSchema(schema, pointer, unmapped, isProperty = false) {
+  if (isPlainObject(schema)) {
+    return convertToObjectJSONSchema(schema, pointer, unmapped);
+  }
+
+  const { type, rules, when } = schema.describe();
+  if (when) {
+    addUnmapped(unmapped, pointer, "when", [when.field, when.is]);
+    return {};
+  }
+
+  const json =
+    type === TYPES.DATE ? { type: "string", format: "date-time" } : { type };
+
+  rules.forEach(({ name, args }) => {
+    if (name === "isRequired" && isProperty && args[0] === undefined) return;
+
+    const isMapped =
+      RULES.hasOwnProperty(name) &&
+      RULES[name](json, args, pointer, unmapped) !== false;
+
+    if (!isMapped) addUnmapped(unmapped, pointer, name, args);
+  });
+  return json;
+}
+
+/**
+ * Convert the schemas of a combinator to JSON Schemas.
+ * @param {Schema[]} schemas - The combined schemas.
+ * @param {string} pointer - The JSON pointer of the JSON Schema array.
+ * @param {UnmappedEntry[]} unmapped - The rules that could not be mapped.
+ * @returns {object[]} The JSON Schemas.
+ */
+function convertSchemas(schemas, pointer, unmapped) {
+  return schemas.map((schema, index) =>
+    convertToJSONSchema(schema, `${pointer}/${index}`, unmapped)
+  );
+}
+
+/**
+ * Convert a form schema to an object JSON Schema.
+ * @param {Object<string, *>} formSchema - The form schema.
+ * @param {string} pointer - The JSON pointer of the JSON Schema.
+ * @param {UnmappedEntry[]} unmapped - The rules that could not be mapped.
+ * @returns {object} The JSON Schema.
+ */
+function convertToObjectJSONSchema(formSchema, pointer, unmapped) {
+  const properties = {};
+  const required = [];
+
+  Object.keys(formSchema).forEach((property) => {
+    const schema = formSchema[property];
+
+    properties[property] = convertToJSONSchema(
+      schema,
+      `${pointer}/properties/${escapePointer(property)}`,
+      unmapped,
+      true
+    );
+    if (schema instanceof Schema && isRequired(schema)) {
+      required.push(property);
+    }
+  });
+
+  return required.length
+    ? { type: "object", properties, required }
+    : { type: "object", properties };
+}
+
+/**
+ * Check whether a schema has the required rule.
+ * @param {Schema} schema - The schema.
+ * @returns {boolean} Whether the schema is required.
+ */
+function isRequired(schema) {
+  const { rules = [] } = schema.describe();
+  return rules.some(({ name }) => name === "isRequired");
+}
+
+/**
+ * Set JSON Schema keywords.
+ * @param {object} json - The JSON Schema.
+ * @param {object} keywords - The keyword values.
+ * @param {string} [message] - The custom message of the rule, which cannot be mapped.
+ * @returns {boolean} Whether the rule was mapped along with its message.
+ */
+function setKeywords(json, keywords, message) {
+  Object.assign(json, keywords);
+  return message === undefined;
+}
+
+/**
+ * Get the strictest exclusive lower bound.
+ * @param {object} json - The JSON Schema.
+ * @param {number} limit - The new exclusive lower bound.
+ * @returns {number} The exclusive lower bound.
+ */
+function getLowerBound(json, limit) {
+  const { exclusiveMinimum } = json;
+  return isFiniteNumber(exclusiveMinimum)
+    ? Math.max(exclusiveMinimum, limit)
+    : limit;
+}
+
+/**
+ * Report a keyword or rule that could not be mapped.
+ * @param {UnmappedEntry[]} unmapped - The entries that could not be mapped.
+ * @param {string} pointer - The JSON pointer of the JSON Schema.
+ * @param {string} keyword - The keyword or rule name.
+ * @param {*} value - The keyword value or rule arguments.
+ * @returns {void} Nothing.
+ */
+function addUnmapped(unmapped, pointer, keyword, value) {
+  unmapped.push({
+    pointer: `${pointer}/${escapePointer(keyword)}`,
+    keyword,
+    value,
+  });
+}
+
+/**
+ * Escape a JSON pointer reference token.
+ * @param {string} token - The property name or keyword.
+ * @returns {string} The escaped token.
+ */
+function escapePointer(token) {
+  return token.replace(/~/g, "~0").replace(/\//g, "~1");
+}
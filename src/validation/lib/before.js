@@ -0,0 +1,33 @@
+import { setMessageParams } from "../locale";
+import { resolveDate, formatDate, isRelativeDate } from "../utils";
+
+/**
+ * Return before date validator function.
+ * @param {(Date|string)} date - The date, ISO-8601 string or relative
+ *                               date (ex: "18 years ago") to compare with.
+ * @param {(MessageDescriptor|string)} errorMessage - The error message to display
+ *                                                    when the input is not earlier than the date,
+ *                                                    with the resolved date as placeholder.
+ *
+ * @return {Function} The validator function.
+ */
+export default function before(date, errorMessage) {
+  return (
+    /**
+     * Check if input is earlier than the date.
+     * @param {Date} value - The value to be validated.
+     * @return {(boolean | MessageDescriptor)} True or an error message if validation failed.
+     */
+    function before(value) {
+      // Relative dates are resolved every time, as "now" keeps changing,
+      // and shown as the calendar date rather than the moment they resolve to
+      const limit = resolveDate(date);
+      const shownDate = formatDate(limit, isRelativeDate(date));
+
+      return (
+        value.getTime() < limit.getTime() ||
+        setMessageParams(errorMessage, { date: shownDate })
+      );
+    }
+  );
+}
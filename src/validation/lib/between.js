@@ -0,0 +1,21 @@
+/**
+ * Return range validator function.
+ * @param {number} min - The inclusive lower bound.
+ * @param {number} max - The inclusive upper bound.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input is out of range.
+ *
+ * @return {Function} The validator function.
+ */
+export default function between(min, max, errorMessage) {
+  return (
+    /**
+     * Check if input is within the range.
+     * @param {number} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function between(value) {
+      return (value >= min && value <= max) || errorMessage;
+    }
+  );
+}
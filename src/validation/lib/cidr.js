@@ -0,0 +1,32 @@
+import { isIPv4, isIPv6 } from "../utils";
+
+const prefixPattern = /^(?:0|[1-9]\d{0,2})$/;
+
+/**
+ * Return CIDR block validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the value is not a CIDR block.
+ *
+ * @return {Function} The validator function.
+ */
+export default function cidr(errorMessage) {
+  return (
+    /**
+     * Check if input is an IPv4 or IPv6 address block in CIDR notation
+     * (ex: "192.168.0.0/24", "2001:db8::/32").
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function cidr(value) {
+      const [address, prefix, ...rest] = `${value}`.split("/");
+      const maxPrefix = isIPv4(address) ? 32 : isIPv6(address) ? 128 : -1;
+
+      return (
+        (!rest.length &&
+          prefixPattern.test(prefix) &&
+          Number(prefix) <= maxPrefix) ||
+        errorMessage
+      );
+    }
+  );
+}
@@ -0,0 +1,52 @@
+import { CARD_BRANDS, getCardBrand, getCardDigits } from "../cards";
+
+/**
+ * Return card number validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the value is not a card number.
+ * @param {object} [options={}] - The allowed cards.
+ * @param {string[]} [options.brands] - The allowed brands (ex: ["visa", "mastercard"]),
+ *                                      defaults to every brand.
+ *
+ * @return {Function} The validator function.
+ */
+export default function creditCard(
+  errorMessage,
+  { brands = Object.keys(CARD_BRANDS) } = {}
+) {
+  return (
+    /**
+     * Check if input is a card number of an allowed brand, which may include
+     * spaces and hyphens. Its length must be one of its brand and its check
+     * digit pass the Luhn check.
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function creditCard(value) {
+      const digits = getCardDigits(value);
+      const brand = getCardBrand(digits);
+
+      return (
+        (brands.includes(brand) &&
+          CARD_BRANDS[brand].lengths.includes(digits.length) &&
+          passesLuhnCheck(digits)) ||
+        errorMessage
+      );
+    }
+  );
+}
+
+/**
+ * Check the Luhn checksum of a number: doubling every second digit from the
+ * right, the sum of the digits must be a multiple of 10.
+ * @param {string} digits - The digits of the number.
+ * @returns {boolean} Whether the number passes the check.
+ */
+function passesLuhnCheck(digits) {
+  const sum = [...digits].reverse().reduce((total, digit, index) => {
+    const value = Number(digit) * (index % 2 ? 2 : 1);
+    return total + (value > 9 ? value - 9 : value);
+  }, 0);
+
+  return sum % 10 === 0;
+}
@@ -0,0 +1,33 @@
+import { isPromise } from "../utils";
+
+/**
+ * Return user-defined validator function.
+ * @param {string} name - The name of the rule.
+ * @param {Function} predicate - Function returning (or resolving to) whether
+ *                               the value is valid.
+ * @param {string} errorMessage - The error message to display when
+ *                                the predicate fails.
+ *
+ * @return {Function} The validator function.
+ */
+export default function custom(name, predicate, errorMessage) {
+  /**
+   * Check if input satisfies the user-defined predicate.
+   * @param {string} value - The value to be validated.
+   * @param {Object<string, string>} [form] - Read-only view of the form
+   *                                          when validating a form.
+   * @return {(boolean | string | Promise<(boolean | string)>)} True or an error
+   *          message if validation failed, or a promise of either.
+   */
+  function rule(value, form) {
+    const result = predicate(value, form);
+
+    return isPromise(result)
+      ? result.then((isValid) => isValid === true || errorMessage)
+      : result === true || errorMessage;
+  }
+
+  // Failed rules are reported by validator name
+  Object.defineProperty(rule, "name", { value: name });
+  return rule;
+}
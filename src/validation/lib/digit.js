@@ -1,21 +1,24 @@
+import { countCharacters } from "../utils";
+
 const pattern = /[0-9]/;
 
 /**
  * Return digit validator function.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {number} [count=1] - The minimum number of digits.
  *
  * @return {Function} The validator function.
  */
-export default function digit(errorMessage) {
+export default function digit(errorMessage, count = 1) {
   return (
     /**
-     * Check if input includes a digit.
+     * Check if input includes enough digits.
      * @param {string} value - The value to be validated.
      * @return {(boolean | string)} True or an error message if validation failed.
      */
     function digit(value) {
-      return pattern.test(value) || errorMessage;
+      return countCharacters(value, pattern) >= count || errorMessage;
     }
   );
 }
@@ -0,0 +1,31 @@
+import { getRegExp } from "../utils";
+
+/**
+ * Return negated regex pattern validator function.
+ * @param {(string | RegExp)} regexPattern - The regular expression not to match.
+ * @param {string} errorMessage - The error message to display when
+ *                                the validation pattern matches.
+ * @param {string} [name="doesNotMatch"] - The name of the rule.
+ *
+ * @return {Function} The validator function.
+ */
+export default function doesNotMatch(
+  regexPattern,
+  errorMessage,
+  name = "doesNotMatch"
+) {
+  const validationPattern = getRegExp(regexPattern);
+
+  /**
+   * Check if input does not match given regex pattern.
+   * @param {string} value - The value to be validated.
+   * @return {(boolean | string)} True or an error message if validation failed.
+   */
+  function doesNotMatch(value) {
+    return !validationPattern.test(value) || errorMessage;
+  }
+
+  // Failed rules are reported by validator name
+  Object.defineProperty(doesNotMatch, "name", { value: name });
+  return doesNotMatch;
+}
@@ -1,13 +1,35 @@
-const pattern = /^\w+([-]?\w+)*@\w+([-]?\w+)*(\.\w{2,3})+$/;
+import { isIPv4, isIPv6, isDomainName } from "../utils";
+
+// RFC 5322 dot-atom: atoms of letters, digits and !#$%&'*+-/=?^_`{|}~ joined by dots
+const DOT_ATOM = /^[\w!#$%&'*+\-/=?^`{|}~]+(?:\.[\w!#$%&'*+\-/=?^`{|}~]+)*$/;
+// RFC 5322 quoted-string: printable characters, with " and \ escaped by \
+const QUOTED_STRING = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+const DOMAIN_LITERAL = /^\[(?:IPv6:)?(.+)\]$/i;
+
+// RFC 5321 length limits
+const MAX_LENGTH = 254;
+const MAX_LOCAL_PART_LENGTH = 64;
+
+/**
+ * The options of the email validator.
+ * @typedef {Object} EmailOptions
+ * @property {boolean} [allowPlus=true] - Whether to allow "+" tags in the local part (ex: "me+news@a.com").
+ * @property {boolean} [allowIDN=true] - Whether to allow internationalized domains (ex: "me@bücher.de").
+ * @property {boolean} [allowIP=false] - Whether to allow IP address domains (ex: "me@[192.168.0.1]").
+ * @property {boolean} [requireTLD=true] - Whether to require a top-level domain (ex: rejects "me@localhost").
+ * @property {string[]} [tldList] - The allowed top-level domains, case-insensitive (ex: ["com", "org"]).
+ */
 
 /**
- * Return email validator function.
+ * Return email validator function, following the RFC 5322 addr-spec grammar
+ * with the RFC 5321 length limits. Comments and folding whitespace are not allowed.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {EmailOptions} [options={}] - The allowed addresses.
  *
  * @return {Function} The validator function.
  */
-export default function email(errorMessage) {
+export default function email(errorMessage, options = {}) {
   return (
     /**
      * Check if input is a valid email address.
@@ -15,7 +37,54 @@ export default function email(errorMessage) {
      * @return {(boolean | string)} True or an error message if validation failed.
      */
     function email(email) {
-      return pattern.test(email) || errorMessage;
+      return isEmailAddress(`${email}`, options) || errorMessage;
     }
   );
 }
+
+/**
+ * Check whether a string is an email address.
+ * @param {string} value - The string.
+ * @param {EmailOptions} options - The allowed addresses.
+ * @returns {boolean} Whether the string is an allowed email address.
+ */
+function isEmailAddress(value, { allowPlus = true, ...options }) {
+  // Quoted local parts may include "@"
+  const separator = value.lastIndexOf("@");
+  const localPart = value.slice(0, separator);
+  const domain = value.slice(separator + 1);
+
+  return (
+    separator > 0 &&
+    value.length <= MAX_LENGTH &&
+    localPart.length <= MAX_LOCAL_PART_LENGTH &&
+    (DOT_ATOM.test(localPart) || QUOTED_STRING.test(localPart)) &&
+    (allowPlus || !localPart.includes("+")) &&
+    isEmailDomain(domain, options)
+  );
+}
+
+/**
+ * Check whether a string is the domain of an email address.
+ * @param {string} domain - The string.
+ * @param {EmailOptions} options - The allowed domains.
+ * @returns {boolean} Whether the string is an allowed domain.
+ */
+function isEmailDomain(
+  domain,
+  { allowIDN = true, allowIP = false, requireTLD = true, tldList }
+) {
+  const literal = DOMAIN_LITERAL.exec(domain);
+  if (literal) {
+    const isIPv6Literal = /^\[IPv6:/i.test(domain);
+    return allowIP && (isIPv6Literal ? isIPv6(literal[1]) : isIPv4(literal[1]));
+  }
+
+  const tld = domain.split(".").pop();
+
+  return (
+    isDomainName(domain, { allowIDN, requireTLD: requireTLD || !!tldList }) &&
+    (!tldList ||
+      tldList.some((name) => name.toLowerCase() === tld.toLowerCase()))
+  );
+}
@@ -0,0 +1,20 @@
+/**
+ * Return greater than validator function.
+ * @param {number} limit - The value the input must exceed.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input is not greater than the limit.
+ *
+ * @return {Function} The validator function.
+ */
+export default function greaterThan(limit, errorMessage) {
+  return (
+    /**
+     * Check if input is greater than the limit.
+     * @param {number} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function greaterThan(value) {
+      return value > limit || errorMessage;
+    }
+  );
+}
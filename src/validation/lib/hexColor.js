@@ -0,0 +1,22 @@
+const pattern = /^#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i;
+
+/**
+ * Return hex color validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the validation pattern fails to match.
+ *
+ * @return {Function} The validator function.
+ */
+export default function hexColor(errorMessage) {
+  return (
+    /**
+     * Check if input is a hex color, with or without alpha
+     * (ex: "#f00", "#ff0000", "#ff000080").
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function hexColor(value) {
+      return pattern.test(value) || errorMessage;
+    }
+  );
+}
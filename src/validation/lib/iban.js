@@ -0,0 +1,51 @@
+import IBAN_LENGTHS from "../data/ibanLengths";
+
+const pattern = /^([A-Z]{2})\d{2}[A-Z\d]+$/;
+
+/**
+ * Return IBAN validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the value is not an IBAN.
+ *
+ * @return {Function} The validator function.
+ */
+export default function iban(errorMessage) {
+  return (
+    /**
+     * Check if input is an International Bank Account Number, which may be
+     * written in groups (ex: "GB82 WEST 1234 5698 7654 32"). Its length must
+     * be that of its country and its check digits pass the mod-97 check.
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function iban(value) {
+      const number = `${value}`.replace(/ /g, "").toUpperCase();
+      const match = pattern.exec(number);
+
+      return (
+        (match &&
+          number.length === IBAN_LENGTHS[match[1]] &&
+          getRemainder(number) === 1) ||
+        errorMessage
+      );
+    }
+  );
+}
+
+/**
+ * Get the ISO 7064 mod-97 remainder of an IBAN, computed on the number made
+ * by moving its first 4 characters to the end and replacing its letters
+ * with numbers (A = 10, B = 11, ..., Z = 35).
+ * @param {string} number - The IBAN, without spaces.
+ * @returns {number} The remainder, 1 for valid IBANs.
+ */
+function getRemainder(number) {
+  const digits = [...`${number.slice(4)}${number.slice(0, 4)}`]
+    .map((character) => parseInt(character, 36))
+    .join("");
+
+  return [...digits].reduce(
+    (remainder, digit) => (remainder * 10 + Number(digit)) % 97,
+    0
+  );
+}
@@ -1,9 +1,39 @@
 export { default as digit } from "./digit";
+export { default as custom } from "./custom";
+export { default as after } from "./after";
 export { default as email } from "./email";
 export { default as symbol } from "./symbol";
+export { default as before } from "./before";
+export { default as between } from "./between";
+export { default as integer } from "./integer";
+export { default as unique } from "./unique";
+export { default as strength } from "./strength";
 export { default as matches } from "./matches";
 export { default as pattern } from "./pattern";
+export { default as doesNotMatch } from "./doesNotMatch";
+export { default as lessThan } from "./lessThan";
+export { default as positive } from "./positive";
+export { default as minItems } from "./minItems";
+export { default as maxItems } from "./maxItems";
 export { default as lowercase } from "./lowercase";
 export { default as uppercase } from "./uppercase";
 export { default as maxLength } from "./maxLength";
+export { default as maxRepeatedChars } from "./maxRepeatedChars";
+export { default as noSequentialChars } from "./noSequentialChars";
 export { default as minLength } from "./minLength";
+export { default as precision } from "./precision";
+export { default as multipleOf } from "./multipleOf";
+export { default as greaterThan } from "./greaterThan";
+export { default as notEqualTo } from "./notEqualTo";
+export { default as lessThanField } from "./lessThanField";
+export { default as greaterThanField } from "./greaterThanField";
+export { default as matchesIgnoreCase } from "./matchesIgnoreCase";
+export { default as url } from "./url";
+export { default as uuid } from "./uuid";
+export { default as ipv4 } from "./ipv4";
+export { default as ipv6 } from "./ipv6";
+export { default as cidr } from "./cidr";
+export { default as phone } from "./phone";
+export { default as creditCard } from "./creditCard";
+export { default as iban } from "./iban";
+export { default as hexColor } from "./hexColor";
@@ -0,0 +1,19 @@
+/**
+ * Return integer validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input is not an integer.
+ *
+ * @return {Function} The validator function.
+ */
+export default function integer(errorMessage) {
+  return (
+    /**
+     * Check if input is an integer.
+     * @param {number} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function integer(value) {
+      return Number.isInteger(value) || errorMessage;
+    }
+  );
+}
@@ -0,0 +1,21 @@
+import { isIPv4 } from "../utils";
+
+/**
+ * Return IPv4 address validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the value is not an IPv4 address.
+ *
+ * @return {Function} The validator function.
+ */
+export default function ipv4(errorMessage) {
+  return (
+    /**
+     * Check if input is an IPv4 address (ex: "192.168.0.1").
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function ipv4(value) {
+      return isIPv4(value) || errorMessage;
+    }
+  );
+}
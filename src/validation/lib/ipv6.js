@@ -0,0 +1,21 @@
+import { isIPv6 } from "../utils";
+
+/**
+ * Return IPv6 address validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the value is not an IPv6 address.
+ *
+ * @return {Function} The validator function.
+ */
+export default function ipv6(errorMessage) {
+  return (
+    /**
+     * Check if input is an IPv6 address (ex: "2001:db8::1").
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function ipv6(value) {
+      return isIPv6(value) || errorMessage;
+    }
+  );
+}
@@ -0,0 +1,20 @@
+/**
+ * Return less than validator function.
+ * @param {number} limit - The value the input must stay under.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input is not less than the limit.
+ *
+ * @return {Function} The validator function.
+ */
+export default function lessThan(limit, errorMessage) {
+  return (
+    /**
+     * Check if input is less than the limit.
+     * @param {number} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function lessThan(value) {
+      return value < limit || errorMessage;
+    }
+  );
+}
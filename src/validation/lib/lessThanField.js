@@ -0,0 +1,35 @@
+import { compareValues, isComparable } from "../utils";
+
+/**
+ * Return function to take in the value of the property to compare with.
+ * @param {string} errorMessage - The error message to display when the
+ *                                input is not less than the other value.
+ *
+ * @return {Function} The function taking in the other property's value.
+ */
+export default function lessThanField(errorMessage) {
+  return (
+    /**
+     * Return less than property validator.
+     * @param {(string|number|Date)} fieldValue - The other property's value.
+     * @return {Function} - The less than property validator.
+     */
+    function (fieldValue) {
+      return (
+        /**
+         * Check if input is less than the value of another property. Empty or
+         * invalid values cannot be compared with and are left to their own rules.
+         * @param {(string|number|Date)} value - The value to be validated.
+         * @return {(boolean | string)} True or an error message if validation failed.
+         */
+        function lessThanField(value) {
+          return (
+            !isComparable(fieldValue) ||
+            compareValues(value, fieldValue) < 0 ||
+            errorMessage
+          );
+        }
+      );
+    }
+  );
+}
@@ -1,21 +1,24 @@
-const pattern = /[a-z]/;
+import { countCharacters } from "../utils";
+
+const pattern = /\p{Ll}/u;
 
 /**
  * Return lowercase validator function.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {number} [count=1] - The minimum number of lowercase characters.
  *
  * @return {Function} The validator function.
  */
-export default function lowercase(errorMessage) {
+export default function lowercase(errorMessage, count = 1) {
   return (
     /**
-     * Check if input includes a lowercase character.
+     * Check if input includes enough lowercase characters.
      * @param {string} value - The value to be validated.
      * @return {(boolean | string)} True or an error message if validation failed.
      */
     function lowercase(value) {
-      return pattern.test(value) || errorMessage;
+      return countCharacters(value, pattern) >= count || errorMessage;
     }
   );
 }
@@ -21,7 +21,8 @@ export default function matches(errorMessage) {
          */
         function matches(value) {
           return (
-            new RegExp(`^${escape(matchingValue)}$`).test(value) || errorMessage
+            new RegExp(`^${escape(`${matchingValue}`)}$`).test(value) ||
+            errorMessage
           );
         }
       );
@@ -0,0 +1,31 @@
+/**
+ * Return function to take in the value of the property to match regardless of case.
+ * @param {string} errorMessage - The error message to display when
+ *                                the values do not match.
+ *
+ * @return {Function} The function taking in the matching value.
+ */
+export default function matchesIgnoreCase(errorMessage) {
+  return (
+    /**
+     * Return case-insensitive matching property validator.
+     * @param {string} matchingValue - The matching property's value.
+     * @return {Function} - The case-insensitive matching property validator.
+     */
+    function (matchingValue) {
+      return (
+        /**
+         * Check if input matches the value of another property regardless of case.
+         * @param {string} value - The value to be validated.
+         * @return {(boolean | string)} True or an error message if validation failed.
+         */
+        function matchesIgnoreCase(value) {
+          return (
+            `${value}`.toLowerCase() === `${matchingValue}`.toLowerCase() ||
+            errorMessage
+          );
+        }
+      );
+    }
+  );
+}
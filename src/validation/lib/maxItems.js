@@ -0,0 +1,20 @@
+/**
+ * Return maximum items validator function.
+ * @param {number} count - The maximum number of items.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input has too many items.
+ *
+ * @return {Function} The validator function.
+ */
+export default function maxItems(count, errorMessage) {
+  return (
+    /**
+     * Check if input contains at most the given number of items.
+     * @param {Array} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function maxItems(value) {
+      return value.length <= count || errorMessage;
+    }
+  );
+}
@@ -1,12 +1,15 @@
+import { getTextLength } from "../utils";
+
 /**
  * Return maximum length validator function.
  * @param {number} length - The maximum number of characters.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {boolean} [multiline=false] - Whether to count the line breaks.
  *
  * @return {Function} The validator function.
  */
-export default function maxLength(length, errorMessage) {
+export default function maxLength(length, errorMessage, multiline = false) {
   return (
     /**
      * Check if input is of the specified maximum length.
@@ -14,7 +17,7 @@ export default function maxLength(length, errorMessage) {
      * @return {(boolean | string)} True or an error message if validation failed.
      */
     function max(value) {
-      return new RegExp(`^.{0,${length}}$`).test(value) || errorMessage;
+      return getTextLength(value, multiline) <= length || errorMessage;
     }
   );
 }
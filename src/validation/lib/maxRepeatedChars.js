@@ -0,0 +1,22 @@
+/**
+ * Return repeated characters validator function.
+ * @param {number} max - The maximum number of times a character may repeat in a row.
+ * @param {string} errorMessage - The error message to display when
+ *                                a character repeats too many times.
+ *
+ * @return {Function} The validator function.
+ */
+export default function maxRepeatedChars(max, errorMessage) {
+  const pattern = new RegExp(`(.)\\1{${max}}`, "su");
+
+  return (
+    /**
+     * Check if input repeats no character more than the maximum in a row.
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function maxRepeatedChars(value) {
+      return !pattern.test(value) || errorMessage;
+    }
+  );
+}
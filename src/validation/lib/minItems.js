@@ -0,0 +1,20 @@
+/**
+ * Return minimum items validator function.
+ * @param {number} count - The minimum number of items.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input has too few items.
+ *
+ * @return {Function} The validator function.
+ */
+export default function minItems(count, errorMessage) {
+  return (
+    /**
+     * Check if input contains at least the given number of items.
+     * @param {Array} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function minItems(value) {
+      return value.length >= count || errorMessage;
+    }
+  );
+}
@@ -1,12 +1,15 @@
+import { getTextLength } from "../utils";
+
 /**
  * Return minimum length validator function.
  * @param {number} length - The minimum number of characters.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {boolean} [multiline=false] - Whether to count the line breaks.
  *
  * @return {Function} The validator function.
  */
-export default function minLength(length, errorMessage) {
+export default function minLength(length, errorMessage, multiline = false) {
   return (
     /**
      * Check if input is of the specified minimum length.
@@ -14,7 +17,7 @@ export default function minLength(length, errorMessage) {
      * @return {(boolean | string)} True or an error message if validation failed.
      */
     function min(value) {
-      return new RegExp(`^.{${length},}$`).test(value) || errorMessage;
+      return getTextLength(value, multiline) >= length || errorMessage;
     }
   );
 }
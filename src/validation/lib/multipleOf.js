@@ -0,0 +1,29 @@
+import { getDecimalPlaces } from "../utils";
+
+/**
+ * Return multiple validator function.
+ * @param {number} factor - The number the input must be a multiple of.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input is not a multiple of the factor.
+ *
+ * @return {Function} The validator function.
+ */
+export default function multipleOf(factor, errorMessage) {
+  return (
+    /**
+     * Check if input is a multiple of the factor.
+     * @param {number} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function multipleOf(value) {
+      // Scale both numbers to integers to avoid floating point remainders
+      const scale =
+        10 ** Math.max(getDecimalPlaces(value), getDecimalPlaces(factor));
+
+      return (
+        Math.round(value * scale) % Math.round(factor * scale) === 0 ||
+        errorMessage
+      );
+    }
+  );
+}
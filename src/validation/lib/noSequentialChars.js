@@ -0,0 +1,45 @@
+const pattern = /[a-z0-9]/;
+
+/**
+ * Return sequential characters validator function.
+ * @param {number} length - The length of the forbidden sequences.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input contains a sequence.
+ *
+ * @return {Function} The validator function.
+ */
+export default function noSequentialChars(length, errorMessage) {
+  return (
+    /**
+     * Check if input contains no sequence of consecutive letters or digits,
+     * ascending or descending (ex: "abc", "321"), of the given length.
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function noSequentialChars(value) {
+      const characters = [...`${value}`.toLowerCase()];
+      let sequenceLength = 1;
+      let direction = 0;
+
+      for (let index = 1; index < characters.length; index++) {
+        const step =
+          characters[index].codePointAt(0) -
+          characters[index - 1].codePointAt(0);
+        const isConsecutive =
+          Math.abs(step) === 1 &&
+          pattern.test(characters[index]) &&
+          pattern.test(characters[index - 1]);
+
+        if (!isConsecutive) {
+          sequenceLength = 1;
+        } else {
+          sequenceLength = step === direction ? sequenceLength + 1 : 2;
+        }
+        direction = isConsecutive ? step : 0;
+
+        if (sequenceLength >= length) return errorMessage;
+      }
+      return true;
+    }
+  );
+}
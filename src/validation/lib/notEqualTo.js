@@ -0,0 +1,30 @@
+import { compareValues } from "../utils";
+
+/**
+ * Return function to take in the value of the property to differ from.
+ * @param {string} errorMessage - The error message to display when the
+ *                                input equals the other value.
+ *
+ * @return {Function} The function taking in the other property's value.
+ */
+export default function notEqualTo(errorMessage) {
+  return (
+    /**
+     * Return different property validator.
+     * @param {(string|number|Date)} fieldValue - The other property's value.
+     * @return {Function} - The different property validator.
+     */
+    function (fieldValue) {
+      return (
+        /**
+         * Check if input differs from the value of another property.
+         * @param {(string|number|Date)} value - The value to be validated.
+         * @return {(boolean | string)} True or an error message if validation failed.
+         */
+        function notEqualTo(value) {
+          return compareValues(value, fieldValue) !== 0 || errorMessage;
+        }
+      );
+    }
+  );
+}
@@ -1,26 +1,27 @@
-import { TYPES } from "../constants";
+import { getRegExp } from "../utils";
 
 /**
  * Return regex pattern validator function.
  * @param {(string | RegExp)} regexPattern - The regular expression to match.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {string} [name="pattern"] - The name of the rule.
  *
  * @return {Function} The validator function.
  */
-export default function pattern(regexPattern, errorMessage) {
-  return (
-    /**
-     * Check if input matches given regex pattern.
-     * @param {string} value - The value to be validated.
-     * @return {(boolean | string)} True or an error message if validation failed.
-     */
-    function pattern(value) {
-      const validationPattern =
-        regexPattern.constructor.name === TYPES.REGEX
-          ? regexPattern
-          : new RegExp(regexPattern);
-      return validationPattern.test(value) || errorMessage;
-    }
-  );
+export default function pattern(regexPattern, errorMessage, name = "pattern") {
+  const validationPattern = getRegExp(regexPattern);
+
+  /**
+   * Check if input matches given regex pattern.
+   * @param {string} value - The value to be validated.
+   * @return {(boolean | string)} True or an error message if validation failed.
+   */
+  function pattern(value) {
+    return validationPattern.test(value) || errorMessage;
+  }
+
+  // Failed rules are reported by validator name
+  Object.defineProperty(pattern, "name", { value: name });
+  return pattern;
 }
@@ -0,0 +1,23 @@
+const pattern = /^\+[1-9]\d{1,14}$/;
+
+/**
+ * Return phone number validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the validation pattern fails to match.
+ *
+ * @return {Function} The validator function.
+ */
+export default function phone(errorMessage) {
+  return (
+    /**
+     * Check if input is a phone number in the E.164 international format:
+     * "+", the country code and the subscriber number, up to 15 digits
+     * without spaces (ex: "+14155552671").
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function phone(value) {
+      return pattern.test(value) || errorMessage;
+    }
+  );
+}
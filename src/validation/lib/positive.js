@@ -0,0 +1,19 @@
+/**
+ * Return positive number validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input is not positive.
+ *
+ * @return {Function} The validator function.
+ */
+export default function positive(errorMessage) {
+  return (
+    /**
+     * Check if input is greater than zero.
+     * @param {number} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function positive(value) {
+      return value > 0 || errorMessage;
+    }
+  );
+}
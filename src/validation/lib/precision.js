@@ -0,0 +1,22 @@
+import { getDecimalPlaces } from "../utils";
+
+/**
+ * Return decimal precision validator function.
+ * @param {number} digits - The maximum number of decimal places.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input has too many decimal places.
+ *
+ * @return {Function} The validator function.
+ */
+export default function precision(digits, errorMessage) {
+  return (
+    /**
+     * Check if input has at most the given number of decimal places.
+     * @param {number} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function precision(value) {
+      return getDecimalPlaces(value) <= digits || errorMessage;
+    }
+  );
+}
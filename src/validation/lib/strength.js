@@ -0,0 +1,27 @@
+import { setMessageParams } from "../locale";
+import { getPasswordStrength } from "../passwordStrength";
+
+/**
+ * Return password strength validator function.
+ * @param {number} minScore - The minimum score, from 0 to 4.
+ * @param {string} errorMessage - The error message to display when
+ *                                the password is too weak.
+ *
+ * @return {Function} The validator function.
+ */
+export default function strength(minScore, errorMessage) {
+  return (
+    /**
+     * Check if input is a strong enough password.
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function strength(value) {
+      const { score, feedback } = getPasswordStrength(value);
+
+      return (
+        score >= minScore || setMessageParams(errorMessage, { score, feedback })
+      );
+    }
+  );
+}
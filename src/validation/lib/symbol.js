@@ -1,21 +1,29 @@
-const pattern = /[!@#$%^&*(),.?":{}|<>]/;
+import { countCharacters } from "../utils";
+import { DEFAULT_SYMBOLS } from "../constants";
 
 /**
  * Return symbol validator function.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {number} [count=1] - The minimum number of special characters.
+ * @param {string} [symbols] - The special characters, defaults to the ASCII
+ *                             punctuation characters.
  *
  * @return {Function} The validator function.
  */
-export default function symbol(errorMessage) {
+export default function symbol(
+  errorMessage,
+  count = 1,
+  symbols = DEFAULT_SYMBOLS
+) {
   return (
     /**
-     * Check if input includes a special character.
+     * Check if input includes enough special characters.
      * @param {string} value - The value to be validated.
      * @return {(boolean | string)} True or an error message if validation failed.
      */
     function symbol(value) {
-      return pattern.test(value) || errorMessage;
+      return countCharacters(value, symbols) >= count || errorMessage;
     }
   );
 }
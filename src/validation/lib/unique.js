@@ -0,0 +1,24 @@
+import { isDate } from "../utils";
+
+/**
+ * Return unique items validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the input contains duplicate items.
+ *
+ * @return {Function} The validator function.
+ */
+export default function unique(errorMessage) {
+  return (
+    /**
+     * Check if input does not contain duplicate items.
+     * @param {Array} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function unique(value) {
+      // Dates are compared by time rather than by reference
+      const items = value.map((item) => (isDate(item) ? item.getTime() : item));
+
+      return new Set(items).size === items.length || errorMessage;
+    }
+  );
+}
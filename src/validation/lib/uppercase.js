@@ -1,21 +1,24 @@
-const pattern = /[A-Z]/;
+import { countCharacters } from "../utils";
+
+const pattern = /\p{Lu}/u;
 
 /**
  * Return uppercase validator function.
  * @param {string} errorMessage - The error message to display when
  *                                the validation pattern fails to match.
+ * @param {number} [count=1] - The minimum number of uppercase characters.
  *
  * @return {Function} The validator function.
  */
-export default function lowercase(errorMessage) {
+export default function uppercase(errorMessage, count = 1) {
   return (
     /**
-     * Check if input includes an uppercase character.
+     * Check if input includes enough uppercase characters.
      * @param {string} value - The value to be validated.
      * @return {(boolean | string)} True or an error message if validation failed.
      */
     function uppercase(value) {
-      return pattern.test(value) || errorMessage;
+      return countCharacters(value, pattern) >= count || errorMessage;
     }
   );
 }
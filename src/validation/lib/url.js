@@ -0,0 +1,58 @@
+import { isIPv4, isIPv6, isDomainName } from "../utils";
+
+// The protocol and the authority: the user info, host and port
+const pattern = /^([a-z][a-z\d+.-]*):\/\/(?:[^\s/?#@]*@)?(\[[^\]]*\]|[^\s/?#:]*)(?::\d{1,5})?(?:[/?#]\S*)?$/i;
+const DEFAULT_PROTOCOLS = ["http", "https"];
+
+/**
+ * Return URL validator function.
+ * @param {string} errorMessage - The error message to display when
+ *                                the value is not a URL.
+ * @param {object} [options={}] - The allowed URLs.
+ * @param {string[]} [options.protocols=["http", "https"]] - The allowed protocols, case-insensitive.
+ * @param {boolean} [options.requireTLD=true] - Whether to require a top-level domain
+ *                                              (ex: rejects "http://localhost").
+ *
+ * @return {Function} The validator function.
+ */
+export default function url(
+  errorMessage,
+  { protocols = DEFAULT_PROTOCOLS, requireTLD = true } = {}
+) {
+  const allowedProtocols = protocols.map((protocol) => protocol.toLowerCase());
+
+  return (
+    /**
+     * Check if input is an absolute URL with an allowed protocol and a
+     * domain name or IP address host (ex: "https://example.com/path?q=1").
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function url(value) {
+      const match = pattern.exec(value);
+      if (!match || !allowedProtocols.includes(match[1].toLowerCase())) {
+        return errorMessage;
+      }
+
+      const host = match[2];
+      const isHost = host.startsWith("[")
+        ? host.endsWith("]") && isIPv6(host.slice(1, -1))
+        : isIPv4(host) || isDomainName(host, { requireTLD });
+
+      return (isHost && isParsable(value)) || errorMessage;
+    }
+  );
+}
+
+/**
+ * Check whether a URL can be parsed, with its port and percent-encoded characters.
+ * @param {string} value - The URL.
+ * @returns {boolean} Whether the URL can be parsed.
+ */
+function isParsable(value) {
+  try {
+    return Boolean(new URL(value));
+  } catch (error) {
+    return false;
+  }
+}
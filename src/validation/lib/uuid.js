@@ -0,0 +1,28 @@
+/**
+ * Return UUID validator function.
+ * @param {number} [version] - The UUID version, from 1 to 8. Any version is
+ *                             valid when omitted.
+ * @param {string} errorMessage - The error message to display when
+ *                                the validation pattern fails to match.
+ *
+ * @return {Function} The validator function.
+ */
+export default function uuid(version, errorMessage) {
+  const pattern = new RegExp(
+    `^[\\da-f]{8}-[\\da-f]{4}-${
+      version || "[1-8]"
+    }[\\da-f]{3}-[89ab][\\da-f]{3}-[\\da-f]{12}$`,
+    "i"
+  );
+
+  return (
+    /**
+     * Check if input is an RFC 9562 UUID (ex: "123e4567-e89b-42d3-a456-426614174000").
+     * @param {string} value - The value to be validated.
+     * @return {(boolean | string)} True or an error message if validation failed.
+     */
+    function uuid(value) {
+      return pattern.test(value) || errorMessage;
+    }
+  );
+}
@@ -0,0 +1,277 @@
+/**
+ * Exports the locale message catalogs of the validation and schema errors.
+ *
+ * Messages have named placeholders (ex: "must be between {min} and {max}")
+ * and plural forms selected with Intl.PluralRules, in which # is the count
+ * (ex: "{length, plural, one {# character} other {# characters}}").
+ * Catalogs missing messages fall back to the language (ex: "fr" for "fr-CA"),
+ * then to English.
+ * @module locale
+ */
+
+import fr from "./locales/fr";
+import { TYPES, ERROR_MESSAGES, VALIDATION_ERROR_MESSAGES } from "./constants";
+
+/**
+ * A locale catalog.
+ * @typedef {Object} LocaleCatalog
+ * @property {Object<string,string>} [messages] - The validation error messages, by VALIDATION_ERROR_MESSAGES key.
+ * @property {Object<string,string>} [errors] - The schema error messages, by ERROR_MESSAGES key.
+ */
+
+/**
+ * A validation error message rendered in the locale of the validation.
+ * @typedef {Object} MessageDescriptor
+ * @property {string} key - The VALIDATION_ERROR_MESSAGES key of the message.
+ * @property {Object<string,*>} params - The placeholder values.
+ * @property {string} [customError] - The custom message used instead of the catalog message.
+ */
+
+/************************************
+ *        Symbolic Constants
+ ************************************/
+export const DEFAULT_LOCALE = "en";
+const PLURAL_PATTERN = /\{(\w+), plural,((?:\s*=?\w+\s*\{[^{}]*\})+)\s*\}/g;
+const PLURAL_BRANCH_PATTERN = /(=?\w+)\s*\{([^{}]*)\}/g;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/** @type {Object<string, LocaleCatalog>} */
+const catalogs = {
+  [DEFAULT_LOCALE]: {
+    messages: VALIDATION_ERROR_MESSAGES,
+    errors: ERROR_MESSAGES,
+  },
+  fr,
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Register the catalog of a locale, replacing its messages.
+ * @param {string} locale - The BCP 47 language tag (ex: "fr", "pt-BR").
+ * @param {LocaleCatalog} catalog - The messages of the locale.
+ * @returns {void} Nothing.
+ *
+ * @example
+ * registerLocale("de", { messages: { REQUIRED: "darf nicht leer sein" } });
+ */
+export function registerLocale(locale, { messages = {}, errors = {} } = {}) {
+  const catalog = catalogs[locale] || { messages: {}, errors: {} };
+
+  catalogs[locale] = {
+    messages: { ...catalog.messages, ...messages },
+    errors: { ...catalog.errors, ...errors },
+  };
+}
+
+/**
+ * Set the locale of the error messages, unless given with the validation options.
+ * @param {string} locale - The BCP 47 language tag of a registered locale.
+ * @returns {void} Nothing.
+ * @throws Throws an error when neither the locale nor its language is registered.
+ *
+ * @example
+ * setLocale("fr");
+ */
+export function setLocale(locale) {
+  if (!catalogs[locale] && !catalogs[getLanguage(locale)]) {
+    throw new Error(formatError("UNKNOWN_LOCALE", { locale }));
+  }
+  currentLocale = locale;
+}
+
+/**
+ * Get the locale of the error messages.
+ * @returns {string} The BCP 47 language tag.
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Create the descriptor of a validation error message, rendered when validating.
+ * @param {string} key - The VALIDATION_ERROR_MESSAGES key of the message.
+ * @param {Object<string,*>} [params={}] - The placeholder values.
+ * @param {string} [customError] - The custom message, which may use the placeholders too.
+ * @returns {MessageDescriptor} The message descriptor.
+ */
+export function createMessage(key, params = {}, customError) {
+  return { key, params, customError };
+}
+
+/**
+ * Set placeholder values of a validation error message known when validating only.
+ * @param {(MessageDescriptor|string)} message - The message descriptor, or a message.
+ * @param {Object<string,*>} params - The placeholder values.
+ * @returns {(MessageDescriptor|string)} The message with the placeholder values.
+ */
+export function setMessageParams(message, params) {
+  if (typeof message === "string") return formatMessage(message, params);
+  return { ...message, params: { ...message.params, ...params } };
+}
+
+/**
+ * Render a validation error message.
+ * @param {(MessageDescriptor|string)} message - The message descriptor, or a message.
+ * @param {string} [locale] - The locale, defaults to the current locale.
+ * @returns {string} The message.
+ */
+export function renderMessage(message, locale = currentLocale) {
+  if (typeof message === "string") return message;
+
+  return formatMessage(
+    message.customError || getCatalogMessage("messages", message.key, locale),
+    message.params,
+    locale
+  );
+}
+
+/**
+ * Get a schema error message in the current locale.
+ * @param {string} key - The ERROR_MESSAGES key of the message.
+ * @param {Object<string,*>} [params={}] - The placeholder values.
+ * @returns {string} The message.
+ *
+ * @example
+ * formatError("UNKNOWN_RULE", { rule: "abc" }); // "Unknown rule abc"
+ */
+export function formatError(key, params = {}) {
+  return formatMessage(
+    getCatalogMessage("errors", key, currentLocale),
+    params,
+    currentLocale
+  );
+}
+
+/**
+ * Replace the placeholders and plural forms of a message.
+ * @param {string} message - The message.
+ * @param {Object<string,*>} params - The placeholder values.
+ * @param {string} [locale] - The locale selecting the plural forms.
+ * @returns {string} The formatted message. Unknown placeholders are left as is.
+ *
+ * @example
+ * formatMessage("{count, plural, one {# item} other {# items}}", { count: 1 }); // "1 item"
+ */
+export function formatMessage(message, params, locale = currentLocale) {
+  return message
+    .replace(PLURAL_PATTERN, (match, name, branches) =>
+      Object.prototype.hasOwnProperty.call(params, name)
+        ? selectPluralForm(branches, params[name], locale)
+        : match
+    )
+    .replace(PLACEHOLDER_PATTERN, (match, name) =>
+      Object.prototype.hasOwnProperty.call(params, name)
+        ? `${params[name]}`
+        : match
+    );
+}
+
+/**
+ * Join items into a list in a locale (ex: "a, b, or c"). Without
+ * Intl.ListFormat, the items are joined with the separators of the catalog.
+ * @param {string[]} items - The items.
+ * @param {string} [type="conjunction"] - The list type ("conjunction" for "and",
+ *                                        "disjunction" for "or").
+ * @param {string} [locale] - The locale, defaults to the current locale.
+ * @returns {string} The list.
+ */
+export function formatList(
+  items,
+  type = "conjunction",
+  locale = currentLocale
+) {
+  if (typeof Intl.ListFormat !== TYPES.FUNCTION) {
+    return joinList(items, type, locale);
+  }
+  return new Intl.ListFormat(getLocaleChain(locale)[0], { type }).format(items);
+}
+
+/************************************
+ *         Helper Functions
+ ************************************/
+
+/**
+ * Join items into a list with the separators of a locale catalog
+ * (ex: "a, b or c").
+ * @param {string[]} items - The items.
+ * @param {string} type - The list type ("conjunction" or "disjunction").
+ * @param {string} locale - The BCP 47 language tag.
+ * @returns {string} The list.
+ */
+function joinList(items, type, locale) {
+  if (items.length < 2) return items.join("");
+
+  const key = type === "disjunction" ? "LIST_DISJUNCTION" : "LIST_CONJUNCTION";
+  const separator = getCatalogMessage("messages", "LIST_SEPARATOR", locale);
+
+  return formatMessage(
+    getCatalogMessage("messages", key, locale),
+    {
+      items: items.slice(0, -1).join(separator),
+      last: items[items.length - 1],
+    },
+    locale
+  );
+}
+
+/**
+ * Get the tags to look messages up with, from the most specific.
+ * @param {string} locale - The BCP 47 language tag.
+ * @returns {string[]} The registered tags.
+ *
+ * @example
+ * getLocaleChain("fr-CA"); // ["fr", "en"]
+ */
+function getLocaleChain(locale) {
+  return [locale, getLanguage(locale), DEFAULT_LOCALE].filter(
+    (tag, index, tags) => catalogs[tag] && tags.indexOf(tag) === index
+  );
+}
+
+/**
+ * Get the language of a locale.
+ * @param {string} locale - The BCP 47 language tag (ex: "fr-CA").
+ * @returns {string} The language subtag (ex: "fr").
+ */
+function getLanguage(locale) {
+  return `${locale}`.split("-")[0];
+}
+
+/**
+ * Get a message from the catalogs of a locale.
+ * @param {string} section - The catalog section ("messages" or "errors").
+ * @param {string} key - The message key.
+ * @param {string} locale - The BCP 47 language tag.
+ * @returns {string} The message.
+ */
+function getCatalogMessage(section, key, locale) {
+  const tag = getLocaleChain(locale).find(
+    (name) => catalogs[name][section][key] !== undefined
+  );
+  return catalogs[tag][section][key];
+}
+
+/**
+ * Select the plural form matching a count.
+ * @param {string} branches - The plural forms (ex: "one {# item} other {# items}").
+ * @param {number} count - The count.
+ * @param {string} locale - The BCP 47 language tag.
+ * @returns {string} The plural form with # replaced by the count.
+ */
+function selectPluralForm(branches, count, locale) {
+  const forms = {};
+  branches.replace(PLURAL_BRANCH_PATTERN, (match, category, form) => {
+    forms[category] = form;
+    return match;
+  });
+
+  const category = new Intl.PluralRules(getLocaleChain(locale)[0]).select(
+    count
+  );
+  const form = [`=${count}`, category, "other"]
+    .map((name) => forms[name])
+    .find((value) => value !== undefined);
+
+  return (form || "").replace(/#/g, `${count}`);
+}
@@ -0,0 +1,120 @@
+/**
+ * The French locale catalog.
+ * @module locales/fr
+ */
+
+export default {
+  messages: {
+    WITH_LABEL: "{label} {message}",
+    EMAIL: "doit être une adresse e-mail valide",
+    URL: "doit être une URL valide",
+    UUID: "doit être un UUID valide",
+    IPV4: "doit être une adresse IPv4 valide",
+    IPV6: "doit être une adresse IPv6 valide",
+    CIDR: "doit être un bloc d'adresses IP valide (ex : 192.168.0.0/24)",
+    PHONE:
+      "doit être un numéro de téléphone au format international (ex : +33612345678)",
+    CREDIT_CARD: "doit être un numéro de carte valide",
+    IBAN: "doit être un IBAN valide",
+    HEX_COLOR: "doit être une couleur hexadécimale (ex : #ff0000)",
+    CUSTOM: "est invalide",
+    DIGIT:
+      "doit contenir au moins {count, plural, one {un chiffre} other {# chiffres}}",
+    SYMBOL:
+      "doit contenir au moins {count, plural, one {un caractère spécial} other {# caractères spéciaux}}",
+    PATTERN: "ne correspond pas au format demandé",
+    DOES_NOT_MATCH: "correspond à un format interdit",
+    REQUIRED: "ne doit pas être vide",
+    MATCHING: "ne correspond pas à {property}",
+    NOT_EQUAL_TO: "doit être différent de {property}",
+    LESS_THAN_FIELD: "doit être inférieur à {property}",
+    GREATER_THAN_FIELD: "doit être supérieur à {property}",
+    LOWERCASE:
+      "doit contenir au moins {count, plural, one {une minuscule} other {# minuscules}}",
+    UPPERCASE:
+      "doit contenir au moins {count, plural, one {une majuscule} other {# majuscules}}",
+    MAX_REPEATED_CHARS:
+      "ne peut pas répéter un caractère plus de {max} fois de suite",
+    SEQUENTIAL_CHARS:
+      "ne peut pas contenir {length} caractères consécutifs comme abc ou 321",
+    MIN_LENGTH:
+      "doit contenir au moins {length, plural, one {# caractère} other {# caractères}}",
+    MAX_LENGTH:
+      "ne peut pas dépasser {length, plural, one {# caractère} other {# caractères}}",
+    NUMBER: "doit être un nombre valide",
+    INTEGER: "doit être un nombre entier",
+    POSITIVE: "doit être un nombre positif",
+    LESS_THAN: "doit être inférieur à {limit}",
+    GREATER_THAN: "doit être supérieur à {limit}",
+    BETWEEN: "doit être compris entre {min} et {max}",
+    MULTIPLE_OF: "doit être un multiple de {factor}",
+    PRECISION:
+      "ne peut pas avoir plus de {digits, plural, one {# décimale} other {# décimales}}",
+    DATE: "doit être une date valide",
+    AFTER: "doit être postérieur au {date}",
+    BEFORE: "doit être antérieur au {date}",
+    UNIQUE: "ne doit pas contenir de doublons",
+    ANY_OF: "doit satisfaire l'une des alternatives ({reasons})",
+    ALL_OF: "doit satisfaire toutes les exigences ({reasons})",
+    LIST_SEPARATOR: ", ",
+    LIST_CONJUNCTION: "{items} et {last}",
+    LIST_DISJUNCTION: "{items} ou {last}",
+    NOT: "n'est pas autorisé",
+    STRENGTH: "est trop faible ({score} sur {minScore})",
+    FEEDBACK_DICTIONARY: "Évitez les mots et mots de passe courants",
+    FEEDBACK_REPEAT: "Évitez les caractères et mots répétés",
+    FEEDBACK_SEQUENCE: "Évitez les suites comme abc ou 123",
+    FEEDBACK_KEYBOARD: "Évitez les suites de touches comme azerty",
+    FEEDBACK_LENGTH: "Ajoutez des mots ou des caractères",
+    MIN_ITEMS:
+      "doit contenir au moins {count, plural, one {# élément} other {# éléments}}",
+    MAX_ITEMS:
+      "ne peut pas contenir plus de {count, plural, one {# élément} other {# éléments}}",
+  },
+  errors: {
+    INVALID_TYPE: "La valeur doit être de type {type}",
+    EMPTY_PROPERTY: "{property} ne peut pas être vide",
+    INVALID_SCHEMA: "Schéma invalide",
+    INVALID_NUMBER: "La longueur ne peut pas être négative",
+    INVALID_FACTOR: "Le facteur doit être supérieur à zéro",
+    INVALID_SCORE: "Le score doit être un entier de 0 à 4",
+    INVALID_COUNT: "Le nombre doit être d'au moins 1",
+    INVALID_SEQUENCE_LENGTH: "La longueur de la suite doit être d'au moins 2",
+    INVALID_SYMBOLS: "Les symboles doivent être une chaîne non vide",
+    INVALID_OPTIONS: "Options de {rule} invalides",
+    INVALID_RULE_DEFINITION:
+      "La définition de règle doit avoir un nom, une fonction factory et un message",
+    RULE_EXISTS: "La méthode de schéma {rule} existe déjà",
+    MESSAGE_KEY_EXISTS: "La clé de message {key} existe déjà",
+    INVALID_UUID_VERSION: "La version d'UUID doit être un entier de 1 à 8",
+    INVALID_VALUE_TYPE: "Type de valeur invalide",
+    INVALID_SCHEMA_TYPE: "Type de schéma invalide",
+    FORM_SCHEMA_MISMATCH: "Le schéma et le formulaire ne correspondent pas",
+    INVALID_FORM_SCHEMA:
+      "Les propriétés d'un schéma de formulaire doivent être des schémas ou des schémas de formulaire imbriqués",
+    UNKNOWN_PROPERTY: "Propriété de schéma de formulaire inconnue {property}",
+    MISSING_PROPERTY: "Il manque la propriété {property} au formulaire",
+    NO_MATCHING_PROPERTY: "Aucune propriété {property} à comparer",
+    CONDITIONAL_SCHEMA:
+      "Les schémas conditionnels ne peuvent être validés que dans un formulaire",
+    ASYNC_RULE: "La règle {rule} est asynchrone et nécessite validateAsync",
+    STALE_VALIDATION: "La validation a été remplacée par une plus récente",
+    VALIDATION_FAILED: "La validation a échoué",
+    INVALID_MIN_OVER_MAX:
+      "La longueur minimale ne peut pas être supérieure à la maximale",
+    INVALID_RANGE:
+      "La borne inférieure ne peut pas être supérieure à la borne supérieure",
+    INVALID_RULE_TYPE:
+      "La règle {rule} ne peut pas être utilisée avec les schémas {type}",
+    UNKNOWN_RULE: "Règle {rule} inconnue",
+    UNKNOWN_LOCALE: "Langue {locale} inconnue",
+    UNSERIALIZABLE_RULE: "La règle {rule} ne peut pas être convertie en JSON",
+    COMBINATOR_SCHEMAS:
+      "La règle {rule} nécessite un tableau non vide de schémas du même type",
+    INVALID_SCHEMA_JSON: "Le JSON du schéma doit être un objet avec un type",
+    INVALID_DATE:
+      "La date doit être une Date valide, une chaîne ISO-8601 ou une date relative comme '18 years ago'",
+    INVALID_MIN_MAX:
+      "La longueur minimale ou maximale ne peut pas être inférieure au nombre de caractères requis",
+  },
+};
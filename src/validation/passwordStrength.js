@@ -0,0 +1,328 @@
+/**
+ * Exports the password strength estimation. The strength is the number of
+ * guesses an attacker needs, trying the patterns people use (dictionary
+ * words, repeats, sequences and keyboard walks) before brute force.
+ * Passwords are split into the patterns needing the fewest guesses overall.
+ * @module passwordStrength
+ */
+
+import COMMON_WORDS from "./data/commonWords";
+import { createMessage, renderMessage } from "./locale";
+
+/**
+ * The strength of a password.
+ * @typedef {Object} PasswordStrength
+ * @property {number} score - The score from 0 (too guessable) to 4 (very unguessable).
+ * @property {number} entropy - The number of guesses needed, in bits.
+ * @property {string[]} feedback - Suggestions to make the password stronger, when
+ *                                its score is below 3.
+ */
+
+/************************************
+ *        Symbolic Constants
+ ************************************/
+export const MAX_SCORE = 4;
+
+// Guesses needed for the scores 1 to 4
+const SCORE_GUESSES = [1e3, 1e6, 1e8, 1e10];
+const MIN_MATCH_LENGTH = 3;
+const STRONG_SCORE = 3;
+// Characters after are brute-forced, to keep the estimation fast
+const MAX_MATCHED_LENGTH = 100;
+const SYMBOLS = 33;
+const KEYBOARD_ROWS = [
+  "1234567890-=",
+  "qwertyuiop[]",
+  "asdfghjkl;'",
+  "zxcvbnm,./",
+];
+const LEET_SUBSTITUTIONS = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  "@": "a",
+  $: "s",
+  "!": "i",
+};
+const WORD_RANKS = new Map(
+  COMMON_WORDS.map((word, index) => [word, index + 1])
+);
+const KEYBOARD_NEIGHBORS = getKeyboardNeighbors(KEYBOARD_ROWS);
+
+/** The feedback message of each pattern. */
+const FEEDBACK = {
+  dictionary: "FEEDBACK_DICTIONARY",
+  repeat: "FEEDBACK_REPEAT",
+  sequence: "FEEDBACK_SEQUENCE",
+  keyboard: "FEEDBACK_KEYBOARD",
+};
+
+/**
+ * Estimate the strength of a password.
+ * @param {string} password - The password.
+ * @param {string} [locale] - The locale of the feedback, defaults to the current locale.
+ * @returns {PasswordStrength} The score, entropy and feedback.
+ *
+ * @example
+ * getPasswordStrength("Password1!"); // { score: 0, entropy: 9.4, feedback: [...] }
+ * getPasswordStrength("correct horse battery staple").score; // 4
+ */
+export function getPasswordStrength(password, locale) {
+  const { guesses, patterns } = getGuesses(`${password}`);
+  const score = SCORE_GUESSES.filter((limit) => guesses >= limit).length;
+
+  // Strong passwords need no suggestions
+  const keys =
+    score < STRONG_SCORE
+      ? [...patterns.map((pattern) => FEEDBACK[pattern]), "FEEDBACK_LENGTH"]
+      : [];
+
+  return {
+    score,
+    entropy: Math.round(Math.log2(guesses) * 10) / 10,
+    feedback: [...new Set(keys)].map((key) =>
+      renderMessage(createMessage(key), locale)
+    ),
+  };
+}
+
+/************************************
+ *         Helper Functions
+ ************************************/
+
+/**
+ * A part of a password matching a pattern.
+ * @typedef {Object} PatternMatch
+ * @property {string} pattern - The pattern ("dictionary", "repeat", "sequence" or "keyboard").
+ * @property {number} start - The index of the first character.
+ * @property {number} end - The index after the last character.
+ * @property {number} guesses - The guesses needed to find the part with the pattern.
+ */
+
+/**
+ * Get the fewest guesses needed to find a password, splitting it into
+ * pattern matches and brute-forced characters.
+ * @param {string} password - The password.
+ * @param {Map<string, number>} [unitGuesses=new Map()] - The guesses of the
+ *        repeated units already estimated, shared by the nested estimations.
+ * @returns {{guesses: number, patterns: string[]}} The guesses, and the
+ *          patterns of the matches they were split into.
+ */
+function getGuesses(password, unitGuesses = new Map()) {
+  const characters = [...password];
+  const matched = characters.slice(0, MAX_MATCHED_LENGTH);
+  const matches = [
+    ...getDictionaryMatches(matched),
+    ...getRepeatMatches(matched, unitGuesses),
+    ...getSequenceMatches(matched),
+    ...getKeyboardMatches(matched),
+  ];
+
+  // The fewest guesses needed for the characters before each index
+  const best = [{ guesses: 1, patterns: [] }];
+  characters.forEach((character, index) => {
+    const previous = best[index];
+    best[index + 1] = {
+      guesses: previous.guesses * getCharsetSize(character),
+      patterns: previous.patterns,
+    };
+
+    matches
+      .filter(({ end }) => end === index + 1)
+      .forEach(({ start, guesses, pattern }) => {
+        const candidate = best[start].guesses * guesses;
+        if (candidate < best[index + 1].guesses) {
+          best[index + 1] = {
+            guesses: candidate,
+            patterns: [...best[start].patterns, pattern],
+          };
+        }
+      });
+  });
+  return best[characters.length];
+}
+
+/**
+ * Find the common words, including their uppercase and l33t variations
+ * (ex: "P4ssword"), in a password.
+ * @param {string[]} characters - The characters of the password.
+ * @returns {PatternMatch[]} The matches.
+ */
+function getDictionaryMatches(characters) {
+  const lowercase = characters.map((character) => character.toLowerCase());
+  const unleeted = lowercase.map(
+    (character) => LEET_SUBSTITUTIONS[character] || character
+  );
+  const matches = [];
+
+  for (let start = 0; start < characters.length; start++) {
+    for (let end = start + MIN_MATCH_LENGTH; end <= characters.length; end++) {
+      const rank = WORD_RANKS.get(unleeted.slice(start, end).join(""));
+      if (!rank) continue;
+
+      const word = characters.slice(start, end).join("");
+      const isLeet = lowercase
+        .slice(start, end)
+        .some((character, index) => character !== unleeted[start + index]);
+
+      matches.push({
+        pattern: "dictionary",
+        start,
+        end,
+        guesses: rank * getUppercaseVariations(word) * (isLeet ? 2 : 1),
+      });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Get the number of ways a word may have been capitalized.
+ * @param {string} word - The word.
+ * @returns {number} 1 for lowercase words, 2 for capitalized or uppercase
+ *                   words and 4 for the other variations.
+ */
+function getUppercaseVariations(word) {
+  if (word === word.toLowerCase()) return 1;
+  if (word === word.toUpperCase() || /^[A-Z][^A-Z]*$/.test(word)) return 2;
+  return 4;
+}
+
+/**
+ * Find the repeated characters and words (ex: "aaa", "abcabc") in a password.
+ * @param {string[]} characters - The characters of the password.
+ * @param {Map<string, number>} unitGuesses - The guesses of the repeated units
+ *        already estimated, as units are often repeats themselves (ex: "aaaa").
+ * @returns {PatternMatch[]} The matches.
+ */
+function getRepeatMatches(characters, unitGuesses) {
+  const matches = [];
+
+  for (let start = 0; start < characters.length; start++) {
+    for (let size = 1; start + size * 2 <= characters.length; size++) {
+      const unit = characters.slice(start, start + size).join("");
+
+      let end = start + size;
+      while (characters.slice(end, end + size).join("") === unit) end += size;
+
+      if (end - start >= Math.max(size * 2, MIN_MATCH_LENGTH)) {
+        if (!unitGuesses.has(unit)) {
+          unitGuesses.set(unit, getGuesses(unit, unitGuesses).guesses);
+        }
+
+        matches.push({
+          pattern: "repeat",
+          start,
+          end,
+          guesses: unitGuesses.get(unit) * ((end - start) / size),
+        });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Find the sequences of consecutive characters (ex: "abc", "987") in a password.
+ * @param {string[]} characters - The characters of the password.
+ * @returns {PatternMatch[]} The matches.
+ */
+function getSequenceMatches(characters) {
+  const codes = characters.map((character) => character.codePointAt(0));
+  const matches = [];
+
+  let start = 0;
+  for (let index = 1; index <= codes.length; index++) {
+    const delta = codes[start + 1] - codes[start];
+    const isSequence =
+      index < codes.length &&
+      Math.abs(delta) === 1 &&
+      codes[index] - codes[index - 1] === delta;
+
+    if (isSequence) continue;
+
+    if (index - start >= MIN_MATCH_LENGTH) {
+      const first = characters[start];
+      const startGuesses = /[a1z90]/i.test(first) ? 4 : getCharsetSize(first);
+
+      matches.push({
+        pattern: "sequence",
+        start,
+        end: index,
+        guesses: startGuesses * (index - start) * (delta < 0 ? 2 : 1),
+      });
+    }
+    start = Math.max(index - 1, start + 1);
+  }
+  return matches;
+}
+
+/**
+ * Find the walks of adjacent keys on a QWERTY keyboard (ex: "qwerty", "zaq1")
+ * in a password.
+ * @param {string[]} characters - The characters of the password.
+ * @returns {PatternMatch[]} The matches.
+ */
+function getKeyboardMatches(characters) {
+  const keys = characters.map((character) => character.toLowerCase());
+  const matches = [];
+
+  let start = 0;
+  for (let index = 1; index <= keys.length; index++) {
+    const neighbors = KEYBOARD_NEIGHBORS[keys[index - 1]];
+    if (index < keys.length && neighbors && neighbors.includes(keys[index])) {
+      continue;
+    }
+
+    if (index - start >= MIN_MATCH_LENGTH) {
+      matches.push({
+        pattern: "keyboard",
+        start,
+        end: index,
+        guesses: KEYBOARD_ROWS.join("").length * (index - start),
+      });
+    }
+    start = index;
+  }
+  return matches;
+}
+
+/**
+ * Get the adjacent keys of every key of a keyboard.
+ * @param {string[]} rows - The keyboard rows, each shifted right of the previous one.
+ * @returns {Object<string, string[]>} The adjacent keys, by key.
+ */
+function getKeyboardNeighbors(rows) {
+  const neighbors = {};
+
+  rows.forEach((row, rowIndex) => {
+    const above = rows[rowIndex - 1] || "";
+    const below = rows[rowIndex + 1] || "";
+
+    [...row].forEach((key, index) => {
+      neighbors[key] = [
+        row[index - 1],
+        row[index + 1],
+        above[index],
+        above[index + 1],
+        below[index - 1],
+        below[index],
+      ].filter(Boolean);
+    });
+  });
+  return neighbors;
+}
+
+/**
+ * Get the number of characters to try to brute force a character.
+ * @param {string} character - The character.
+ * @returns {number} The size of the character set (ex: 10 for digits).
+ */
+function getCharsetSize(character) {
+  if (/\d/.test(character)) return 10;
+  if (/[a-z]/i.test(character)) return 26;
+  return SYMBOLS;
+}
@@ -1,21 +1,69 @@
 /** @module schema */
 
 import {
-  ERROR_MESSAGES as Errors,
+  TYPES,
+  DEFAULT_SYMBOLS,
   VALIDATION_ERROR_MESSAGES as Messages,
 } from "./constants";
+import {
+  createMessage,
+  formatError,
+  registerLocale,
+  DEFAULT_LOCALE,
+} from "./locale";
 import * as Validators from "./lib";
-import { validateType, isNumber, isString, isEmptyString } from "./utils";
+import * as Transforms from "./transforms";
+import validate from "./validate";
+import { ValidationError } from "./errors";
+import { MAX_SCORE } from "./passwordStrength";
+import { CARD_BRANDS } from "./cards";
+import {
+  isNumber,
+  isString,
+  isFunction,
+  isBoolean,
+  isPlainObject,
+  isStringArray,
+  validateType,
+  isEmptyString,
+  isFiniteNumber,
+  resolveDate,
+  isDateDescription,
+  isDate,
+  getPath,
+} from "./utils";
+
+/**
+ * A rule registered with Schema.extend.
+ * @typedef {Object} RuleDefinition
+ * @property {string} name - The name of the schema method (ex: "isSku").
+ * @property {Function} factory - Function given the method arguments and returning
+ *                                the predicate of the rule, which receives the value
+ *                                and the form, as the predicate of a custom rule.
+ * @property {string} message - The default error message, where the factory
+ *                              arguments are the placeholders {0}, {1}...
+ * @property {number} [arity=0] - The number of method arguments given to the factory,
+ *                                the next argument being the custom error message.
+ * @property {(number|Function)} [minChars=0] - The number of characters the rule
+ *                                              requires, or a function given the method
+ *                                              arguments and returning it.
+ * @property {string} [type="string"] - The type of the schemas using the rule.
+ */
 
 /************************************
  *        Class Declaration
  ************************************/
 
 /**
- * Creates a new Schema
+ * Creates a new Schema. Schemas are immutable: rule methods return a new
+ * frozen schema, so a schema can be shared by forms and extended without
+ * changing it, and validating it has no side effects.
  *
  * @example
  * const schema = new Schema();
+ * const numberSchema = Schema.number();
+ * const dateSchema = Schema.date();
+ * const arraySchema = Schema.array().of(new Schema().min(3));
  */
 export default class Schema {
   /**
@@ -23,198 +71,1697 @@ export default class Schema {
    * @private
    * @type {object}
    */
-  #schema = { rules: {} };
+  #schema = {
+    rules: {},
+    range: {},
+    counts: {},
+    lengths: {},
+    calls: [],
+    references: {},
+    transforms: [],
+    combinators: [],
+  };
+
+  /**
+   * Create a frozen schema from the changed copy of the state of another schema.
+   * @private
+   * @type {Function}
+   * @param {object} state - The schema state, copied with copyState.
+   * @returns {Schema} The new schema instance.
+   */
+  static #create = (state) => {
+    const schema = new Schema(state.type);
+    freezeState(Object.assign(schema.#schema, state));
+    return schema;
+  };
+
+  /**
+   * @param {string} [type="string"] - The type of the values to validate.
+   * @throws {TypeError} When the type is not supported.
+   */
+  constructor(type = TYPES.STRING) {
+    if (!SCHEMA_TYPES.includes(type)) {
+      throw new TypeError(formatError("INVALID_SCHEMA_TYPE"));
+    }
+    this.#schema.type = type;
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a schema validating numbers. Numeric strings, such as input
+   * values, are parsed before validation.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = Schema.number().between(1, 10);
+   */
+  static number() {
+    return new Schema(TYPES.NUMBER);
+  }
+
+  /**
+   * Create a schema validating dates. ISO-8601 strings, such as input
+   * values, are parsed before validation and impossible dates are rejected.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = Schema.date().before("18 years ago");
+   */
+  static date() {
+    return new Schema(TYPES.DATE);
+  }
+
+  /**
+   * Create a schema validating arrays, such as the values of multiple
+   * selects and tag inputs.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = Schema.array().minItems(1).unique();
+   */
+  static array() {
+    return new Schema(TYPES.ARRAY);
+  }
+
+  /**
+   * Create a schema whose rules depend on the value of a sibling form
+   * property. The conditional schema is resolved when validating the form,
+   * so rules cannot be added to it directly, only to its branches.
+   *
+   * @param {string} fieldName - The name, or dotted path, of the sibling property.
+   * @param {(Function|*)} predicate - Function called with the sibling value and all the
+   *                                   sibling values, or a value the sibling must equal.
+   * @param {Schema} thenSchema - The schema to use when the predicate is satisfied.
+   * @param {Schema} [otherwiseSchema] - The schema to use otherwise. Defaults to a
+   *                                     schema without rules.
+   * @return {Schema} The new conditional schema instance.
+   * @throws {TypeError} When the field name is not a string or a branch is not a schema.
+   * @throws Throws an error the field name is an empty string.
+   *
+   * @example
+   * const vatNumber = Schema.when(
+   *   "country",
+   *   (country) => EU_COUNTRIES.includes(country),
+   *   new Schema().isRequired()
+   * );
+   * const companyName = Schema.when("accountType", "business", new Schema().isRequired());
+   */
+  static when(
+    fieldName,
+    predicate,
+    thenSchema,
+    otherwiseSchema = new Schema(thenSchema && thenSchema.type)
+  ) {
+    validateStringInput(fieldName, "Condition field");
+    validateSchemaInput(thenSchema);
+    validateSchemaInput(otherwiseSchema);
+
+    const state = copyState(new Schema(thenSchema.type).#schema);
+    state.condition = { fieldName, predicate, thenSchema, otherwiseSchema };
+    return Schema.#create(state);
+  }
+
+  /**
+   * Create a schema validating values that satisfy at least one of the
+   * given schemas, such as "a UK postcode or a US ZIP code".
+   * @see {@link Schema#anyOf} for the rule.
+   *
+   * @param {Schema[]} schemas - The alternatives, validating the same type.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When an alternative is not a schema.
+   * @throws Throws an error when there are no alternatives or their types differ.
+   *
+   * @example
+   * const login = Schema.anyOf([new Schema().isEmail(), new Schema().min(3).max(20)]);
+   */
+  static anyOf(schemas, customError) {
+    return new Schema(getCombinatorType(schemas)).anyOf(schemas, customError);
+  }
+
+  /**
+   * Create a schema validating values that satisfy all the given schemas.
+   * @see {@link Schema#allOf} for the rule.
+   *
+   * @param {Schema[]} schemas - The requirements, validating the same type.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When a requirement is not a schema.
+   * @throws Throws an error when there are no requirements or their types differ.
+   *
+   * @example
+   * const password = Schema.allOf([strongPassword, new Schema().doesNotMatch(/password/i)]);
+   */
+  static allOf(schemas, customError) {
+    return new Schema(getCombinatorType(schemas, "allOf")).allOf(
+      schemas,
+      customError
+    );
+  }
+
+  /**
+   * Create a schema from its JSON representation.
+   * @see {@link Schema#toJSON} for the representation.
+   * @param {(object|string)} json - The JSON representation, or its string.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the representation is not an object with a type,
+   *                     or its rules are not objects with an array of arguments.
+   * @throws Throws an error when a rule is unknown.
+   *
+   * @example
+   * const schema = Schema.fromJSON({
+   *   type: "string",
+   *   rules: [{ name: "min", args: [4] }, { name: "isRequired", args: [] }],
+   * });
+   */
+  static fromJSON(json) {
+    if (isString(json)) json = JSON.parse(json);
+
+    if (!isPlainObject(json) || !isString(json.type)) {
+      throw new TypeError(formatError("INVALID_SCHEMA_JSON"));
+    }
+
+    if (json.when) {
+      const { field, is, then, otherwise } = json.when;
+      return Schema.when(
+        field,
+        is,
+        Schema.fromJSON(then),
+        Schema.fromJSON(otherwise)
+      );
+    }
+
+    const { rules = [] } = json;
+    if (!Array.isArray(rules)) {
+      throw new TypeError(formatError("INVALID_SCHEMA_JSON"));
+    }
+
+    let schema = new Schema(json.type);
+    rules.forEach((rule) => {
+      const { name, args = [] } = isPlainObject(rule) ? rule : {};
+      if (!isPlainObject(rule) || !Array.isArray(args)) {
+        throw new TypeError(formatError("INVALID_SCHEMA_JSON"));
+      }
+
+      if (!RULE_METHODS.includes(name) && !isRegisteredRule(name)) {
+        throw new Error(formatError("UNKNOWN_RULE", { rule: name }));
+      }
+      const values = args.map(decodeArgument);
+
+      // Negated schemas are created from the schema they negate
+      schema =
+        name === "not" ? values[0].not(values[1]) : schema[name](...values);
+    });
+    return schema;
+  }
+
+  /**
+   * Get the JSON representation of a form schema, including its nested forms.
+   * @param {Object<string, *>} formSchema - The form schema.
+   * @return {Object<string, object>} The JSON representation of every property schema.
+   * @throws Throws an error when a rule cannot be serialized.
+   *
+   * @example
+   * const json = Schema.formToJSON({ email: new Schema().isEmail() });
+   */
+  static formToJSON(formSchema) {
+    const json = {};
+
+    Object.keys(formSchema).forEach((property) => {
+      const schema = formSchema[property];
+      json[property] = isPlainObject(schema)
+        ? Schema.formToJSON(schema)
+        : schema.toJSON();
+    });
+    return json;
+  }
+
+  /**
+   * Create a form schema, including its nested forms, from its JSON representation.
+   * @param {(Object<string, object>|string)} json - The JSON representation, or its string.
+   * @return {Object<string, *>} The form schema.
+   * @throws {TypeError} When a property is neither a schema nor a nested form.
+   * @throws Throws an error when a rule is unknown.
+   *
+   * @example
+   * const formSchema = Schema.formFromJSON(await response.json());
+   */
+  static formFromJSON(json) {
+    if (isString(json)) json = JSON.parse(json);
+
+    if (!isPlainObject(json)) {
+      throw new TypeError(formatError("INVALID_SCHEMA_JSON"));
+    }
+
+    const formSchema = {};
+    Object.keys(json).forEach((property) => {
+      const value = json[property];
+
+      // Property schemas have a type, nested forms are objects of schemas
+      formSchema[property] =
+        isPlainObject(value) && !isString(value.type)
+          ? Schema.formFromJSON(value)
+          : Schema.fromJSON(value);
+    });
+    return formSchema;
+  }
+
+  /**
+   * Register rules as new chainable methods of every schema, so rule packs
+   * (ex: company ID formats) can ship as separate modules. The methods take
+   * as many factory arguments as the arity of the rule followed by a custom
+   * error message, and the rules are reported in the failed rules by method name.
+   *
+   * The message is registered in the English catalog under the method name
+   * in constant case, prefixed to keep it apart from the built-in messages
+   * (ex: "RULE_IS_SKU" for "isSku"), where the factory arguments are the
+   * placeholders {0}, {1}... Other locales can translate it with registerLocale.
+   *
+   * @param {(RuleDefinition|RuleDefinition[])} definitions - The rules.
+   * @returns {void} Nothing.
+   * @throws {TypeError} When a definition is invalid.
+   * @throws Throws an error when a schema method already has the name, or
+   *         another message has the message key (ex: "isSKU" for "isSku").
+   *
+   * @example
+   * Schema.extend({
+   *   name: "isSku",
+   *   factory: (prefix) => (value) => value.startsWith(`${prefix}-`),
+   *   message: "must be a {0} SKU",
+   *   arity: 1,
+   *   minChars: (prefix) => prefix.length + 1,
+   * });
+   * const schema = new Schema().isSku("ACME").max(20);
+   */
+  static extend(definitions) {
+    [].concat(definitions).forEach((definition) => {
+      validateRuleDefinition(definition);
+
+      const { name, factory, message, arity = 0, minChars = 0 } = definition;
+      const { type = TYPES.STRING } = definition;
+      const key = getMessageKey(name);
+      registerLocale(DEFAULT_LOCALE, { messages: { [key]: message } });
+      registeredRules[name] = key;
+
+      function rule(...args) {
+        validateRuleType(this.#schema, type, name);
+
+        const ruleArgs = args.slice(0, arity);
+        const predicate = factory(...ruleArgs);
+        validateType(predicate, isFunction);
+
+        const count = isFunction(minChars) ? minChars(...ruleArgs) : minChars;
+        const state = copyState(this.#schema);
+        if (count) state.counts[name] = count;
+
+        state.rules[getCustomRuleKey(name)] = Validators.custom(
+          name,
+          predicate,
+          createMessage(key, { ...ruleArgs }, args[arity])
+        );
+        logCall(state, name, args);
+        return Schema.#create(state);
+      }
+
+      // Registered methods are not enumerable, as the class methods
+      Object.defineProperty(Schema.prototype, name, {
+        value: rule,
+        writable: true,
+        configurable: true,
+      });
+    });
+  }
+
+  /**
+   * Remove rules registered with Schema.extend, such as to isolate the
+   * registrations of tests. Existing schemas keep validating the removed
+   * rules, but can no longer be created from their JSON representation.
+   * @param {string[]} [names] - The names of the rule methods, defaults to
+   *                             every registered rule.
+   * @returns {void} Nothing.
+   * @throws Throws an error when a rule was not registered with Schema.extend.
+   *
+   * @example
+   * afterEach(() => Schema.removeRules());
+   */
+  static removeRules(names = Object.keys(registeredRules)) {
+    names.forEach((name) => {
+      if (!isRegisteredRule(name)) {
+        throw new Error(formatError("UNKNOWN_RULE", { rule: name }));
+      }
+      delete Schema.prototype[name];
+      delete registeredRules[name];
+    });
+  }
 
   /**
    * Set the minimum number of characters the property should contain.
+   * Characters are counted as displayed, so an emoji or a letter with
+   * combining accents counts as one. Line breaks are only counted in
+   * multiline mode.
    * @param {number} length - The minimum length.
    * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} when value is not a number.
+   * @throws {RangeError} when value is negative.
+   *
+   * @example
+   * const schema = new Schema().min(4);
+   */
+  min(length, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "min");
+    validateLength(length);
+
+    const state = copyState(this.#schema);
+    state.minimum = length;
+    state.lengths.minimum = [
+      length,
+      createMessage("MIN_LENGTH", { length }, customError),
+    ];
+    setLengthRules(state);
+
+    logCall(state, "min", [length, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the maximum number of characters the property should contain,
+   * counted the same way as the minimum.
+   * @param {number} length - The maximum length.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
    * @throws {TypeError} when value is not a number.
    * @throws {RangeError} when value is negative.
    *
    * @example
-   * const schema = new Schema().min(4);
+   * const schema = new Schema().max(4);
+   */
+  max(length, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "max");
+    validateLength(length);
+
+    const state = copyState(this.#schema);
+    state.maximum = length;
+    state.lengths.maximum = [
+      length,
+      createMessage("MAX_LENGTH", { length }, customError),
+    ];
+    setLengthRules(state);
+
+    logCall(state, "max", [length, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the property to span multiple lines, as the value of a textarea.
+   * The minimum and maximum lengths then count line breaks as characters,
+   * "\r\n" counting as one.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = new Schema().multiline().max(500);
+   */
+  multiline() {
+    validateRuleType(this.#schema, TYPES.STRING, "multiline");
+
+    const state = copyState(this.#schema);
+    state.multiline = true;
+    setLengthRules(state);
+
+    logCall(state, "multiline", []);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to contain at least the given number of digits.
+   * @param {number} [count=1] - The minimum number of digits.
+   * @param {string} [customError] - Custom error message, which may include the {count}.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the count is not an integer.
+   * @throws {RangeError} When the count is less than 1.
+   *
+   * @example
+   * const schema = new Schema().hasDigit();
+   * const schema = new Schema().hasDigit(2, "needs {count} digits");
+   * const schema = new Schema().hasDigit("needs a digit");
+   */
+  hasDigit(count, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "hasDigit");
+    [count, customError] = getCountArguments(count, customError);
+
+    const state = copyState(this.#schema);
+    state.counts.digit = count;
+    state.rules.digit = Validators.digit(
+      createMessage("DIGIT", { count }, customError),
+      count
+    );
+    logCall(state, "hasDigit", [count, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to contain at least the given number of special characters.
+   * @param {number} [count=1] - The minimum number of special characters.
+   * @param {string} [customError] - Custom error message, which may include the {count}.
+   * @param {string} [symbols] - The special characters, defaults to the ASCII
+   *                             punctuation characters (ex: "!", "-", "_", "~").
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the count is not an integer or the symbols are not a string.
+   * @throws {RangeError} When the count is less than 1.
+   * @throws {Error} When the symbols are empty.
+   *
+   * @example
+   * const schema = new Schema().hasSymbol();
+   * const schema = new Schema().hasSymbol(2, undefined, "!?-_");
+   */
+  hasSymbol(count, customError, symbols = DEFAULT_SYMBOLS) {
+    validateRuleType(this.#schema, TYPES.STRING, "hasSymbol");
+    [count, customError] = getCountArguments(count, customError);
+    validateType(symbols, isString);
+
+    if (isEmptyString(symbols)) {
+      throw new Error(formatError("INVALID_SYMBOLS"));
+    }
+
+    const state = copyState(this.#schema);
+    state.counts.symbol = count;
+    state.rules.symbol = Validators.symbol(
+      createMessage("SYMBOL", { count }, customError),
+      count,
+      symbols
+    );
+    logCall(state, "hasSymbol", [count, customError, symbols]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to contain at least the given number of uppercase characters.
+   * @param {number} [count=1] - The minimum number of uppercase characters.
+   * @param {string} [customError] - Custom error message, which may include the {count}.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the count is not an integer.
+   * @throws {RangeError} When the count is less than 1.
+   *
+   * @example
+   * const schema = new Schema().hasUppercase();
+   */
+  hasUppercase(count, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "hasUppercase");
+    [count, customError] = getCountArguments(count, customError);
+
+    const state = copyState(this.#schema);
+    state.counts.uppercase = count;
+    state.rules.uppercase = Validators.uppercase(
+      createMessage("UPPERCASE", { count }, customError),
+      count
+    );
+    logCall(state, "hasUppercase", [count, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to contain at least the given number of lowercase characters.
+   * @param {number} [count=1] - The minimum number of lowercase characters.
+   * @param {string} [customError] - Custom error message, which may include the {count}.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the count is not an integer.
+   * @throws {RangeError} When the count is less than 1.
+   *
+   * @example
+   * const schema = new Schema().hasLowercase();
+   */
+  hasLowercase(count, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "hasLowercase");
+    [count, customError] = getCountArguments(count, customError);
+
+    const state = copyState(this.#schema);
+    state.counts.lowercase = count;
+    state.rules.lowercase = Validators.lowercase(
+      createMessage("LOWERCASE", { count }, customError),
+      count
+    );
+    logCall(state, "hasLowercase", [count, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to repeat no character more than the given number of times in a row.
+   * @param {number} max - The maximum number of times a character may repeat in a row.
+   * @param {string} [customError] - Custom error message, which may include the {max}.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the maximum is not an integer.
+   * @throws {RangeError} When the maximum is less than 1.
+   *
+   * @example
+   * const schema = new Schema().maxRepeatedChars(2); // "aab" is valid, "aaab" is not
+   */
+  maxRepeatedChars(max, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "maxRepeatedChars");
+    validateType(max, isNumber);
+
+    if (max < 1) {
+      throw new RangeError(formatError("INVALID_COUNT"));
+    }
+
+    const state = copyState(this.#schema);
+    state.rules.maxRepeatedChars = Validators.maxRepeatedChars(
+      max,
+      createMessage("MAX_REPEATED_CHARS", { max }, customError)
+    );
+    logCall(state, "maxRepeatedChars", [max, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to contain no sequence of consecutive letters or digits,
+   * ascending or descending, of the given length (ex: "abc", "cba", "123").
+   * @param {number} [length=3] - The length of the forbidden sequences.
+   * @param {string} [customError] - Custom error message, which may include the {length}.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the length is not an integer.
+   * @throws {RangeError} When the length is less than 2.
+   *
+   * @example
+   * const schema = new Schema().noSequentialChars(4); // "abc1" is valid, "abcd" is not
+   */
+  noSequentialChars(length = 3, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "noSequentialChars");
+    validateType(length, isNumber);
+
+    if (length < 2) {
+      throw new RangeError(formatError("INVALID_SEQUENCE_LENGTH"));
+    }
+
+    const state = copyState(this.#schema);
+    state.rules.noSequentialChars = Validators.noSequentialChars(
+      length,
+      createMessage("SEQUENTIAL_CHARS", { length }, customError)
+    );
+    logCall(state, "noSequentialChars", [length, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be a strong enough password. The score, from 0 to 4,
+   * estimates the guesses needed to find the password, penalizing common
+   * words, repeats, sequences and keyboard walks rather than checking for
+   * character classes (ex: "Password1!" scores 0).
+   * @see {@link passwordStrength.js} for the estimation.
+   *
+   * @param {number} minScore - The minimum score, from 0 to 4.
+   * @param {string} [customError] - Custom error message, which may include
+   *                                 the {score} and the {feedback} suggestions.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the minimum score is not an integer.
+   * @throws {RangeError} When the minimum score is not from 0 to 4.
+   *
+   * @example
+   * const schema = new Schema().strength(3).isRequired();
+   */
+  strength(minScore, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "strength");
+    validateType(minScore, isNumber);
+
+    if (minScore < 0 || minScore > MAX_SCORE) {
+      throw new RangeError(formatError("INVALID_SCORE"));
+    }
+
+    const state = copyState(this.#schema);
+    state.rules.strength = Validators.strength(
+      minScore,
+      createMessage("STRENGTH", { minScore }, customError)
+    );
+    logCall(state, "strength", [minScore, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set custom pattern to be matched, tested alongside the other rules.
+   * Each call adds a pattern, with its own error message.
+   *
+   * @param {(string | RegExp)} regexPattern - The pattern to use for validation.
+   * @param {string} [customError] - Custom error message.
+   * @param {string} [name="pattern"] - The rule name reported in the failed rules.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string.
+   * @throws Throws an error when the name is an empty string.
+   *
+   * @example
+   * const schemaWithRegex = new Schema().hasPattern(/abc/);
+   * const schemaWithString = new Schema().hasPattern("abc");
+   * const schemaWithNames = new Schema()
+   *   .hasPattern(/^[a-z]/i, "must start with a letter", "startsWithLetter")
+   *   .hasPattern(/\d$/, "must end with a digit", "endsWithDigit");
+   */
+  hasPattern(regexPattern, customError, name) {
+    validateRuleType(this.#schema, TYPES.STRING, "hasPattern");
+    const state = copyState(this.#schema);
+    setPatternRule(
+      state,
+      "pattern",
+      regexPattern,
+      name,
+      createMessage("PATTERN", {}, customError)
+    );
+    logCall(state, "hasPattern", [regexPattern, customError, name]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set pattern that must not be matched, tested alongside the other rules.
+   * Each call adds a pattern, with its own error message.
+   *
+   * @param {(string | RegExp)} regexPattern - The pattern to use for validation.
+   * @param {string} [customError] - Custom error message.
+   * @param {string} [name="doesNotMatch"] - The rule name reported in the failed rules.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string.
+   * @throws Throws an error when the name is an empty string.
+   *
+   * @example
+   * const schema = new Schema().doesNotMatch(/\s/, "cannot contain spaces");
+   */
+  doesNotMatch(regexPattern, customError, name) {
+    validateRuleType(this.#schema, TYPES.STRING, "doesNotMatch");
+    const state = copyState(this.#schema);
+    setPatternRule(
+      state,
+      "doesNotMatch",
+      regexPattern,
+      name,
+      createMessage("DOES_NOT_MATCH", {}, customError)
+    );
+    logCall(state, "doesNotMatch", [regexPattern, customError, name]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set number property to be greater than the given limit.
+   * @param {number} limit - The exclusive lower bound.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the limit is not a finite number.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * const schema = Schema.number().greaterThan(0);
+   */
+  greaterThan(limit, customError) {
+    validateRuleType(this.#schema, TYPES.NUMBER, "greaterThan");
+    validateType(limit, isFiniteNumber);
+
+    const state = copyState(this.#schema);
+    state.range.greaterThan = limit;
+    state.rules.greaterThan = Validators.greaterThan(
+      limit,
+      createMessage("GREATER_THAN", { limit }, customError)
+    );
+    logCall(state, "greaterThan", [limit, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set number property to be less than the given limit.
+   * @param {number} limit - The exclusive upper bound.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the limit is not a finite number.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * const schema = Schema.number().lessThan(100);
+   */
+  lessThan(limit, customError) {
+    validateRuleType(this.#schema, TYPES.NUMBER, "lessThan");
+    validateType(limit, isFiniteNumber);
+
+    const state = copyState(this.#schema);
+    state.range.lessThan = limit;
+    state.rules.lessThan = Validators.lessThan(
+      limit,
+      createMessage("LESS_THAN", { limit }, customError)
+    );
+    logCall(state, "lessThan", [limit, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set number property to be within the given inclusive range.
+   * @param {number} min - The inclusive lower bound.
+   * @param {number} max - The inclusive upper bound.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When either bound is not a finite number.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * const schema = Schema.number().between(1, 10);
+   */
+  between(min, max, customError) {
+    validateRuleType(this.#schema, TYPES.NUMBER, "between");
+    validateType(min, isFiniteNumber);
+    validateType(max, isFiniteNumber);
+
+    const state = copyState(this.#schema);
+    state.range.between = [min, max];
+    state.rules.between = Validators.between(
+      min,
+      max,
+      createMessage("BETWEEN", { min, max }, customError)
+    );
+    logCall(state, "between", [min, max, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set number property to be an integer.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * const schema = Schema.number().integer();
+   */
+  integer(customError) {
+    validateRuleType(this.#schema, TYPES.NUMBER, "integer");
+
+    const state = copyState(this.#schema);
+    state.rules.integer = Validators.integer(
+      createMessage("INTEGER", {}, customError)
+    );
+    logCall(state, "integer", [customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set number property to be greater than zero.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * const schema = Schema.number().positive();
+   */
+  positive(customError) {
+    validateRuleType(this.#schema, TYPES.NUMBER, "positive");
+
+    const state = copyState(this.#schema);
+    state.rules.positive = Validators.positive(
+      createMessage("POSITIVE", {}, customError)
+    );
+    logCall(state, "positive", [customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set number property to be a multiple of the given factor.
+   * @param {number} factor - The factor.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the factor is not a finite number.
+   * @throws {RangeError} When the factor is not greater than zero.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * const schema = Schema.number().multipleOf(0.25);
+   */
+  multipleOf(factor, customError) {
+    validateRuleType(this.#schema, TYPES.NUMBER, "multipleOf");
+    validateType(factor, isFiniteNumber);
+
+    if (factor <= 0) {
+      throw new RangeError(formatError("INVALID_FACTOR"));
+    }
+
+    const state = copyState(this.#schema);
+    state.rules.multipleOf = Validators.multipleOf(
+      factor,
+      createMessage("MULTIPLE_OF", { factor }, customError)
+    );
+    logCall(state, "multipleOf", [factor, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the maximum number of decimal places of the number property.
+   * @param {number} digits - The maximum number of decimal places.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} when value is not a number.
+   * @throws {RangeError} when value is negative.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * const schema = Schema.number().precision(2);
+   */
+  precision(digits, customError) {
+    validateRuleType(this.#schema, TYPES.NUMBER, "precision");
+    validateLength(digits);
+
+    const state = copyState(this.#schema);
+    state.rules.precision = Validators.precision(
+      digits,
+      createMessage("PRECISION", { digits }, customError)
+    );
+    logCall(state, "precision", [digits, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set date property to be before the given date.
+   * @param {(Date|string)} date - The exclusive upper bound: a Date, an ISO-8601 string,
+   *                               "now", "today" or a relative date (ex: "18 years ago").
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the date cannot be resolved.
+   * @throws Throws an error when the schema does not validate dates.
+   *
+   * @example
+   * const adults = Schema.date().before("18 years ago");
+   */
+  before(date, customError) {
+    validateRuleType(this.#schema, TYPES.DATE, "before");
+    validateDate(date);
+
+    const state = copyState(this.#schema);
+    state.range.before = date;
+    state.rules.before = Validators.before(
+      date,
+      createMessage("BEFORE", {}, customError)
+    );
+    logCall(state, "before", [date, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set date property to be after the given date.
+   * @param {(Date|string)} date - The exclusive lower bound: a Date, an ISO-8601 string,
+   *                               "now", "today" or a relative date (ex: "in 2 days").
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the date cannot be resolved.
+   * @throws Throws an error when the schema does not validate dates.
+   *
+   * @example
+   * const booking = Schema.date().after("today");
+   */
+  after(date, customError) {
+    validateRuleType(this.#schema, TYPES.DATE, "after");
+    validateDate(date);
+
+    const state = copyState(this.#schema);
+    state.range.after = date;
+    state.rules.after = Validators.after(
+      date,
+      createMessage("AFTER", {}, customError)
+    );
+    logCall(state, "after", [date, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the minimum number of items the array property should contain.
+   * Empty arrays fail the rule even when the property is not required.
+   * @param {number} count - The minimum number of items.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} when value is not a number.
+   * @throws {RangeError} when value is negative.
+   * @throws Throws an error when the schema does not validate arrays.
+   *
+   * @example
+   * const schema = Schema.array().minItems(1);
+   */
+  minItems(count, customError) {
+    validateRuleType(this.#schema, TYPES.ARRAY, "minItems");
+    validateLength(count);
+
+    const state = copyState(this.#schema);
+    state.range.minItems = count;
+    state.rules.minItems = Validators.minItems(
+      count,
+      createMessage("MIN_ITEMS", { count }, customError)
+    );
+    logCall(state, "minItems", [count, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the maximum number of items the array property should contain.
+   * @param {number} count - The maximum number of items.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} when value is not a number.
+   * @throws {RangeError} when value is negative.
+   * @throws Throws an error when the schema does not validate arrays.
+   *
+   * @example
+   * const schema = Schema.array().maxItems(5);
+   */
+  maxItems(count, customError) {
+    validateRuleType(this.#schema, TYPES.ARRAY, "maxItems");
+    validateLength(count);
+
+    const state = copyState(this.#schema);
+    state.range.maxItems = count;
+    state.rules.maxItems = Validators.maxItems(
+      count,
+      createMessage("MAX_ITEMS", { count }, customError)
+    );
+    logCall(state, "maxItems", [count, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set array property to not contain duplicate items.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws Throws an error when the schema does not validate arrays.
+   *
+   * @example
+   * const schema = Schema.array().unique();
+   */
+  unique(customError) {
+    validateRuleType(this.#schema, TYPES.ARRAY, "unique");
+
+    const state = copyState(this.#schema);
+    state.rules.unique = Validators.unique(
+      createMessage("UNIQUE", {}, customError)
+    );
+    logCall(state, "unique", [customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the schema every item of the array property is validated against.
+   * Items are only validated once the array itself is valid, and their
+   * errors are reported by item index.
+   * @param {Schema} schema - The item schema.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the item schema is not a schema.
+   * @throws Throws an error when the schema does not validate arrays.
+   *
+   * @example
+   * const tags = Schema.array().of(new Schema().min(3));
+   */
+  of(schema) {
+    validateRuleType(this.#schema, TYPES.ARRAY, "of");
+    validateSchemaInput(schema);
+
+    const state = copyState(this.#schema);
+    state.items = schema;
+    logCall(state, "of", [schema]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Remove leading and trailing whitespace before validating, so that
+   * whitespace alone does not fill in a required property.
+   * @return {Schema} The new schema instance.
+   * @throws Throws an error when the schema does not validate strings.
+   *
+   * @example
+   * const schema = new Schema().trim().isEmail();
+   */
+  trim() {
+    validateRuleType(this.#schema, TYPES.STRING, "trim");
+
+    const state = copyState(this.#schema);
+    state.transforms.push(Transforms.trim);
+    logCall(state, "trim", []);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Convert the value to lowercase before validating.
+   * @return {Schema} The new schema instance.
+   * @throws Throws an error when the schema does not validate strings.
+   *
+   * @example
+   * const schema = new Schema().trim().toLowerCase().isEmail();
+   */
+  toLowerCase() {
+    validateRuleType(this.#schema, TYPES.STRING, "toLowerCase");
+
+    const state = copyState(this.#schema);
+    state.transforms.push(Transforms.toLowerCase);
+    logCall(state, "toLowerCase", []);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Trim the value and collapse inner whitespace to single spaces before validating.
+   * @return {Schema} The new schema instance.
+   * @throws Throws an error when the schema does not validate strings.
+   *
+   * @example
+   * const schema = new Schema().normalizeWhitespace().max(50);
+   */
+  normalizeWhitespace() {
+    validateRuleType(this.#schema, TYPES.STRING, "normalizeWhitespace");
+
+    const state = copyState(this.#schema);
+    state.transforms.push(Transforms.normalizeWhitespace);
+    logCall(state, "normalizeWhitespace", []);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Convert numeric strings to numbers, so that the validated value
+   * returned is a number rather than the string entered.
+   * @return {Schema} The new schema instance.
+   * @throws Throws an error when the schema does not validate numbers.
+   *
+   * @example
+   * Schema.number().toNumber().validate("5"); // { isValid: true, errors: [], value: 5 }
+   */
+  toNumber() {
+    validateRuleType(this.#schema, TYPES.NUMBER, "toNumber");
+
+    const state = copyState(this.#schema);
+    state.transforms.push(Transforms.toNumber);
+    logCall(state, "toNumber", []);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set a user-defined rule, tested in the order it was declared alongside
+   * the built-in rules. The predicate receives the value and, when validating
+   * a form, a read-only view of the whole form. It may return a promise for
+   * checks that cannot complete synchronously, in which case the value must
+   * be validated with validateAsync. Custom rules never replace the built-in
+   * rules, even those sharing their name (ex: "digit").
+   *
+   * @param {string} name - The rule name reported in the failed rules.
+   * @param {Function} predicate - Function returning (or resolving to) true when the value is valid.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string or the predicate is not a function.
+   * @throws Throws an error the name is an empty string.
+   *
+   * @example
+   * const schema = new Schema().custom(
+   *   "notUsername",
+   *   (password, form) => !form || !password.includes(form.username),
+   *   "must not contain the username"
+   * );
+   */
+  custom(name, predicate, customError) {
+    validateStringInput(name, "Rule name");
+    validateType(predicate, isFunction);
+
+    const state = copyState(this.#schema);
+    state.rules[getCustomRuleKey(name)] = Validators.custom(
+      name,
+      predicate,
+      createMessage("CUSTOM", {}, customError)
+    );
+    logCall(state, "custom", [name, predicate, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the property to satisfy at least one of the given schemas, tested
+   * alongside the other rules. When none is satisfied, the error lists the
+   * errors of every alternative and the failed rules are reported by
+   * alternative index.
+   *
+   * @param {Schema[]} schemas - The alternatives, validating the same type.
+   * @param {string} [customError] - Custom error message, which may include
+   *                                 the errors of the alternatives with {reasons}.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When an alternative is not a schema.
+   * @throws Throws an error when there are no alternatives or their types differ.
+   *
+   * @example
+   * const postcode = new Schema()
+   *   .trim()
+   *   .anyOf([new Schema().hasPattern(UK_POSTCODE), new Schema().hasPattern(US_ZIP)]);
+   */
+  anyOf(schemas, customError) {
+    const state = copyState(this.#schema);
+    setCombinator(
+      state,
+      "anyOf",
+      schemas,
+      createMessage("ANY_OF", {}, customError)
+    );
+    logCall(state, "anyOf", [schemas, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set the property to satisfy all the given schemas, tested alongside
+   * the other rules. The error lists the errors of the failed requirements
+   * and the failed rules are reported by requirement index.
+   *
+   * @param {Schema[]} schemas - The requirements, validating the same type.
+   * @param {string} [customError] - Custom error message, which may include
+   *                                 the errors of the requirements with {reasons}.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When a requirement is not a schema.
+   * @throws Throws an error when there are no requirements or their types differ.
+   *
+   * @example
+   * const schema = new Schema().allOf([passwordRules, new Schema().doesNotMatch(/password/i)]);
+   */
+  allOf(schemas, customError) {
+    const state = copyState(this.#schema);
+    setCombinator(
+      state,
+      "allOf",
+      schemas,
+      createMessage("ALL_OF", {}, customError)
+    );
+    logCall(state, "allOf", [schemas, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Create a schema validating the values this schema does not validate.
+   * Rules added to the new schema are tested alongside the negation.
+   *
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const username = new Schema().hasPattern(/^admin$/i).not().min(3);
+   */
+  not(customError) {
+    const state = copyState(new Schema(this.#schema.type).#schema);
+    setCombinator(state, "not", [this], createMessage("NOT", {}, customError));
+    logCall(state, "not", [this, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set label to be pre-appended to the property's
+   * validation error messages
+   *
+   * @param {string} name
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = new Schema().label("abc");
+   */
+  label(name) {
+    validateStringInput(name, "Label");
+
+    const state = copyState(this.#schema);
+    state.label = name;
+    logCall(state, "label", [name]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be validated as an email address, following the
+   * RFC 5322 addr-spec grammar (ex: "first.last+tag@example.museum").
+   * @see {@link lib/email.js} for the options.
+   *
+   * @param {EmailOptions} [options] - The allowed addresses.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the options are invalid.
+   *
+   * @example
+   * const schema = new Schema().isEmail();
+   * const schema = new Schema().isEmail({ allowPlus: false, tldList: ["com"] });
+   * const schema = new Schema().isEmail("invalid email");
+   */
+  isEmail(options, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isEmail");
+    [options, customError] = getOptionsArguments(
+      "isEmail",
+      options,
+      customError
+    );
+
+    const state = copyState(this.#schema);
+    state.rules.email = Validators.email(
+      createMessage("EMAIL", {}, customError),
+      options
+    );
+    logCall(state, "isEmail", [options, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be an absolute URL with an allowed protocol and a
+   * domain name or IP address host.
+   * @param {object} [options] - The allowed URLs.
+   * @param {string[]} [options.protocols=["http", "https"]] - The allowed protocols.
+   * @param {boolean} [options.requireTLD=true] - Whether to require a top-level domain.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the options are invalid.
+   *
+   * @example
+   * const schema = new Schema().isUrl();
+   * const schema = new Schema().isUrl({ protocols: ["https", "ftp"] });
+   */
+  isUrl(options, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isUrl");
+    [options, customError] = getOptionsArguments("isUrl", options, customError);
+
+    const state = copyState(this.#schema);
+    state.rules.url = Validators.url(
+      createMessage("URL", {}, customError),
+      options
+    );
+    logCall(state, "isUrl", [options, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be a UUID.
+   * @param {number} [version] - The UUID version, from 1 to 8. Any version is
+   *                             valid when omitted.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the version is not an integer.
+   * @throws {RangeError} When the version is not from 1 to 8.
+   *
+   * @example
+   * const schema = new Schema().isUUID(4);
+   */
+  isUUID(version, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isUUID");
+    if (isString(version)) [version, customError] = [undefined, version];
+
+    if (version !== undefined) {
+      validateType(version, isNumber);
+
+      if (version < 1 || version > MAX_UUID_VERSION) {
+        throw new RangeError(formatError("INVALID_UUID_VERSION"));
+      }
+    }
+
+    const state = copyState(this.#schema);
+    state.rules.uuid = Validators.uuid(
+      version,
+      createMessage("UUID", {}, customError)
+    );
+    logCall(state, "isUUID", [version, customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be an IPv4 address in dotted decimal notation (ex: "192.168.0.1").
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = new Schema().isIPv4();
+   */
+  isIPv4(customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isIPv4");
+    const state = copyState(this.#schema);
+    state.rules.ipv4 = Validators.ipv4(createMessage("IPV4", {}, customError));
+    logCall(state, "isIPv4", [customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be an IPv6 address (ex: "2001:db8::1").
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = new Schema().isIPv6();
+   */
+  isIPv6(customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isIPv6");
+    const state = copyState(this.#schema);
+    state.rules.ipv6 = Validators.ipv6(createMessage("IPV6", {}, customError));
+    logCall(state, "isIPv6", [customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be an IPv4 or IPv6 address block in CIDR notation
+   * (ex: "192.168.0.0/24", "2001:db8::/32").
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = new Schema().isCIDR();
+   */
+  isCIDR(customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isCIDR");
+    const state = copyState(this.#schema);
+    state.rules.cidr = Validators.cidr(createMessage("CIDR", {}, customError));
+    logCall(state, "isCIDR", [customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be a phone number in the E.164 international format
+   * (ex: "+14155552671"). Use a transform to remove spaces and dashes first.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = new Schema().isPhone();
+   */
+  isPhone(customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isPhone");
+    const state = copyState(this.#schema);
+    state.rules.phone = Validators.phone(
+      createMessage("PHONE", {}, customError)
+    );
+    logCall(state, "isPhone", [customError]);
+    return Schema.#create(state);
+  }
+
+  /**
+   * Set property to be a card number passing the Luhn check, of a known
+   * brand. The number may include spaces and hyphens.
+   * @see {@link cards.js} for the brands.
+   *
+   * @param {object} [options] - The allowed cards.
+   * @param {string[]} [options.brands] - The allowed brands (ex: ["visa", "amex"]),
+   *                                      defaults to every brand.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the options are invalid or a brand is unknown.
+   *
+   * @example
+   * const schema = new Schema().isCreditCard({ brands: ["visa", "mastercard"] });
    */
-  min(length, customError) {
-    validateLength(length);
-
-    this.#schema.minimum = length;
-    this.#schema.rules.minimum = Validators.minLength(
-      length,
-      customError || Messages.MIN_LENGTH.replace("VALUE", `${length}`)
+  isCreditCard(options, customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isCreditCard");
+    [options, customError] = getOptionsArguments(
+      "isCreditCard",
+      options,
+      customError
     );
 
-    return this;
+    const state = copyState(this.#schema);
+    state.rules.creditCard = Validators.creditCard(
+      createMessage("CREDIT_CARD", {}, customError),
+      options
+    );
+    logCall(state, "isCreditCard", [options, customError]);
+    return Schema.#create(state);
   }
 
   /**
-   * Set the maximum number of characters the property should contain.
-   * @param {number} length - The maximum length.
+   * Set property to be an IBAN passing the mod-97 check, which may be
+   * written in groups (ex: "GB82 WEST 1234 5698 7654 32").
    * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
-   * @throws {TypeError} when value is not a number.
-   * @throws {RangeError} when value is negative.
+   * @return {Schema} The new schema instance.
    *
    * @example
-   * const schema = new Schema().max(4);
+   * const schema = new Schema().isIBAN();
    */
-  max(length, customError) {
-    validateLength(length);
+  isIBAN(customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isIBAN");
+    const state = copyState(this.#schema);
+    state.rules.iban = Validators.iban(createMessage("IBAN", {}, customError));
+    logCall(state, "isIBAN", [customError]);
+    return Schema.#create(state);
+  }
 
-    this.#schema.maximum = length;
-    this.#schema.rules.maximum = Validators.maxLength(
-      length,
-      customError || Messages.MAX_LENGTH.replace("VALUE", `${length}`)
+  /**
+   * Set property to be a hex color, with or without alpha (ex: "#f00", "#ff000080").
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   *
+   * @example
+   * const schema = new Schema().isHexColor();
+   */
+  isHexColor(customError) {
+    validateRuleType(this.#schema, TYPES.STRING, "isHexColor");
+    const state = copyState(this.#schema);
+    state.rules.hexColor = Validators.hexColor(
+      createMessage("HEX_COLOR", {}, customError)
     );
-
-    return this;
+    logCall(state, "isHexColor", [customError]);
+    return Schema.#create(state);
   }
 
   /**
-   * Set property to contain at least one digit.
+   * Set property to be validated.
    * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * @return {Schema} The new schema instance.
    *
    * @example
-   * const schema = new Schema().hasDigit();
+   * const schema = new Schema().isRequired();
    */
-  hasDigit(customError) {
-    this.#schema.rules.digit = Validators.digit(customError || Messages.DIGIT);
-    return this;
+  isRequired(customError) {
+    const state = copyState(this.#schema);
+    state.required = createMessage("REQUIRED", {}, customError);
+    logCall(state, "isRequired", [customError]);
+    return Schema.#create(state);
   }
 
   /**
-   * Set property to contain at least one special character.
+   * Set property validation to match the value of given property name.
+   * @param {string} name - The matching property name, or its dotted path
+   *                        from the root form (ex: "account.password").
    * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string.
+   * @throws Throws an error the name is an empty string.
    *
    * @example
-   * const schema = new Schema().hasSymbol();
+   * const schema = new Schema().matches("password");
+   * const nested = new Schema().matches("account.password");
    */
-  hasSymbol(customError) {
-    this.#schema.rules.symbol = Validators.symbol(
-      customError || Messages.SYMBOL
+  matches(name, customError) {
+    validateStringInput(name, "Matching property");
+
+    const state = copyState(this.#schema);
+    state.matchingProperty = name;
+    state.references.matchingProperty = name;
+    state.rules.matchingProperty = Validators.matches(
+      createMessage("MATCHING", { property: name }, customError)
     );
-    return this;
+    logCall(state, "matches", [name, customError]);
+    return Schema.#create(state);
   }
 
   /**
-   * Set property to contain at least one uppercase character
+   * Set property validation to match the value of given property name
+   * regardless of case. Unlike matches, other rules are still applied.
+   * @param {string} name - The matching property name, or its dotted path
+   *                        from the root form (ex: "account.email").
    * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string.
+   * @throws Throws an error the name is an empty string.
    *
    * @example
-   * const schema = new Schema().hasUppercase();
+   * const schema = new Schema().max(254).matchesIgnoreCase("email");
    */
-  hasUppercase(customError) {
-    this.#schema.rules.uppercase = Validators.uppercase(
-      customError || Messages.UPPERCASE
+  matchesIgnoreCase(name, customError) {
+    const state = copyState(this.#schema);
+    setReferenceRule(
+      state,
+      "matchesIgnoreCase",
+      name,
+      createMessage("MATCHING", { property: name }, customError)
     );
-    return this;
+    logCall(state, "matchesIgnoreCase", [name, customError]);
+    return Schema.#create(state);
   }
 
   /**
-   * Set property to contain at least one lowercase character
+   * Set property validation to be greater than the value of given property name.
+   * Numbers and dates are compared by value, and strings alphabetically.
+   * @param {string} name - The property name, or its dotted path from the root form.
    * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string.
+   * @throws Throws an error the name is an empty string.
    *
    * @example
-   * const schema = new Schema().hasLowercase();
+   * const schema = Schema.number().greaterThanField("minimumPrice");
    */
-  hasLowercase(customError) {
-    this.#schema.rules.lowercase = Validators.lowercase(
-      customError || Messages.LOWERCASE
+  greaterThanField(name, customError) {
+    const state = copyState(this.#schema);
+    setReferenceRule(
+      state,
+      "greaterThanField",
+      name,
+      createMessage("GREATER_THAN_FIELD", { property: name }, customError)
     );
-    return this;
+    logCall(state, "greaterThanField", [name, customError]);
+    return Schema.#create(state);
   }
 
   /**
-   * Set custom pattern to be matched. Once set, this pattern is the only
-   * rule that will be tested.
-   *
-   * @param {(string | RegExp)} regexPattern - The pattern to use for validation.
+   * Set property validation to be less than the value of given property name.
+   * Numbers and dates are compared by value, and strings alphabetically.
+   * @param {string} name - The property name, or its dotted path from the root form.
    * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string.
+   * @throws Throws an error the name is an empty string.
    *
    * @example
-   * const schemaWithRegex = new Schema().hasPattern(/abc/);
-   * const schemaWithString = new Schema().hasPattern("abc");
+   * const schema = Schema.date().lessThanField("trip.returnDate");
    */
-  hasPattern(regexPattern, customError) {
-    this.#schema.rules.pattern = Validators.pattern(
-      regexPattern,
-      customError || Messages.PATTERN
+  lessThanField(name, customError) {
+    const state = copyState(this.#schema);
+    setReferenceRule(
+      state,
+      "lessThanField",
+      name,
+      createMessage("LESS_THAN_FIELD", { property: name }, customError)
     );
-    return this;
+    logCall(state, "lessThanField", [name, customError]);
+    return Schema.#create(state);
   }
 
   /**
-   * Set label to be pre-appended to the property's
-   * validation error messages
-   *
-   * @param {string} name
-   * @return {Schema} The current schema instance.
+   * Set property validation to differ from the value of given property name.
+   * @param {string} name - The property name, or its dotted path from the root form.
+   * @param {string} [customError] - Custom error message.
+   * @return {Schema} The new schema instance.
+   * @throws {TypeError} When the name is not a string.
+   * @throws Throws an error the name is an empty string.
    *
    * @example
-   * const schema = new Schema().label("abc");
+   * const schema = new Schema().min(8).notEqualTo("currentPassword");
    */
-  label(name) {
-    validateStringInput(name, "Label");
+  notEqualTo(name, customError) {
+    const state = copyState(this.#schema);
+    setReferenceRule(
+      state,
+      "notEqualTo",
+      name,
+      createMessage("NOT_EQUAL_TO", { property: name }, customError)
+    );
+    logCall(state, "notEqualTo", [name, customError]);
+    return Schema.#create(state);
+  }
 
-    this.#schema.label = name;
-    return this;
+  get matchingProperty() {
+    return this.#schema.matchingProperty;
   }
 
   /**
-   * Set property to be validated as an email address.
-   * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * The names of the properties whose values the rules compare against.
+   * @returns {string[]} The referenced property names or dotted paths.
+   */
+  get references() {
+    const { references, combinators } = this.#schema;
+
+    // Alternatives may compare with other properties too
+    const branchReferences = combinators.reduce(
+      (names, { schemas }) =>
+        names.concat(...schemas.map((schema) => schema.references)),
+      []
+    );
+    return [...new Set([...Object.values(references), ...branchReferences])];
+  }
+
+  get type() {
+    return this.#schema.type;
+  }
+
+  get dependsOn() {
+    const { condition } = this.#schema;
+    return condition && condition.fieldName;
+  }
+
+  /**
+   * Get the schema to validate a form property with, given its sibling
+   * values. Only conditional schemas resolve to another schema.
+   * @param {object} [values={}] - The sibling property values.
+   * @returns {Schema} The resolved schema.
    *
    * @example
-   * const schema = new Schema().isEmail();
+   * Schema.when("a", "b", thenSchema).resolve({ a: "b" }); // thenSchema
    */
-  isEmail(customError) {
-    this.#schema.rules.email = Validators.email(customError || Messages.EMAIL);
-    return this;
+  resolve(values = {}) {
+    const { condition } = this.#schema;
+    if (!condition) return this;
+
+    const { fieldName, predicate, thenSchema, otherwiseSchema } = condition;
+    const value = getPath(values, fieldName);
+    const isSatisfied = isFunction(predicate)
+      ? predicate(value, values)
+      : value === predicate;
+
+    return (isSatisfied ? thenSchema : otherwiseSchema).resolve(values);
   }
 
   /**
-   * Set property to be validated.
-   * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
+   * Describe the schema: its type and the rules in declared order, with the
+   * arguments they were set with. Conditional schemas are described by their
+   * condition and branches.
+   *
+   * @returns {object} The schema description.
    *
    * @example
-   * const schema = new Schema().isRequired();
+   * new Schema().min(4, "too short").describe();
+   * // { type: "string", rules: [{ name: "min", args: [4, "too short"] }] }
    */
-  isRequired(customError) {
-    this.#schema.required = customError || Messages.REQUIRED;
-    return this;
+  describe() {
+    const { type, calls, condition } = this.#schema;
+
+    if (condition) {
+      const { fieldName, predicate, thenSchema, otherwiseSchema } = condition;
+      return {
+        type,
+        when: {
+          field: fieldName,
+          is: predicate,
+          then: thenSchema,
+          otherwise: otherwiseSchema,
+        },
+      };
+    }
+
+    return {
+      type,
+      rules: calls.map(({ name, args }) => ({ name, args: [...args] })),
+    };
   }
 
   /**
-   * Set property validation to match the value of given property name.
-   * @param {string} name - The matching property name.
-   * @param {string} [customError] - Custom error message.
-   * @return {Schema} The current schema instance.
-   * @throws {TypeError} When the name is not a string.
-   * @throws Throws an error the name is an empty string.
+   * Get the JSON representation of the schema, the description with
+   * JSON arguments: regex patterns are represented as { regex, flags },
+   * dates as { date } and schemas, including combined ones, as their
+   * JSON representation.
+   * Called by JSON.stringify.
+   * @see {@link Schema#describe} for the description.
+   *
+   * @returns {object} The JSON representation.
+   * @throws Throws an error when a rule cannot be serialized, such as
+   *         custom rules and conditions with a predicate function.
    *
    * @example
-   * const schema = new Schema().matches("password");
+   * new Schema().hasPattern(/^[a-z]+$/i).toJSON();
+   * // { type: "string", rules: [{ name: "hasPattern", args: [{ regex: "^[a-z]+$", flags: "i" }] }] }
    */
-  matches(name, customError) {
-    validateStringInput(name, "Matching property");
+  toJSON() {
+    const { type, rules, when } = this.describe();
 
-    this.#schema.matchingProperty = name;
-    this.#schema.rules.matchingProperty = Validators.matches(
-      customError || Messages.MATCHING.replace("PROPERTY", name)
-    );
-    return this;
-  }
+    if (when) {
+      if (isFunction(when.is)) {
+        throw new Error(formatError("UNSERIALIZABLE_RULE", { rule: "when" }));
+      }
 
-  get matchingProperty() {
-    return this.#schema.matchingProperty;
+      return {
+        type,
+        when: {
+          ...when,
+          then: when.then.toJSON(),
+          otherwise: when.otherwise.toJSON(),
+        },
+      };
+    }
+
+    return {
+      type,
+      rules: rules.map(({ name, args }) => ({
+        name,
+        args: encodeArguments(name, args),
+      })),
+    };
   }
 
   /**
@@ -224,38 +1771,51 @@ export default class Schema {
    *
    * @returns {object} New object containing the schema rules.
    * @throws When minimum length is greater than maximum length
+   * @throws When the number, date or item count range rules cannot be satisfied together
    * @throws When minimum or maximum length is less than the number
    *         of required characters.
+   * @throws When the schema is conditional and must be resolved first.
    */
   validateSchema() {
+    if (this.#schema.condition) {
+      throw new Error(formatError("CONDITIONAL_SCHEMA"));
+    }
+
     const {
+      type,
       label,
       rules,
       maximum,
       minimum,
       required,
+      references,
+      transforms,
       matchingProperty,
     } = this.#schema;
 
     if (matchingProperty) {
       return {
+        type,
         label,
         required,
         matchingProperty,
         rules: [rules.matchingProperty],
+        references: [matchingProperty],
+        transforms,
       };
     }
 
-    if (rules.pattern) {
-      return { label, required, rules: [rules.pattern] };
+    if (minimum > maximum) {
+      throw new Error(formatError("INVALID_MIN_OVER_MAX"));
     }
 
-    if (rules.email) {
-      return { label, required, rules: [rules.email] };
+    if (hasEmptyRange(this.#schema)) {
+      throw new Error(formatError("INVALID_RANGE"));
     }
 
-    if (minimum > maximum) {
-      throw new Error(Errors.INVALID_MIN_OVER_MAX);
+    const { minItems, maxItems } = this.#schema.range;
+    if (minItems > maxItems) {
+      throw new Error(formatError("INVALID_RANGE"));
     }
 
     /* Explicitly set minimum length is less than the minimum number of characters
@@ -263,37 +1823,493 @@ export default class Schema {
      * are also expected. This produces a conflict because for lower and upper to be valid,
      * there has to be at least 2 characters--not the 1 set by the minimum rule.
      */
-    const requiredChars = getMinimumRequiredCharacters(rules);
+    const requiredChars = getMinimumRequiredCharacters(this.#schema.counts);
     if (minimum < requiredChars || maximum < requiredChars) {
-      throw new Error(Errors.INVALID_MIN_MAX);
+      throw new Error(formatError("INVALID_MIN_MAX"));
     }
 
-    // Remove min and max properties because they are no longer needed.
-    delete this.#schema.minimum;
-    delete this.#schema.maximum;
-    const schema = { ...this.#schema, rules: Object.values(rules) };
+    // Leave out the min and max properties because they are no longer needed.
+    const state = { ...this.#schema };
+    delete state.minimum;
+    delete state.maximum;
+    const schema = {
+      ...state,
+      rules: Object.values(rules),
+      references: Object.keys(rules).map((key) => references[key]),
+      combinators: this.#schema.combinators.map((combinator) => ({
+        ...combinator,
+        schemas: combinator.schemas.map((branch) => branch.validateSchema()),
+      })),
+    };
+
+    if (schema.items) {
+      schema.items = schema.items.validateSchema();
+    }
 
     return schema;
   }
 
   /**
+   * Validate a value against the schema.
+   * @param {(string|number|Date|Array)} value - The value to validate.
+   * @param {ValidationOptions} [options] - The validation configurations.
+   * @returns {PropertyValidationResponse} Object with validation results.
+   * @throws {TypeError} When the value is not a single property value.
+   * @see {@link validate.js} for the validation options.
+   *
+   * @example
+   * const { isValid, errors } = new Schema().min(4).validate("abc");
+   */
+  validate(value, options) {
+    if (isPlainObject(value)) {
+      throw new TypeError(formatError("INVALID_VALUE_TYPE"));
+    }
+    return validate(value, this, options);
+  }
+
+  /**
+   * Check whether a value satisfies the schema.
+   * @param {(string|number|Date|Array)} value - The value to check.
+   * @returns {boolean} Whether the value is valid.
    *
-   * @param {*} value
-   * @param {*} options
+   * @example
+   * new Schema().hasDigit().isValid("abc1"); // true
+   */
+  isValid(value) {
+    return this.validate(value).isValid;
+  }
+
+  /**
+   * Validate a value and throw when it is invalid.
+   * @param {(string|number|Date|Array)} value - The value to validate.
+   * @param {ValidationOptions} [options] - The validation configurations.
+   * @returns {(string|number|Date|Array)} The validated value.
+   * @throws {ValidationError} When the value fails validation, with the
+   *                           errors and failed rules attached.
+   *
+   * @example
+   * new Schema().hasDigit().assert("abc"); // ValidationError
    */
-  validate(value, options) {}
+  assert(value, options) {
+    const { isValid, errors, failedRules } = this.validate(value, {
+      ...options,
+      includeRules: true,
+    });
+
+    if (!isValid) {
+      throw new ValidationError(errors, failedRules);
+    }
+    return value;
+  }
 }
 
+/************************************
+ *        Symbolic Constants
+ ************************************/
+const SCHEMA_TYPES = [TYPES.STRING, TYPES.NUMBER, TYPES.DATE, TYPES.ARRAY];
+const MAX_UUID_VERSION = 8;
+
+/** The checks of the option values of the rules taking options, by rule method. */
+const RULE_OPTIONS = {
+  isEmail: {
+    allowPlus: isBoolean,
+    allowIDN: isBoolean,
+    allowIP: isBoolean,
+    requireTLD: isBoolean,
+    tldList: isStringArray,
+  },
+  isUrl: { protocols: isStringArray, requireTLD: isBoolean },
+  isCreditCard: {
+    brands: (brands) =>
+      isStringArray(brands) &&
+      brands.every((brand) => CARD_BRANDS.hasOwnProperty(brand)),
+  },
+};
+
+// Message keys of the rules registered with Schema.extend, by method name
+const registeredRules = {};
+
+// Methods that can be called from the JSON representation of a schema
+const RULE_METHODS = [
+  "min",
+  "max",
+  "multiline",
+  "hasDigit",
+  "hasSymbol",
+  "hasUppercase",
+  "hasLowercase",
+  "maxRepeatedChars",
+  "noSequentialChars",
+  "strength",
+  "hasPattern",
+  "doesNotMatch",
+  "greaterThan",
+  "lessThan",
+  "between",
+  "integer",
+  "positive",
+  "multipleOf",
+  "precision",
+  "before",
+  "after",
+  "minItems",
+  "maxItems",
+  "unique",
+  "of",
+  "trim",
+  "toLowerCase",
+  "normalizeWhitespace",
+  "toNumber",
+  "label",
+  "isEmail",
+  "isUrl",
+  "isUUID",
+  "isIPv4",
+  "isIPv6",
+  "isCIDR",
+  "isPhone",
+  "isCreditCard",
+  "isIBAN",
+  "isHexColor",
+  "isRequired",
+  "matches",
+  "matchesIgnoreCase",
+  "greaterThanField",
+  "lessThanField",
+  "notEqualTo",
+  "anyOf",
+  "allOf",
+  "not",
+];
+
 /************************************
  *         Helper Functions
  ************************************/
 
-function getMinimumRequiredCharacters(rules) {
-  let characters = Object.keys(rules).length;
+/**
+ * Copy the state of a schema, including the objects the rule methods change.
+ * @param {object} schema - The schema state.
+ * @returns {object} The new schema state.
+ */
+function copyState(schema) {
+  return {
+    ...schema,
+    rules: { ...schema.rules },
+    range: { ...schema.range },
+    counts: { ...schema.counts },
+    lengths: { ...schema.lengths },
+    calls: [...schema.calls],
+    references: { ...schema.references },
+    transforms: [...schema.transforms],
+    combinators: [...schema.combinators],
+  };
+}
+
+/**
+ * Freeze the state of a schema and the objects the rule methods change.
+ * @param {object} schema - The schema state.
+ * @returns {object} The frozen schema state.
+ */
+function freezeState(schema) {
+  Object.values(schema).forEach((value) => {
+    if (isPlainObject(value) || Array.isArray(value)) Object.freeze(value);
+  });
+  return Object.freeze(schema);
+}
+
+/**
+ * Record a call to a rule method, for the JSON representation of the schema.
+ * @param {object} schema - The schema state.
+ * @param {string} name - The name of the method.
+ * @param {Array} args - The arguments given to the method.
+ * @returns {void} Nothing.
+ */
+function logCall(schema, name, args) {
+  schema.calls.push({ name, args });
+}
+
+/**
+ * Convert the arguments of a rule method to JSON values, leaving out
+ * the omitted optional arguments.
+ * @param {string} name - The name of the method.
+ * @param {Array} args - The arguments given to the method.
+ * @returns {Array} The JSON values.
+ * @throws Throws an error when an argument is a function.
+ */
+function encodeArguments(name, args) {
+  const values = [...args];
+  while (values.length && values[values.length - 1] === undefined) {
+    values.pop();
+  }
+
+  return values.map(function encode(value) {
+    if (isFunction(value)) {
+      throw new Error(formatError("UNSERIALIZABLE_RULE", { rule: name }));
+    }
+    if (Array.isArray(value)) return value.map(encode);
+    if (value instanceof RegExp) {
+      return { regex: value.source, flags: value.flags };
+    }
+    if (isDate(value)) return { date: value.toISOString() };
+    if (value instanceof Schema) return value.toJSON();
+    return value === undefined ? null : value;
+  });
+}
+
+/**
+ * Convert a JSON argument of a rule method back to its value.
+ * @param {*} value - The JSON value.
+ * @returns {*} The argument.
+ */
+function decodeArgument(value) {
+  if (value === null) return undefined;
+  if (Array.isArray(value)) return value.map(decodeArgument);
+  if (!isPlainObject(value)) return value;
+
+  if (isString(value.regex)) return new RegExp(value.regex, value.flags);
+  if (isString(value.date)) return new Date(value.date);
+  // Options objects are kept as is, schemas have a type
+  return isString(value.type) ? Schema.fromJSON(value) : value;
+}
+
+/**
+ * Count the characters a value needs to satisfy the character rules.
+ * @param {object} counts - The minimum number of characters of each character
+ *                          rule and registered rule.
+ * @returns {number} The minimum number of characters required.
+ */
+function getMinimumRequiredCharacters(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Get the options and custom error of a rule taking options, which may be
+ * given the custom error only (ex: isEmail("invalid email")).
+ * @param {string} rule - The name of the rule method.
+ * @param {(object|string)} [options] - The options, or the custom error.
+ * @param {string} [customError] - The custom error.
+ * @returns {Array} The options and the custom error.
+ * @throws {TypeError} When the options are not an object, have unknown
+ *                     keys or invalid values.
+ */
+function getOptionsArguments(rule, options, customError) {
+  if (isString(options)) return [undefined, options];
+  if (options === undefined) return [options, customError];
+
+  const checks = RULE_OPTIONS[rule];
+  const isValid =
+    isPlainObject(options) &&
+    Object.keys(options).every(
+      (key) => checks.hasOwnProperty(key) && checks[key](options[key])
+    );
+
+  if (!isValid) {
+    throw new TypeError(formatError("INVALID_OPTIONS", { rule }));
+  }
+  return [options, customError];
+}
+
+/**
+ * Get the count and custom error of a character rule, which may be given
+ * the custom error only (ex: hasDigit("needs a digit")).
+ * @param {(number|string)} [count] - The minimum number of characters, or the custom error.
+ * @param {string} [customError] - The custom error.
+ * @returns {Array} The count, defaulting to 1, and the custom error.
+ * @throws {TypeError} When the count is not an integer.
+ * @throws {RangeError} When the count is less than 1.
+ */
+function getCountArguments(count, customError) {
+  if (isString(count)) return [1, count];
+  if (count === undefined) return [1, customError];
+
+  validateType(count, isNumber);
+  if (count < 1) {
+    throw new RangeError(formatError("INVALID_COUNT"));
+  }
+  return [count, customError];
+}
+
+/**
+ * Check whether the number or date range rules leave no valid value.
+ * For ex: greaterThan(10) and between(1, 10), or greaterThan(1), lessThan(2)
+ * and integer.
+ * @param {object} schema - The schema state.
+ * @returns {boolean} Whether no value satisfies every range rule.
+ */
+function hasEmptyRange({ range, rules }) {
+  const { greaterThan, lessThan, between = [] } = range;
+
+  // Compare dates by time, resolving relative dates from the same moment
+  const now = new Date();
+  const getTime = (date) => date && resolveDate(date, now).getTime();
+
+  let lowerBounds = [
+    { value: greaterThan, exclusive: true },
+    { value: between[0], exclusive: false },
+    { value: rules.positive ? 0 : undefined, exclusive: true },
+    { value: getTime(range.after), exclusive: true },
+  ].filter(({ value }) => value !== undefined);
+
+  let upperBounds = [
+    { value: lessThan, exclusive: true },
+    { value: between[1], exclusive: false },
+    { value: getTime(range.before), exclusive: true },
+  ].filter(({ value }) => value !== undefined);
+
+  // Integer ranges are bounded by the nearest integers within the bounds
+  if (rules.integer) {
+    lowerBounds = lowerBounds.map(({ value, exclusive }) => ({
+      value: exclusive ? Math.floor(value) + 1 : Math.ceil(value),
+      exclusive: false,
+    }));
+    upperBounds = upperBounds.map(({ value, exclusive }) => ({
+      value: exclusive ? Math.ceil(value) - 1 : Math.floor(value),
+      exclusive: false,
+    }));
+  }
+
+  return lowerBounds.some((lower) =>
+    upperBounds.some(
+      (upper) =>
+        lower.value > upper.value ||
+        (lower.value === upper.value && (lower.exclusive || upper.exclusive))
+    )
+  );
+}
+
+/**
+ * Set a rule comparing the property with another property of the form.
+ * @param {object} schema - The schema data.
+ * @param {string} rule - The name of the rule.
+ * @param {string} name - The referenced property name or dotted path.
+ * @param {string} errorMessage - The error message of the rule.
+ * @returns {void} Nothing.
+ * @throws {TypeError} When the name is not a string.
+ * @throws Throws an error when the name is an empty string.
+ */
+function setReferenceRule(schema, rule, name, errorMessage) {
+  validateStringInput(name, "Referenced property");
+
+  schema.references[rule] = name;
+  schema.rules[rule] = Validators[rule](errorMessage);
+}
+
+/**
+ * Set the minimum and maximum length rules of a schema, counting line
+ * breaks in multiline mode.
+ * @param {object} schema - The schema data.
+ * @returns {void} Nothing.
+ */
+function setLengthRules(schema) {
+  const { lengths, multiline = false } = schema;
+
+  if (lengths.minimum) {
+    schema.rules.minimum = Validators.minLength(...lengths.minimum, multiline);
+  }
+  if (lengths.maximum) {
+    schema.rules.maximum = Validators.maxLength(...lengths.maximum, multiline);
+  }
+}
+
+/**
+ * Set a rule testing the property against a pattern. Patterns are added
+ * rather than replaced, so rules sharing a name are stored under a
+ * numbered key (ex: "pattern2").
+ * @param {object} schema - The schema data.
+ * @param {string} rule - The name of the validator ("pattern" or "doesNotMatch").
+ * @param {(string | RegExp)} regexPattern - The pattern to use for validation.
+ * @param {string} [name] - The rule name reported in the failed rules,
+ *                        defaults to the name of the validator.
+ * @param {string} errorMessage - The error message of the rule.
+ * @returns {void} Nothing.
+ * @throws {TypeError} When the name is not a string.
+ * @throws Throws an error when the name is an empty string.
+ */
+function setPatternRule(schema, rule, regexPattern, name, errorMessage) {
+  if (name === undefined) name = rule;
+  validateStringInput(name, "Rule name");
+
+  let key = name;
+  for (let count = 2; schema.rules[key]; count++) {
+    key = `${name}${count}`;
+  }
+  schema.rules[key] = Validators[rule](regexPattern, errorMessage, name);
+}
+
+/**
+ * Get the key of a user-defined rule in the rules of a schema, set apart
+ * from the keys of the built-in rules.
+ * @param {string} name - The rule name reported in the failed rules.
+ * @returns {string} The rule key (ex: "custom:available").
+ */
+function getCustomRuleKey(name) {
+  return `custom:${name}`;
+}
+
+/**
+ * Set a rule combining the property schema with other schemas.
+ * @param {object} schema - The schema data.
+ * @param {string} name - The name of the combinator ("anyOf", "allOf" or "not").
+ * @param {Schema[]} schemas - The combined schemas.
+ * @param {MessageDescriptor} errorMessage - The error message of the rule.
+ * @returns {void} Nothing.
+ * @throws {TypeError} When a combined value is not a schema.
+ * @throws Throws an error when there are no schemas or their types differ.
+ */
+function setCombinator(schema, name, schemas, errorMessage) {
+  if (getCombinatorType(schemas, name) !== schema.type) {
+    throw new Error(formatError("COMBINATOR_SCHEMAS", { rule: name }));
+  }
+  schema.combinators.push({ name, schemas: [...schemas], errorMessage });
+}
+
+/**
+ * Get the type validated by all the combined schemas.
+ * @param {Schema[]} schemas - The combined schemas.
+ * @param {string} [name="anyOf"] - The name of the combinator.
+ * @returns {string} The type.
+ * @throws {TypeError} When a combined value is not a schema.
+ * @throws Throws an error when there are no schemas or their types differ.
+ */
+function getCombinatorType(schemas, name = "anyOf") {
+  if (!Array.isArray(schemas) || !schemas.length) {
+    throw new Error(formatError("COMBINATOR_SCHEMAS", { rule: name }));
+  }
+  schemas.forEach(validateSchemaInput);
+
+  const [{ type }] = schemas;
+  if (schemas.some((schema) => schema.type !== type)) {
+    throw new Error(formatError("COMBINATOR_SCHEMAS", { rule: name }));
+  }
+  return type;
+}
+
+/**
+ * Check that a rule can be used with the type of the schema.
+ * @param {object} schema - The schema state.
+ * @param {string} type - The type the rule validates.
+ * @param {string} rule - The name of the rule.
+ * @returns {void} Nothing.
+ * @throws Throws an error when the schema validates another type.
+ */
+function validateRuleType(schema, type, rule) {
+  if (schema.type !== type) {
+    throw new Error(
+      formatError("INVALID_RULE_TYPE", { rule, type: schema.type })
+    );
+  }
+}
 
-  if (rules.minimum) characters--;
-  if (rules.maximum) characters--;
-  return characters;
+/**
+ * Validate date bounds.
+ * @param {(Date|string)} value - The value to be validated.
+ * @returns {void} Nothing.
+ * @throws {TypeError} When the value cannot be resolved to a date.
+ */
+function validateDate(value) {
+  if (!isDateDescription(value)) {
+    throw new TypeError(formatError("INVALID_DATE"));
+  }
 }
 
 /**
@@ -308,10 +2324,83 @@ function validateLength(value) {
 
   // Validate range
   if (value < 0) {
-    throw new RangeError(Errors.INVALID_NUMBER);
+    throw new RangeError(formatError("INVALID_NUMBER"));
+  }
+}
+
+/**
+ * Validate schema arguments.
+ * @param {Schema} value - The value to be validated.
+ * @returns {void} Nothing.
+ * @throws {TypeError} When the given value is not a schema.
+ */
+function validateSchemaInput(value) {
+  if (!(value instanceof Schema)) {
+    throw new TypeError(formatError("INVALID_SCHEMA_TYPE"));
+  }
+}
+
+/**
+ * Validate the definition of a rule registered with Schema.extend.
+ * @param {RuleDefinition} definition - The definition.
+ * @returns {void} Nothing.
+ * @throws {TypeError} When the definition is not an object, or has a value
+ *                     of the wrong type or an unsupported schema type.
+ * @throws Throws an error when the name is empty or already a schema method,
+ *         or when the message key is taken.
+ */
+function validateRuleDefinition(definition) {
+  const {
+    name,
+    factory,
+    message,
+    arity = 0,
+    minChars = 0,
+    type = TYPES.STRING,
+  } = isPlainObject(definition) ? definition : {};
+
+  const isValid =
+    isString(name) &&
+    isFunction(factory) &&
+    isString(message) &&
+    Number.isInteger(arity) &&
+    arity >= 0 &&
+    (isNumber(minChars) || isFunction(minChars)) &&
+    SCHEMA_TYPES.includes(type);
+
+  if (!isValid) {
+    throw new TypeError(formatError("INVALID_RULE_DEFINITION"));
+  }
+
+  validateStringInput(name, "Rule name");
+  if (name in Schema.prototype) {
+    throw new Error(formatError("RULE_EXISTS", { rule: name }));
+  }
+
+  const key = getMessageKey(name);
+  if (key in Messages || Object.values(registeredRules).includes(key)) {
+    throw new Error(formatError("MESSAGE_KEY_EXISTS", { key }));
   }
 }
 
+/**
+ * Check whether a rule was registered with Schema.extend.
+ * @param {string} name - The name of the rule method.
+ * @returns {boolean} Whether the rule is registered.
+ */
+function isRegisteredRule(name) {
+  return Object.prototype.hasOwnProperty.call(registeredRules, name);
+}
+
+/**
+ * Get the message key of a registered rule.
+ * @param {string} name - The name of the rule method.
+ * @returns {string} The prefixed name in constant case (ex: "RULE_IS_SKU" for "isSku").
+ */
+function getMessageKey(name) {
+  return `RULE_${name.replace(/([a-z\d])([A-Z])/g, "$1_$2").toUpperCase()}`;
+}
+
 /**
  * Validate property names.
  * @param {string} value - The value to be validated.
@@ -325,6 +2414,6 @@ function validateStringInput(value, propertyName) {
 
   // Empty validation
   if (isEmptyString(value)) {
-    throw new Error(Errors.EMPTY_PROPERTY.replace("PROPERTY", propertyName));
+    throw new Error(formatError("EMPTY_PROPERTY", { property: propertyName }));
   }
 }
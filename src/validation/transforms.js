@@ -0,0 +1,62 @@
+/**
+ * Exports the transforms cleaning property values before they are validated.
+ * Transforms leave values they cannot apply to (ex: trimming a number) unchanged.
+ * @module transforms
+ */
+
+import { isString } from "./utils";
+import { EMPTY_VALUE, REGEX_PATTERNS } from "./constants";
+
+/**
+ * Remove leading and trailing whitespace.
+ * @param {*} value - The value to transform.
+ * @returns {*} The transformed value.
+ *
+ * @example
+ * trim(" abc@def.com "); // "abc@def.com"
+ */
+export function trim(value) {
+  return isString(value) ? value.trim() : value;
+}
+
+/**
+ * Convert all the characters to lowercase.
+ * @param {*} value - The value to transform.
+ * @returns {*} The transformed value.
+ *
+ * @example
+ * toLowerCase("Abc@Def.com"); // "abc@def.com"
+ */
+export function toLowerCase(value) {
+  return isString(value) ? value.toLowerCase() : value;
+}
+
+/**
+ * Trim and collapse every sequence of whitespace to a single space.
+ * @param {*} value - The value to transform.
+ * @returns {*} The transformed value.
+ *
+ * @example
+ * normalizeWhitespace("  John \n Doe "); // "John Doe"
+ */
+export function normalizeWhitespace(value) {
+  return isString(value) ? value.trim().replace(/\s+/g, " ") : value;
+}
+
+/**
+ * Convert numeric strings to numbers. Empty strings are kept empty and
+ * other strings are left for the number rule to report.
+ * @param {*} value - The value to transform.
+ * @returns {*} The transformed value.
+ *
+ * @example
+ * toNumber(" 1.5 "); // 1.5
+ * toNumber("abc"); // "abc"
+ */
+export function toNumber(value) {
+  if (!isString(value)) return value;
+
+  const trimmed = value.trim();
+  if (trimmed === EMPTY_VALUE) return EMPTY_VALUE;
+  return REGEX_PATTERNS.number.test(trimmed) ? Number(trimmed) : value;
+}
@@ -2,7 +2,26 @@
  * @module utils
  */
 
-import { ERROR_MESSAGES as Errors, EMPTY_VALUE, TYPES } from "./constants";
+import { TYPES, EMPTY_VALUE, REGEX_PATTERNS } from "./constants";
+import { formatError } from "./locale";
+
+/************************************
+ *        Symbolic Constants
+ ************************************/
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const RELATIVE_DATES = ["now", "today"];
+// RFC 1035 length limits
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+const MILLISECONDS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+// Older browsers lack Intl.Segmenter, see getTextLength
+const segmenter =
+  typeof Intl.Segmenter === TYPES.FUNCTION ? new Intl.Segmenter() : null;
 
 /**
  * Check value type.
@@ -55,6 +74,59 @@ export function isEmptyString(value) {
   return value === EMPTY_VALUE;
 }
 
+/**
+ * Count the characters of a string as displayed (grapheme clusters), so
+ * an emoji or a letter with combining accents counts as one. Without
+ * Intl.Segmenter, code points are counted instead.
+ * @param {string} value - The string.
+ * @param {boolean} [countLineBreaks=true] - Whether to count the line breaks,
+ *                                           "\r\n" counting as one.
+ * @returns {number} The number of characters.
+ */
+export function getTextLength(value, countLineBreaks = true) {
+  const text = countLineBreaks
+    ? `${value}`
+    : `${value}`.replace(REGEX_PATTERNS.lineBreak, EMPTY_VALUE);
+
+  return segmenter ? [...segmenter.segment(text)].length : [...text].length;
+}
+
+/**
+ * Build a regular expression that can be tested repeatedly.
+ * Global and sticky expressions resume from their last match, so the same
+ * value would alternately pass and fail: those flags are dropped.
+ * @param {(RegExp|string)} pattern - The regular expression or its source.
+ * @returns {RegExp} A regular expression without the g and y flags.
+ */
+export function getRegExp(pattern) {
+  const regex = new RegExp(pattern);
+  return new RegExp(regex.source, regex.flags.replace(/[gy]/g, EMPTY_VALUE));
+}
+
+/**
+ * Count the characters of a string matching a pattern.
+ * @param {string} value - The string.
+ * @param {(RegExp|string)} characters - The pattern of a single character, or
+ *                                      the characters to count (ex: "-_").
+ * @returns {number} The number of matching characters.
+ */
+export function countCharacters(value, characters) {
+  return [...`${value}`].filter((character) =>
+    isString(characters)
+      ? characters.includes(character)
+      : characters.test(character)
+  ).length;
+}
+
+/**
+ * Check whether value is an array of strings.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is an array of strings.
+ */
+export function isStringArray(value) {
+  return Array.isArray(value) && value.every(isString);
+}
+
 /**
  * Check whether value is of type object.
  * @param {*} value - The value to be checked.
@@ -64,6 +136,67 @@ export function isObject(value) {
   return typeof value === TYPES.OBJECT && value !== null;
 }
 
+/**
+ * Check whether value is a plain object, such as a form, rather
+ * than an array, a date or another class instance.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a plain object.
+ */
+export function isPlainObject(value) {
+  if (!isObject(value)) return false;
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Get the value at a dotted path (ex: "address.postcode") of an object.
+ * @param {object} object - The object to read from.
+ * @param {string} path - The dotted path.
+ * @returns {*} The value, or undefined when the path does not exist.
+ */
+export function getPath(object, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, property) =>
+        isObject(value) && Object.prototype.hasOwnProperty.call(value, property)
+          ? value[property]
+          : undefined,
+      object
+    );
+}
+
+/**
+ * Set the value at a dotted path of an object, creating the nested objects needed.
+ * @param {object} object - The object to set the value in.
+ * @param {string} path - The dotted path.
+ * @param {*} value - The new value.
+ * @returns {object} A new object with the value set, leaving the given one unchanged.
+ *
+ * @example
+ * setPath({ a: { b: 1 } }, "a.c", 2); // { a: { b: 1, c: 2 } }
+ */
+export function setPath(object, path, value) {
+  const [property, ...nestedPath] = path.split(".");
+
+  return {
+    ...object,
+    [property]: nestedPath.length
+      ? setPath(object[property] || {}, nestedPath.join("."), value)
+      : value,
+  };
+}
+
+/**
+ * Check whether value is an empty string or an empty array.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is empty.
+ */
+export function isEmptyValue(value) {
+  return isEmptyString(value) || (Array.isArray(value) && value.length === 0);
+}
+
 /**
  * Check whether value is of type number.
  * @param {*} value - The value to be checked.
@@ -73,13 +206,290 @@ export function isNumber(value) {
   return typeof value === TYPES.NUMBER && Number.isInteger(value);
 }
 
+/**
+ * Check whether value is a finite number, integer or not.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a finite number.
+ */
+export function isFiniteNumber(value) {
+  return typeof value === TYPES.NUMBER && Number.isFinite(value);
+}
+
+/**
+ * Count the decimal places of a number, including those
+ * written in exponential notation (ex: 1e-7).
+ * @param {number} value - The number.
+ * @returns {number} The number of decimal places.
+ */
+export function getDecimalPlaces(value) {
+  const [coefficient, exponent = 0] = `${value}`.split("e");
+  const decimals = (coefficient.split(".")[1] || EMPTY_VALUE).length;
+
+  return Math.max(0, decimals - Number(exponent));
+}
+
+/**
+ * Check whether value is an IPv4 address in dotted decimal notation (ex: "192.168.0.1").
+ * @param {string} value - The value to be checked.
+ * @returns {boolean} Whether value is an IPv4 address.
+ */
+export function isIPv4(value) {
+  return REGEX_PATTERNS.ipv4.test(value);
+}
+
+/**
+ * Check whether value is an IPv6 address, which may be compressed
+ * (ex: "::1") or end with an IPv4 address (ex: "::ffff:192.168.0.1").
+ * @param {string} value - The value to be checked.
+ * @returns {boolean} Whether value is an IPv6 address.
+ */
+export function isIPv6(value) {
+  const address = `${value}`;
+  const halves = address.split("::");
+  if (halves.length > 2) return false;
+
+  const groups = halves
+    .filter((half) => half !== EMPTY_VALUE)
+    .reduce((all, half) => [...all, ...half.split(":")], []);
+
+  // An IPv4 address ending the address counts as two groups, and is the
+  // last group only when the address does not end with "::" (ex: "1.2.3.4::")
+  let count = groups.length;
+  if (count && isIPv4(groups[count - 1]) && !address.endsWith("::")) {
+    groups.pop();
+    count += 1;
+  }
+
+  return (
+    groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group)) &&
+    (halves.length === 2 ? count < 8 : count === 8)
+  );
+}
+
+/**
+ * Check whether value is a domain name (ex: "example.com").
+ * @param {string} value - The value to be checked.
+ * @param {object} [options={}] - The allowed domain names.
+ * @param {boolean} [options.allowIDN=true] - Whether to allow labels of any letters (ex: "bücher.de").
+ * @param {boolean} [options.requireTLD=true] - Whether to require a top-level domain (ex: rejects "localhost").
+ * @returns {boolean} Whether value is a domain name.
+ */
+export function isDomainName(
+  value,
+  { allowIDN = true, requireTLD = true } = {}
+) {
+  const domain = `${value}`;
+  const labels = domain.split(".");
+  const tld = labels[labels.length - 1];
+  const label = allowIDN ? REGEX_PATTERNS.idnLabel : REGEX_PATTERNS.label;
+
+  return (
+    domain.length <= MAX_DOMAIN_LENGTH &&
+    labels.every(
+      (name) => name.length <= MAX_LABEL_LENGTH && label.test(name)
+    ) &&
+    (!requireTLD ||
+      (labels.length > 1 &&
+        (allowIDN ? REGEX_PATTERNS.idnTld : REGEX_PATTERNS.tld).test(tld)))
+  );
+}
+
+/**
+ * Check whether value is a Date object, valid or not.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a Date.
+ */
+export function isDate(value) {
+  return value instanceof Date;
+}
+
+/**
+ * Check whether value is a Date object representing an actual time.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a valid Date.
+ */
+export function isValidDate(value) {
+  return isDate(value) && !Number.isNaN(value.getTime());
+}
+
+/**
+ * Parse an ISO-8601 date (2020-02-29) or date-time (2020-02-29T13:45:00Z).
+ * Date-times without an offset are read in local time, as are dates.
+ * @param {string} value - The string to parse.
+ * @returns {?Date} The date, or null when the string is not an ISO-8601
+ *                  date or describes an impossible date (ex: 2023-02-30).
+ */
+export function parseISODate(value) {
+  const match = REGEX_PATTERNS.isoDate.exec(value);
+  if (!match) return null;
+
+  const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match
+    .slice(1, 7)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  const milliseconds = Number(`0.${match[7] || 0}`) * 1000;
+  const offset = match[8];
+
+  if (
+    month < 1 ||
+    month > 12 ||
+    day < 1 ||
+    day > getDaysInMonth(year, month) ||
+    hours > 23 ||
+    minutes > 59 ||
+    seconds > 59
+  ) {
+    return null;
+  }
+
+  const date = new Date(0);
+  if (!offset) {
+    date.setFullYear(year, month - 1, day);
+    date.setHours(hours, minutes, seconds, milliseconds);
+    return date;
+  }
+
+  date.setUTCFullYear(year, month - 1, day);
+  date.setUTCHours(hours, minutes, seconds, milliseconds);
+  date.setTime(date.getTime() - getOffsetMinutes(offset) * MILLISECONDS.minute);
+  return date;
+}
+
+/**
+ * Check whether value describes a date: a Date object, an ISO-8601 string,
+ * "now", "today" or a relative date such as "18 years ago" or "in 2 days".
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value can be resolved to a date.
+ */
+export function isDateDescription(value) {
+  if (isDate(value)) return isValidDate(value);
+  if (!isString(value)) return false;
+
+  return isRelativeDate(value) || parseISODate(value) !== null;
+}
+
+/**
+ * Check whether value is a date relative to the current moment: "now",
+ * "today" or a relative date such as "18 years ago".
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a relative date.
+ */
+export function isRelativeDate(value) {
+  return (
+    isString(value) &&
+    (RELATIVE_DATES.includes(value) || REGEX_PATTERNS.relativeDate.test(value))
+  );
+}
+
+/**
+ * Resolve a date description to a date.
+ * @param {(Date|string)} value - The date description.
+ * @param {Date} [now=new Date()] - The moment relative dates are resolved from.
+ * @returns {Date} The resolved date.
+ * @see isDateDescription for the supported descriptions.
+ */
+export function resolveDate(value, now = new Date()) {
+  if (isDate(value)) return value;
+  if (value === "now") return new Date(now.getTime());
+
+  if (value === "today") {
+    const today = new Date(now.getTime());
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }
+
+  const match = REGEX_PATTERNS.relativeDate.exec(value);
+  if (!match) return parseISODate(value);
+
+  // Either "<amount> <unit>s ago|from now" or "in <amount> <unit>s"
+  const [amount, unit, direction] = match[1]
+    ? match.slice(1, 4)
+    : [match[4], match[5], "from now"];
+  const sign = direction.toLowerCase() === "ago" ? -1 : 1;
+
+  return addToDate(now, sign * Number(amount), unit.toLowerCase());
+}
+
+/**
+ * Format a date for error messages: the local date (2020-02-29)
+ * at midnight, or the full ISO-8601 date-time otherwise.
+ * @param {Date} date - The date to format.
+ * @param {boolean} [dateOnly=false] - Whether to leave the time out, as for
+ *                                     relative dates (ex: "18 years ago").
+ * @returns {string} The formatted date.
+ */
+export function formatDate(date, dateOnly = false) {
+  const isMidnight =
+    date.getHours() +
+      date.getMinutes() +
+      date.getSeconds() +
+      date.getMilliseconds() ===
+    0;
+
+  if (!isMidnight && !dateOnly) return date.toISOString();
+
+  const month = `${date.getMonth() + 1}`.padStart(2, "0");
+  const day = `${date.getDate()}`.padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Check whether value can be compared with another property's value.
+ * @param {*} value - The value to check.
+ * @return {boolean} True when value is a non-empty string, a number or a valid date.
+ */
+export function isComparable(value) {
+  return (
+    (isString(value) && !isEmptyString(value)) ||
+    isFiniteNumber(value) ||
+    isValidDate(value)
+  );
+}
+
+/**
+ * Compare two values of the same type.
+ * @param {(string|number|Date)} a - The first value.
+ * @param {(string|number|Date)} b - The second value.
+ * @return {number} A negative number when a is smaller, a positive number when
+ *                  a is greater, 0 when equal and NaN when they are not comparable.
+ *
+ * @example
+ * compareValues(new Date(2020, 0, 2), new Date(2020, 0, 1)); // 1
+ */
+export function compareValues(a, b) {
+  const first = toComparable(a);
+  const second = toComparable(b);
+
+  if (first === second) return 0;
+  if (first < second) return -1;
+  if (first > second) return 1;
+  return NaN;
+}
+
+/**
+ * Check whether value is a function.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a function.
+ */
+export function isFunction(value) {
+  return typeof value === TYPES.FUNCTION;
+}
+
+/**
+ * Check whether value is a promise or any other thenable.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a thenable.
+ */
+export function isPromise(value) {
+  return (isObject(value) || isFunction(value)) && isFunction(value.then);
+}
+
 /**
  * Generate a custom TypeError error message.
  * @param {string} type - The name of data type.
  * @return {string} The custom error message.
  */
 export function generateTypeError(type) {
-  return Errors.INVALID_TYPE.replace("TYPE", type);
+  return formatError("INVALID_TYPE", { type });
 }
 
 /**
@@ -89,3 +499,63 @@ export function generateTypeError(type) {
 export function capitalize(value) {
   return value[0].toUpperCase() + value.slice(1);
 }
+
+/************************************
+ *         Helper Functions
+ ************************************/
+
+/**
+ * Get the number of days in a month of the proleptic Gregorian calendar.
+ * @param {number} year - The year.
+ * @param {number} month - The month, from 1 to 12.
+ * @returns {number} The number of days.
+ */
+function getDaysInMonth(year, month) {
+  const isLeapYear = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  return month === 2 && isLeapYear ? 29 : DAYS_IN_MONTH[month - 1];
+}
+
+/**
+ * Convert an ISO-8601 offset (Z, +05:30, -0800) to minutes.
+ * @param {string} offset - The offset.
+ * @returns {number} The offset in minutes.
+ */
+function getOffsetMinutes(offset) {
+  if (offset.toUpperCase() === "Z") return 0;
+
+  const digits = offset.replace(":", EMPTY_VALUE);
+  const minutes = Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3));
+  return digits[0] === "-" ? -minutes : minutes;
+}
+
+/**
+ * Add an amount of time to a date, using calendar arithmetic for
+ * months and years (ex: one month after January 31st is March 2nd or 3rd).
+ * @param {Date} date - The date to add to.
+ * @param {number} amount - The amount of units to add (negative to subtract).
+ * @param {string} unit - The unit of time.
+ * @returns {Date} The new date.
+ */
+function addToDate(date, amount, unit) {
+  const result = new Date(date.getTime());
+
+  if (unit === "year") {
+    result.setFullYear(result.getFullYear() + amount);
+  } else if (unit === "month") {
+    result.setMonth(result.getMonth() + amount);
+  } else if (unit === "day") {
+    result.setDate(result.getDate() + amount);
+  } else {
+    result.setTime(result.getTime() + amount * MILLISECONDS[unit]);
+  }
+  return result;
+}
+
+/**
+ * Convert value to a primitive that can be compared with relational operators.
+ * @param {(string|number|Date)} value - The value to convert.
+ * @return {(string|number)} The timestamp of dates or the value itself.
+ */
+function toComparable(value) {
+  return isDate(value) ? value.getTime() : value;
+}
@@ -1,10 +1,40 @@
 /**
- * Exports a function to validate a property or form based on a given schema.
+ * Exports functions to validate a property or form based on a given schema.
  * @module validate
  */
 
-import { isString, isObject, isEmptyString } from "./utils";
-import { NO_ERRORS, ERROR_MESSAGES as Errors } from "./constants";
+import FormSchema from "./formSchema";
+import { StaleValidationError } from "./errors";
+import {
+  isString,
+  isObject,
+  isPromise,
+  isEmptyValue,
+  isEmptyObject,
+  isEmptyString,
+  isFiniteNumber,
+  isDate,
+  isValidDate,
+  parseISODate,
+  isPlainObject,
+  getPath,
+  setPath,
+} from "./utils";
+import {
+  TYPES,
+  NO_ERRORS,
+  EMPTY_VALUE,
+  REGEX_PATTERNS,
+  UNKNOWN_KEYS,
+  MISSING_KEYS,
+} from "./constants";
+import {
+  createMessage,
+  formatError,
+  formatList,
+  renderMessage,
+  setMessageParams,
+} from "./locale";
 
 /**
  * The validation configurations.
@@ -14,21 +44,58 @@ import { NO_ERRORS, ERROR_MESSAGES as Errors } from "./constants";
  *                                           the name of the validator and value the associating error message.
  * @property {boolean} [abortEarly=false] - Configuration indicating whether
  *                                          to stop validation at the first invalid rule.
+ * @property {string} [locale] - The locale of the error messages. Defaults to the
+ *                               locale set with setLocale.
+ * @property {boolean} [structuredErrors=false] - Configuration for returning errors as
+ *                                               ValidationErrorDetail objects instead of messages.
+ * @property {string} [unknownKeys="error"] - Policy for form properties without a schema:
+ *                                           "error" throws, "strip" leaves them out of the
+ *                                           values and "allow" returns them as is.
+ * @property {string} [missingKeys="validate-as-empty"] - Policy for form schema properties missing
+ *                                                       from the form: "validate-as-empty" validates
+ *                                                       them as empty values and "error" throws.
+ *                                                       Missing properties used to be skipped, so
+ *                                                       partial forms (ex: PATCH requests) must now
+ *                                                       be validated with FormSchema#partial.
+ * @property {string} [validationId] - The id of the field or form validated by validateAsync
+ *                                     (ex: "signup.email"). A newer validation with the same
+ *                                     id makes the pending one stale; results of validations
+ *                                     without an id are never stale.
  */
 
 /**
- *  The response from validating a form.
+ * The detail of a validation error, returned with the structuredErrors option.
+ * @typedef {Object} ValidationErrorDetail
+ * @property {string} rule - The name of the failed rule, as reported in failedRules (ex: "min").
+ * @property {string} code - The stable code of the error, the VALIDATION_ERROR_MESSAGES
+ *                           key of its message (ex: "MIN_LENGTH").
+ * @property {string} message - The error message in the locale of the validation.
+ * @property {Object<string,*>} params - The rule arguments in the message (ex: { length: 5 }).
+ * @property {string} path - The dotted path of the property (ex: "tags.2"), empty
+ *                           for the validated value itself.
+ */
+
+/**
+ *  The response from validating a form. Properties of nested forms
+ *  are reported under their dotted path (ex: "address.postcode").
  * @typedef {Object} FormValidationResponse
  * @property {boolean} isValid - Property detailing whether the form validated successfully.
- * @property {Object<string,string[]>} errors - The errors present in the form.
+ * @property {Object<string,(string[]|Object<number,string[]>)>} errors - The errors present in the form.
+ * @property {Object<string, *>} values - The form values after their transforms (ex: trim), with
+ *                                       valid number and date properties parsed.
  */
 
 /**
  * The response from validating a single property.
  * @typedef {Object} PropertyValidationResponse
  * @property {boolean} isValid - Property detailing whether the value was validated successfully.
- * @property {string[]} errors - The errors present in the property.
+ * @property {(string[]|Object<number,string[]>)} errors - The errors present in the property, or
+ *                                                         the errors of each invalid array item by index.
+ *                                                         Errors are ValidationErrorDetail objects with
+ *                                                         the structuredErrors option.
  * @property {Object} [failedRules] - The names of all the failed validation rules.
+ * @property {*} value - The value after its transforms (ex: trim). Valid numbers
+ *                      and dates are returned parsed (ex: 5 for "5").
  */
 
 /************************************
@@ -38,33 +105,116 @@ const DEFAULT_OPTIONS = {
   abortEarly: false,
   includeRules: false,
   includeLabel: false,
+  structuredErrors: false,
+  unknownKeys: UNKNOWN_KEYS.ERROR,
+  missingKeys: MISSING_KEYS.VALIDATE_AS_EMPTY,
+};
+const CUSTOM_ERROR_CODE = "CUSTOM";
+
+/**
+ * Functions checking whether a combinator is satisfied by the responses
+ * from validating its schemas.
+ */
+const COMBINATORS = {
+  anyOf: (responses) => responses.some(({ isValid }) => isValid),
+  allOf: (responses) => responses.every(({ isValid }) => isValid),
+  not: ([response]) => !response.isValid,
 };
 
 /**
- * Validate a form or string value based on corresponding schema.
- * @param {(string|Object<string,string>)} value - The string or form to validate.
- * @param {Object<string,Function> | Function} schema - The corresponding schema.
+ * The latest pending asynchronous validation run of each property, keyed
+ * by the validation id supplied by the caller. Schemas are shared, so their
+ * identity cannot tell two fields apart. Finished runs are removed, so that
+ * ids built per row or item are not kept forever.
+ * @type {Map<string, Object<string,object>>}
+ */
+const pendingValidations = new Map();
+
+/**
+ * Validate a form or single value based on corresponding schema.
+ * @param {(string|number|Object<string,string>)} value - The value or form to validate.
+ * @param {(Schema|FormSchema|Object<string,*>)} schema - The corresponding schema, or form schema.
  * @param {ValidationOptions} [options] - The validation configurations.
  * @returns {( FormValidationResponse | PropertyValidationResponse)} Object with validation results.
- * @throws {TypeError} When given value is neither an object (form) nor a string (single property).
+ * @throws {TypeError} When given value is neither an object (form) nor a value
+ *                     of the type validated by the schema (single property).
+ * @throws Error when the schema contains asynchronous rules.
  */
 export default function validate(value, schema, options = DEFAULT_OPTIONS) {
-  if (isString(value)) {
-    return validateProperty(value, validateSchema(schema), options);
+  if (isPropertyValue(value)) {
+    // Single values have no other properties to compare with
+    const propertySchema = getMatchingSchema(validateSchema(schema), {});
+    return validateProperty(value, propertySchema, options);
+  }
+
+  if (isObject(value)) {
+    return validateForm(value, getFormShape(schema), options);
+  }
+
+  // Given value is neither a single value nor a form
+  throw new TypeError(formatError("INVALID_VALUE_TYPE"));
+}
+
+/**
+ * Validate a form or string value based on a corresponding schema that may
+ * contain asynchronous rules. Form properties are validated concurrently.
+ *
+ * @async
+ * @param {(string|number|Object<string,string>)} value - The value or form to validate.
+ * @param {(Schema|FormSchema|Object<string,*>)} schema - The corresponding schema, or form schema.
+ * @param {ValidationOptions} [options] - The validation configurations.
+ * @returns {Promise<( FormValidationResponse | PropertyValidationResponse)>} Object with validation results.
+ * @throws {TypeError} When given value is neither an object (form) nor a value
+ *                     of the type validated by the schema (single property).
+ * @throws {StaleValidationError} When a newer validation with the same
+ *                                validationId option started before this one completed.
+ *
+ * @example
+ * const { isValid } = await validateAsync("username", schema);
+ */
+export async function validateAsync(value, schema, options = DEFAULT_OPTIONS) {
+  if (isPropertyValue(value)) {
+    const propertySchema = getMatchingSchema(validateSchema(schema), {});
+    return runValidation(options.validationId, EMPTY_VALUE, () =>
+      validatePropertyAsync(value, propertySchema, options)
+    );
   }
 
   if (isObject(value)) {
-    return validateForm(value, schema, options);
+    return validateFormAsync(value, getFormShape(schema), options);
   }
 
   // Given value is neither a single value nor a form
-  throw new TypeError(Errors.INVALID_VALUE_TYPE);
+  throw new TypeError(formatError("INVALID_VALUE_TYPE"));
 }
 
 /************************************
  *         Helper Functions
  ************************************/
 
+/**
+ * Check whether value is a single property value rather than a form.
+ * @param {*} value - The value to be checked.
+ * @returns {boolean} Whether value is a string, number, date or array.
+ */
+function isPropertyValue(value) {
+  return (
+    isString(value) ||
+    typeof value === TYPES.NUMBER ||
+    isDate(value) ||
+    Array.isArray(value)
+  );
+}
+
+/**
+ * Get the property schemas of a form schema.
+ * @param {(FormSchema|Object<string, *>)} formSchema - The form schema, or its property schemas.
+ * @returns {Object<string, *>} The property schemas.
+ */
+function getFormShape(formSchema) {
+  return formSchema instanceof FormSchema ? formSchema.shape : formSchema;
+}
+
 /**
  * Validate entire form based on given schema.
  * @param {Object<string, string>} form - The form to validate.
@@ -73,68 +223,308 @@ export default function validate(value, schema, options = DEFAULT_OPTIONS) {
  * @returns {...FormValidationResponse}
  */
 function validateForm(form, formSchema, options) {
-  let formIsValid = true;
+  form = addMissingProperties(form, formSchema, options);
+  const view = getFormView(form);
+  const properties = getFormProperties(form, formSchema, form, options);
+  const responses = properties.map(({ value, schema }) =>
+    schema
+      ? validateProperty(value, schema, options, view)
+      : getPropertyResponse([], {}, options, value)
+  );
 
-  const formErrors = {};
-  const formFailedRules = {};
+  return getFormResponse(properties, responses, options);
+}
 
-  // Check that schema matches form and validate
-  let schema, errors, isValid, failedRules;
-  Object.keys(form).forEach((property) => {
-    // Throw error if property does not have corresponding schema
-    schema = formSchema[property];
-    if (!schema) {
-      throw new Error(Errors.FORM_SCHEMA_MISMATCH);
+/**
+ * Validate entire form based on given schema, running the validation of
+ * every property concurrently.
+ * @async
+ * @param {Object<string, string>} form - The form to validate.
+ * @param {Object<string, Function>} formSchema - The corresponding schema.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {Promise<FormValidationResponse>}
+ * @throws {StaleValidationError} When any property is superseded by a newer validation.
+ */
+async function validateFormAsync(form, formSchema, options) {
+  form = addMissingProperties(form, formSchema, options);
+  const view = getFormView(form);
+  const properties = getFormProperties(form, formSchema, form, options);
+
+  const responses = await Promise.all(
+    properties.map(async ({ path, value, schema }) => {
+      if (!schema) return getPropertyResponse([], {}, options, value);
+
+      return runValidation(options.validationId, path, () =>
+        validatePropertyAsync(value, schema, options, view)
+      );
+    })
+  );
+
+  return getFormResponse(properties, responses, options);
+}
+
+/**
+ * A form property to validate.
+ * @typedef {Object} FormProperty
+ * @property {string} path - The dotted path of the property from the root form.
+ * @property {*} value - The property value.
+ * @property {?object} schema - The validated schema of the property, or null for
+ *                              properties allowed without a schema.
+ */
+
+/**
+ * Add the form schema properties missing from a form, and from its nested
+ * forms, as empty values.
+ * @param {Object<string, *>} form - The (nested) form.
+ * @param {Object<string, *>} formSchema - The corresponding schema.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {string} [parentPath] - The dotted path of the nested form.
+ * @returns {Object<string, *>} The form with every schema property.
+ * @throws Error when a property is missing and the missingKeys option is "error".
+ */
+function addMissingProperties(form, formSchema, options, parentPath) {
+  const { missingKeys = DEFAULT_OPTIONS.missingKeys } = options;
+
+  return Object.keys(formSchema).reduce((result, property) => {
+    const path = parentPath ? `${parentPath}.${property}` : property;
+    const value = form[property];
+    const schema = formSchema[property];
+
+    if (value === undefined) {
+      if (missingKeys === MISSING_KEYS.ERROR) {
+        throw new Error(formatError("MISSING_PROPERTY", { property: path }));
+      }
+      return { ...result, [property]: getEmptyValue(schema, options, path) };
     }
 
-    // Check if current schema has corresponding property and
-    // set current schema to test for matching value
-    schema = validateSchema(schema);
-    if (schema.matchingProperty) {
-      schema = getMatchingSchema(schema, form);
+    if (isPlainObject(schema) && isPlainObject(value)) {
+      return {
+        ...result,
+        [property]: addMissingProperties(value, schema, options, path),
+      };
     }
-    // Validate properties and set errors
-    ({ isValid, errors, failedRules } = validateProperty(
-      form[property],
-      schema,
-      options
-    ));
+    return result;
+  }, form);
+}
+
+/**
+ * Get the empty value of a missing form property.
+ * @param {*} schema - The schema, or form schema, of the property.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {string} path - The dotted path of the property.
+ * @returns {*} An empty string, array or nested form.
+ */
+function getEmptyValue(schema, options, path) {
+  if (isPlainObject(schema)) {
+    return addMissingProperties({}, schema, options, path);
+  }
+  return schema && schema.type === TYPES.ARRAY ? [] : EMPTY_VALUE;
+}
+
+/**
+ * List the properties of a form and of its nested forms.
+ * @param {Object<string, *>} form - The (nested) form to list.
+ * @param {Object<string, *>} formSchema - The corresponding schema.
+ * @param {Object<string, *>} root - The root form, against which matching
+ *                                   properties are resolved.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {string} [parentPath] - The dotted path of the nested form.
+ * @returns {FormProperty[]} The properties to validate.
+ * @throws Error when the form and schema do not match, or a property has
+ *         no schema and the unknownKeys option is "error".
+ */
+function getFormProperties(form, formSchema, root, options, parentPath) {
+  const { unknownKeys = DEFAULT_OPTIONS.unknownKeys } = options;
+
+  return Object.keys(form).reduce((properties, property) => {
+    const path = parentPath ? `${parentPath}.${property}` : property;
+    const value = form[property];
+    const schema = formSchema[property];
+
+    if (schema === undefined && unknownKeys === UNKNOWN_KEYS.STRIP) {
+      return properties;
+    }
+
+    if (schema === undefined && unknownKeys === UNKNOWN_KEYS.ALLOW) {
+      return [...properties, { path, value, schema: null }];
+    }
+
+    if (!isPlainObject(schema)) {
+      return [
+        ...properties,
+        { path, value, schema: getPropertySchema(schema, form, root) },
+      ];
+    }
+
+    // Nested form schemas can only validate nested forms
+    if (!isPlainObject(value)) {
+      throw new Error(formatError("FORM_SCHEMA_MISMATCH"));
+    }
+    return [
+      ...properties,
+      ...getFormProperties(value, schema, root, options, path),
+    ];
+  }, []);
+}
+
+/**
+ * Get the validated schema of a form property.
+ * @param {object} schema - The schema of the property.
+ * @param {Object<string, *>} siblings - The (nested) form containing the property.
+ * @param {Object<string, *>} root - The root form to validate.
+ * @returns {object} The validated schema of the property.
+ * @throws Error when the property does not have a corresponding schema.
+ */
+function getPropertySchema(schema, siblings, root) {
+  // Throw error if property does not have corresponding schema
+  if (!schema) {
+    throw new Error(formatError("FORM_SCHEMA_MISMATCH"));
+  }
+
+  // Resolve conditional schemas from the sibling values
+  if (schema.dependsOn) {
+    schema = schema.resolve(siblings);
+  }
+
+  // Set the rules comparing with other properties to test against their values
+  return getMatchingSchema(validateSchema(schema), root);
+}
+
+/**
+ * Create a deeply frozen copy of a form, for rules to read from.
+ * @param {*} form - The form, or any of its values.
+ * @returns {*} The read-only copy.
+ */
+function getFormView(form) {
+  if (Array.isArray(form)) {
+    return Object.freeze(form.map(getFormView));
+  }
+
+  if (isPlainObject(form)) {
+    const view = {};
+    Object.keys(form).forEach((property) => {
+      view[property] = getFormView(form[property]);
+    });
+    return Object.freeze(view);
+  }
+  return form;
+}
+
+/**
+ * Combine the validation responses of every form property.
+ * @param {FormProperty[]} properties - The form properties.
+ * @param {PropertyValidationResponse[]} responses - The response of each property.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {FormValidationResponse} The form validation response.
+ */
+function getFormResponse(properties, responses, options) {
+  let formIsValid = true;
+
+  let formValues = {};
+  const formErrors = {};
+  const formFailedRules = {};
+
+  responses.forEach(({ isValid, errors, failedRules, value }, index) => {
+    const { path } = properties[index];
+    formValues = setPath(formValues, path, value);
 
     if (!isValid) {
       formIsValid = false;
-      formErrors[property] = [...errors];
-      formFailedRules[property] = { ...failedRules };
+      formErrors[path] = setErrorPath(errors, path, options);
+      formFailedRules[path] = failedRules;
     }
   });
 
   return !options.includeRules
-    ? { isValid: formIsValid, errors: { ...formErrors } }
+    ? { isValid: formIsValid, errors: { ...formErrors }, values: formValues }
     : {
         isValid: formIsValid,
         errors: { ...formErrors },
         failedRules: { ...formFailedRules },
+        values: formValues,
       };
 }
 
 /**
- * Generate special schema for property that matches to another form property.
+ * Run an asynchronous validation of a property, superseding the previous
+ * runs with the same validation id.
+ * @async
+ * @param {string} [validationId] - The id of the validated field or form.
+ * @param {string} property - The property path, empty for a single value.
+ * @param {Function} validation - Function starting the validation and
+ *                                returning its promise.
+ * @returns {Promise<PropertyValidationResponse>} The validation response.
+ * @throws {StaleValidationError} When a newer run started before this one completed.
+ */
+async function runValidation(validationId, property, validation) {
+  if (validationId === undefined) return validation();
+
+  if (!pendingValidations.has(validationId)) {
+    pendingValidations.set(validationId, {});
+  }
+
+  const runs = pendingValidations.get(validationId);
+  const run = {};
+  runs[property] = run;
+
+  // Whether the run is still the latest, forgetting it once finished
+  const endRun = () => {
+    if (runs[property] !== run) return false;
+
+    delete runs[property];
+    if (isEmptyObject(runs)) pendingValidations.delete(validationId);
+    return true;
+  };
+
+  let response;
+  try {
+    response = await validation();
+  } catch (error) {
+    endRun();
+    throw error;
+  }
+
+  if (!endRun()) throw new StaleValidationError(property || undefined);
+  return response;
+}
+
+/**
+ * Generate special schema for property that is compared with other form properties
+ * (ex: matches, greaterThanField). The referenced values are parsed as the type
+ * of the current property before being given to the rules.
  * @param {object} schema - The schema for the current property.
- * @param {Object<string, string>} form - The form to validate.
- * @returns {Object} New schema with the matching property's value as a rule.
- * @throws Error when no matching property is found.
+ * @param {Object<string, *>} form - The root form to validate, from which
+ *                                   the dotted referenced paths are resolved.
+ * @returns {Object} New schema with the referenced properties' values set in the rules.
+ * @throws Error when a referenced property is not found.
  */
 function getMatchingSchema(schema, form) {
-  const { matchingProperty } = schema;
-  const matchingValue = form[matchingProperty];
+  const { references = [] } = schema;
 
-  if (!isString(matchingValue)) {
-    throw new Error(
-      Errors.NO_MATCHING_PROPERTY.replace("PROPERTY", matchingProperty)
-    );
-  }
+  const rules = schema.rules.map((rule, index) => {
+    const property = references[index];
+    if (!property) return rule;
+
+    const value = getPath(form, property);
+    if (value === undefined || isPlainObject(value)) {
+      throw new Error(formatError("NO_MATCHING_PROPERTY", { property }));
+    }
+
+    // Compare values cleaned the same way (ex: both trimmed)
+    return rule(parseValue(transformValue(value, schema), schema.type));
+  });
 
-  schema.rules[0] = schema.rules[0](matchingValue);
-  return { ...schema };
+  const { combinators = [] } = schema;
+  return {
+    ...schema,
+    rules,
+    combinators: combinators.map((combinator) => ({
+      ...combinator,
+      schemas: combinator.schemas.map((branch) =>
+        getMatchingSchema(branch, form)
+      ),
+    })),
+  };
 }
 
 /**
@@ -142,30 +532,258 @@ function getMatchingSchema(schema, form) {
  * @param {string} value - The value to be validated.
  * @param {object} schema - The corresponding schema.
  * @param {ValidationOptions} options - The validation configurations.
+ * @param {Object<string, string>} [form] - Read-only view of the form being validated.
  * @returns {PropertyValidationResponse} An object with validation status and error messages.
  */
-function validateProperty(value, schema, options) {
+function validateProperty(value, schema, options, form) {
   const errors = [];
   const failedRules = {};
-  const { includeRules } = options;
+  value = transformValue(value, schema);
+  const parsedValue = parseValue(value, schema.type);
 
-  // Empty non-required properties are fine.
-  if (!schema.required && isEmptyString(value)) {
-    return !includeRules
-      ? { isValid: true, errors }
-      : { isValid: true, errors, failedRules };
+  if (
+    testRequired(parsedValue, schema, errors, failedRules, options) &&
+    testType(parsedValue, schema, errors, failedRules, options)
+  ) {
+    testRules(parsedValue, schema, errors, failedRules, options, form);
+    testCombinators(value, schema, errors, failedRules, options, form);
+
+    // Items are only validated once the array itself is valid
+    if (schema.items && errors.length === NO_ERRORS) {
+      const itemOptions = { ...options, includeRules: true };
+      const responses = parsedValue.map((item) =>
+        validateProperty(item, schema.items, itemOptions, form)
+      );
+
+      return getItemsResponse(responses, options);
+    }
   }
+  return getPropertyResponse(
+    errors,
+    failedRules,
+    options,
+    getResponseValue(value, parsedValue, errors)
+  );
+}
 
-  // Required property and empty value
-  if (schema.required && isEmptyString(value)) {
-    errors.push(schema.required);
-    failedRules.required = true;
+/**
+ * Validate property value based on a given schema that may contain
+ * asynchronous rules.
+ * @async
+ * @param {string} value - The value to be validated.
+ * @param {object} schema - The corresponding schema.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {Object<string, string>} [form] - Read-only view of the form being validated.
+ * @returns {Promise<PropertyValidationResponse>} An object with validation status and error messages.
+ */
+async function validatePropertyAsync(value, schema, options, form) {
+  const errors = [];
+  const failedRules = {};
+  value = transformValue(value, schema);
+  const parsedValue = parseValue(value, schema.type);
+
+  if (
+    testRequired(parsedValue, schema, errors, failedRules, options) &&
+    testType(parsedValue, schema, errors, failedRules, options)
+  ) {
+    await testRulesAsync(
+      parsedValue,
+      schema,
+      errors,
+      failedRules,
+      options,
+      form
+    );
+    await testCombinatorsAsync(
+      value,
+      schema,
+      errors,
+      failedRules,
+      options,
+      form
+    );
+
+    // Items are only validated once the array itself is valid
+    if (schema.items && errors.length === NO_ERRORS) {
+      const itemOptions = { ...options, includeRules: true };
+      const responses = await Promise.all(
+        parsedValue.map((item) =>
+          validatePropertyAsync(item, schema.items, itemOptions, form)
+        )
+      );
+
+      return getItemsResponse(responses, options);
+    }
   }
+  return getPropertyResponse(
+    errors,
+    failedRules,
+    options,
+    getResponseValue(value, parsedValue, errors)
+  );
+}
 
-  testRules(value, schema, errors, failedRules, options);
-  return !includeRules
-    ? { isValid: errors.length === NO_ERRORS, errors }
-    : { isValid: errors.length === NO_ERRORS, errors, failedRules };
+/**
+ * Build the response from validating the items of an array property.
+ * @param {PropertyValidationResponse[]} responses - The response of each item.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {PropertyValidationResponse} An object with validation status, the items after
+ *                                       their transforms and, when invalid, the error
+ *                                       messages by item index.
+ */
+function getItemsResponse(responses, options) {
+  const value = responses.map((response) => response.value);
+
+  if (responses.every(({ isValid }) => isValid)) {
+    return getPropertyResponse([], {}, options, value);
+  }
+
+  const errors = {};
+  const failedRules = {};
+
+  responses.forEach((response, index) => {
+    if (!response.isValid) {
+      errors[index] = setErrorPath(response.errors, `${index}`, options);
+      failedRules[index] = response.failedRules;
+    }
+  });
+  return getPropertyResponse(errors, failedRules, options, value);
+}
+
+/**
+ * Get the value returned from validating a property: the parsed number or
+ * date of valid non-empty properties, the value after its transforms otherwise.
+ * @param {*} value - The value after its transforms.
+ * @param {*} parsedValue - The value converted to the type of its schema.
+ * @param {string[]} errors - The errors of the property.
+ * @returns {*} The response value.
+ */
+function getResponseValue(value, parsedValue, errors) {
+  return errors.length === NO_ERRORS && !isEmptyValue(parsedValue)
+    ? parsedValue
+    : value;
+}
+
+/**
+ * Apply the transforms of the schema (ex: trim) to a property value.
+ * @param {*} value - The value to be transformed.
+ * @param {object} schema - The corresponding schema.
+ * @returns {*} The transformed value.
+ */
+function transformValue(value, schema) {
+  const { transforms = [] } = schema;
+  return transforms.reduce((result, transform) => transform(result), value);
+}
+
+/**
+ * Convert a property value to the type validated by its schema.
+ * Numeric strings are parsed for number schemas and ISO-8601 strings
+ * for date schemas, with anything else in the string making it an
+ * invalid number (NaN) or date.
+ * @param {(string|number|Date|Array)} value - The value to be converted.
+ * @param {string} type - The type validated by the schema.
+ * @returns {(string|number|Date|Array)} The converted value.
+ * @throws {TypeError} When the value cannot be validated by the schema.
+ */
+function parseValue(value, type) {
+  if (type === TYPES.ARRAY && Array.isArray(value)) return value;
+
+  if (type === TYPES.DATE) {
+    if (isDate(value)) return value;
+
+    if (isString(value)) {
+      const trimmed = value.trim();
+
+      if (isEmptyString(trimmed)) return EMPTY_VALUE;
+      return parseISODate(trimmed) || new Date(NaN);
+    }
+  }
+
+  if (type === TYPES.NUMBER) {
+    if (typeof value === TYPES.NUMBER) return value;
+
+    if (isString(value)) {
+      const trimmed = value.trim();
+
+      if (isEmptyString(trimmed)) return EMPTY_VALUE;
+      return REGEX_PATTERNS.number.test(trimmed) ? Number(trimmed) : NaN;
+    }
+  }
+
+  if (type === TYPES.STRING && isString(value)) return value;
+
+  throw new TypeError(formatError("INVALID_VALUE_TYPE"));
+}
+
+/**
+ * Test whether a value is of the type validated by the schema. Empty
+ * values are only tested against the rules of string schemas, and of
+ * array schemas when not required.
+ * @param {(string|number|Date|Array)} value - The value to be validated.
+ * @param {object} schema - The corresponding schema.
+ * @param {string[]} errors - The error messages for failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {boolean} Whether the remaining rules should be tested.
+ */
+function testType(value, schema, errors, failedRules, options) {
+  const { type, label } = schema;
+
+  if (type === TYPES.STRING) return true;
+  if (isEmptyValue(value)) return type === TYPES.ARRAY && !schema.required;
+
+  // NaN, Infinity or a non-numeric string
+  if (type === TYPES.NUMBER && !isFiniteNumber(value)) {
+    errors.push(getError("number", createMessage("NUMBER"), label, options));
+    failedRules.number = true;
+    return false;
+  }
+
+  // Unparsable or impossible date
+  if (type === TYPES.DATE && !isValidDate(value)) {
+    errors.push(getError("date", createMessage("DATE"), label, options));
+    failedRules.date = true;
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Test whether a required value is empty.
+ * @param {(string|number|Date|Array)} value - The value to be validated.
+ * @param {object} schema - The corresponding schema.
+ * @param {string[]} errors - The error messages for failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {boolean} Whether the remaining rules should be tested.
+ */
+function testRequired(value, schema, errors, failedRules, options) {
+  if (!isEmptyValue(value)) return true;
+
+  // Empty non-required properties are fine, except that empty arrays are
+  // still tested against the array rules (ex: minItems)
+  if (!schema.required) return Array.isArray(value);
+
+  // Required property and empty value, reported without label
+  errors.push(getError("required", schema.required, undefined, options));
+  failedRules.required = true;
+  return true;
+}
+
+/**
+ * Build the response from validating a single property.
+ * @param {(string[]|Object<number,string[]>)} errors - The error messages for failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {*} value - The value after its transforms.
+ * @returns {PropertyValidationResponse} An object with validation status and error messages.
+ */
+function getPropertyResponse(errors, failedRules, options, value) {
+  const isValid = Object.keys(errors).length === NO_ERRORS;
+
+  return !options.includeRules
+    ? { isValid, errors, value }
+    : { isValid, errors, failedRules, value };
 }
 
 /**
@@ -180,7 +798,7 @@ function validateSchema(schema) {
     schema = schema.validateSchema();
   } catch (error) {
     if (error.name === TypeError.name) {
-      error.message = Errors.INVALID_SCHEMA_TYPE;
+      error.message = formatError("INVALID_SCHEMA_TYPE");
     }
     throw error;
   }
@@ -194,20 +812,27 @@ function validateSchema(schema) {
  * @param {string[]} errors - The error messages for failed rules.
  * @param {object} failedRules - The names of all the failed rules.
  * @param {ValidationOptions} options - The validation configurations.
+ * @param {Object<string, string>} [form] - Read-only view of the form being validated.
  * @returns {void} Nothing.
+ * @throws Error when a rule is asynchronous.
  */
-function testRules(value, schema, errors, failedRules, options) {
-  const { rules, label } = schema;
-  const { abortEarly, includeLabel } = options;
+function testRules(value, schema, errors, failedRules, options, form) {
+  const { rules } = schema;
+  const { abortEarly } = options;
 
   // Loop through matching each validator
   let result;
   for (let index = 0; index < rules.length; index++) {
-    result = rules[index](value); // Run the validator.
+    result = rules[index](value, form); // Run the validator.
+
+    if (isPromise(result)) {
+      // The thrown error reports the rule, so its rejection is not left unhandled
+      result.then(undefined, () => {});
+      throw new Error(formatError("ASYNC_RULE", { rule: rules[index].name }));
+    }
 
     if (result !== true) {
-      errors.push(getErrorMessage(label, result, includeLabel));
-      failedRules[rules[index].name] = true;
+      addError(rules[index], result, schema, errors, failedRules, options);
 
       if (abortEarly) break;
     }
@@ -215,12 +840,255 @@ function testRules(value, schema, errors, failedRules, options) {
 }
 
 /**
- * Get the appropriate error message.
- * @param {string} label - The label to be pre-appended to the error message.
- * @param {string} errorMessage - The error message.
- * @param {boolean} includeLabel - Check determining whether the label should be included.
- * @returns {string} Error message with label pre-appended if includeLabel is true.
+ * Test value against all the validation rules in the schema, waiting for
+ * the asynchronous ones. Rules run concurrently unless abortEarly is set,
+ * in which case they run in order until the first one fails.
+ * @async
+ * @param {string} value - The value to be validated.
+ * @param {object} schema - The schema with the rules to be validated against.
+ * @param {string[]} errors - The error messages for failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {Object<string, string>} [form] - Read-only view of the form being validated.
+ * @returns {Promise<void>} Nothing.
+ */
+async function testRulesAsync(
+  value,
+  schema,
+  errors,
+  failedRules,
+  options,
+  form
+) {
+  const { rules } = schema;
+
+  if (options.abortEarly) {
+    let result;
+    for (let index = 0; index < rules.length; index++) {
+      result = await rules[index](value, form);
+
+      if (result !== true) {
+        addError(rules[index], result, schema, errors, failedRules, options);
+        break;
+      }
+    }
+    return;
+  }
+
+  const results = await Promise.all(rules.map((rule) => rule(value, form)));
+  results.forEach((result, index) => {
+    if (result !== true) {
+      addError(rules[index], result, schema, errors, failedRules, options);
+    }
+  });
+}
+
+/**
+ * Test value against the schemas combined with the property schema
+ * (anyOf, allOf and not), after the other rules.
+ * @param {*} value - The value after its transforms, validated by each schema.
+ * @param {object} schema - The schema with the combinators to be validated against.
+ * @param {string[]} errors - The error messages for failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {Object<string, string>} [form] - Read-only view of the form being validated.
+ * @returns {void} Nothing.
+ * @throws Error when a rule is asynchronous.
+ */
+function testCombinators(value, schema, errors, failedRules, options, form) {
+  const { combinators = [] } = schema;
+  const branchOptions = { ...options, includeRules: true };
+
+  for (let index = 0; index < combinators.length; index++) {
+    if (options.abortEarly && errors.length) break;
+
+    const combinator = combinators[index];
+    const responses = combinator.schemas.map((branch) =>
+      validateProperty(value, branch, branchOptions, form)
+    );
+    testCombinator(combinator, responses, schema, errors, failedRules, options);
+  }
+}
+
+/**
+ * Test value against the schemas combined with the property schema,
+ * waiting for their asynchronous rules.
+ * @async
+ * @param {*} value - The value after its transforms, validated by each schema.
+ * @param {object} schema - The schema with the combinators to be validated against.
+ * @param {string[]} errors - The error messages for failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @param {Object<string, string>} [form] - Read-only view of the form being validated.
+ * @returns {Promise<void>} Nothing.
+ */
+async function testCombinatorsAsync(
+  value,
+  schema,
+  errors,
+  failedRules,
+  options,
+  form
+) {
+  const { combinators = [] } = schema;
+  const branchOptions = { ...options, includeRules: true };
+
+  for (let index = 0; index < combinators.length; index++) {
+    if (options.abortEarly && errors.length) break;
+
+    const combinator = combinators[index];
+    const responses = await Promise.all(
+      combinator.schemas.map((branch) =>
+        validatePropertyAsync(value, branch, branchOptions, form)
+      )
+    );
+    testCombinator(combinator, responses, schema, errors, failedRules, options);
+  }
+}
+
+/**
+ * Record the failure of a combinator, unless the responses from validating
+ * its schemas satisfy it. The error message lists the errors of the failed
+ * schemas ({reasons}) and the failed rules are reported by schema index.
+ * @param {object} combinator - The combinator, with its name, schemas and error message.
+ * @param {PropertyValidationResponse[]} responses - The response of each schema.
+ * @param {object} schema - The schema with the combinator.
+ * @param {string[]} errors - The error messages for failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {void} Nothing.
+ */
+function testCombinator(
+  combinator,
+  responses,
+  schema,
+  errors,
+  failedRules,
+  options
+) {
+  const { name, errorMessage } = combinator;
+  if (COMBINATORS[name](responses)) return;
+
+  const branches = {};
+  const branchFailedRules = {};
+  responses.forEach((response, index) => {
+    if (!response.isValid) {
+      branches[index] = response.errors;
+      branchFailedRules[index] = response.failedRules;
+    }
+  });
+
+  // Any of the alternatives would do, all the requirements are needed
+  const reasons = formatList(
+    Object.values(branches).map((branchErrors) =>
+      formatList(getMessages(branchErrors), "conjunction", options.locale)
+    ),
+    name === "anyOf" ? "disjunction" : "conjunction",
+    options.locale
+  );
+
+  errors.push(
+    getError(
+      name,
+      setMessageParams(errorMessage, { branches, reasons }),
+      schema.label,
+      options
+    )
+  );
+  failedRules[name] = name === "not" ? true : branchFailedRules;
+}
+
+/**
+ * List the error messages of a property, including those of its items.
+ * @param {(Array<(string|ValidationErrorDetail)>|Object<number,Array>)} errors - The errors.
+ * @returns {string[]} The error messages.
+ */
+function getMessages(errors) {
+  if (!Array.isArray(errors)) {
+    return Object.values(errors).reduce(
+      (messages, itemErrors) => messages.concat(getMessages(itemErrors)),
+      []
+    );
+  }
+  return errors.map((error) => (isString(error) ? error : error.message));
+}
+
+/**
+ * Record the failure of a validation rule.
+ * @param {Function} rule - The failed validator.
+ * @param {(MessageDescriptor|string)} result - The error message returned by the validator.
+ * @param {object} schema - The schema with the rules to be validated against.
+ * @param {Array<(string|ValidationErrorDetail)>} errors - The errors of failed rules.
+ * @param {object} failedRules - The names of all the failed rules.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {void} Nothing.
  */
-function getErrorMessage(label, errorMessage, includeLabel) {
-  return includeLabel && label ? `${label} ${errorMessage}` : errorMessage;
+function addError(rule, result, schema, errors, failedRules, options) {
+  errors.push(getError(rule.name, result, schema.label, options));
+  failedRules[rule.name] = true;
+}
+
+/**
+ * Get the error of a failed rule, as a message or as a ValidationErrorDetail
+ * when the structuredErrors option is set.
+ * @param {string} rule - The name of the failed rule.
+ * @param {(MessageDescriptor|string)} errorMessage - The error message.
+ * @param {string} [label] - The label to be included in the error message.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {(string|ValidationErrorDetail)} The error.
+ */
+function getError(rule, errorMessage, label, options) {
+  const message = getErrorMessage(label, errorMessage, options);
+  if (!options.structuredErrors) return message;
+
+  // Messages returned by user-defined validators have no descriptor
+  const { key = CUSTOM_ERROR_CODE, params = {} } = isString(errorMessage)
+    ? {}
+    : errorMessage;
+
+  return { rule, code: key, message, params: { ...params }, path: "" };
+}
+
+/**
+ * Prefix the path of structured errors with the path of their parent
+ * (form property or array item).
+ * @param {(Array<(string|ValidationErrorDetail)>|Object<number,Array>)} errors - The errors of a property,
+ *                                                                        or of its items by index.
+ * @param {string} path - The path of the parent.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {(Array<(string|ValidationErrorDetail)>|Object<number,Array>)} The errors.
+ */
+function setErrorPath(errors, path, options) {
+  if (!options.structuredErrors) return errors;
+
+  if (!Array.isArray(errors)) {
+    return Object.keys(errors).reduce(
+      (items, index) => ({
+        ...items,
+        [index]: setErrorPath(errors[index], path, options),
+      }),
+      {}
+    );
+  }
+
+  return errors.map((error) => ({
+    ...error,
+    path: error.path ? `${path}.${error.path}` : path,
+  }));
+}
+
+/**
+ * Get the appropriate error message in the locale of the validation.
+ * @param {string} label - The label to be included in the error message.
+ * @param {(MessageDescriptor|string)} errorMessage - The error message.
+ * @param {ValidationOptions} options - The validation configurations.
+ * @returns {string} Error message with label included if includeLabel is true.
+ */
+function getErrorMessage(label, errorMessage, options) {
+  const { includeLabel, locale } = options;
+  const message = renderMessage(errorMessage, locale);
+
+  return includeLabel && label
+    ? renderMessage(createMessage("WITH_LABEL", { label, message }), locale)
+    : message;
 }